@@ -0,0 +1,56 @@
+// api_errors.js
+// Stable error codes and the single error response shape used by every route
+// Responses look like { error: 'Human readable message', code: 'STABLE_CODE', ...extra }
+// Clients should branch on `code`; `error` wording may change
+
+const ERROR_CODES = {
+  // Request problems
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  INVALID_JSON: 'INVALID_JSON',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+
+  // Authentication and access
+  UPDATE_KEY_REQUIRED: 'UPDATE_KEY_REQUIRED',
+  INVALID_UPDATE_KEY: 'INVALID_UPDATE_KEY',
+  SCOPE_NOT_ALLOWED: 'SCOPE_NOT_ALLOWED',
+  LOGIN_REQUIRED: 'LOGIN_REQUIRED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  PASSCODE_REQUIRED: 'PASSCODE_REQUIRED',
+  PASSCODE_NOT_REQUIRED: 'PASSCODE_NOT_REQUIRED',
+  INVALID_PASSCODE: 'INVALID_PASSCODE',
+
+  // Resources and state
+  TRACKING_NOT_FOUND: 'TRACKING_NOT_FOUND',
+  DELEGATE_NOT_FOUND: 'DELEGATE_NOT_FOUND',
+  WEBHOOK_NOT_FOUND: 'WEBHOOK_NOT_FOUND',
+  WEBHOOK_LIMIT_REACHED: 'WEBHOOK_LIMIT_REACHED',
+  WEBHOOK_URL_NOT_ALLOWED: 'WEBHOOK_URL_NOT_ALLOWED',
+  PUSH_ENDPOINT_NOT_ALLOWED: 'PUSH_ENDPOINT_NOT_ALLOWED',
+  SUBSCRIPTION_NOT_FOUND: 'SUBSCRIPTION_NOT_FOUND',
+  SUBSCRIPTION_LIMIT_REACHED: 'SUBSCRIPTION_LIMIT_REACHED',
+  NOTIFICATION_CHANNEL_UNAVAILABLE: 'NOTIFICATION_CHANNEL_UNAVAILABLE',
+  RECORD_NOT_FOUND: 'RECORD_NOT_FOUND',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  TRACKING_ARCHIVED: 'TRACKING_ARCHIVED',
+  EMAIL_TAKEN: 'EMAIL_TAKEN',
+  TRACKING_ALREADY_OWNED: 'TRACKING_ALREADY_OWNED',
+  BULK_UPDATE_FAILED: 'BULK_UPDATE_FAILED',
+  NOT_APPLIED: 'NOT_APPLIED',
+
+  // Throttling
+  RATE_LIMITED: 'RATE_LIMITED',
+  LOCKED_OUT: 'LOCKED_OUT',
+
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Send an error response in the standard shape
+const sendError = (res, status, code, message, extra = {}) => {
+  return res.status(status).json({ error: message, code, ...extra });
+};
+
+module.exports = {
+  ERROR_CODES,
+  sendError
+};
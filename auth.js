@@ -0,0 +1,54 @@
+// auth.js
+// Password hashing and session tokens for optional user accounts
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { safeEqual } = require('./update_keys');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_PREFIX = 'scrypt$';
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS, 10) || 30;
+
+// Stored format: scrypt$<salt hex>$<derived key hex>
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `${PASSWORD_PREFIX}${salt}$${derived.toString('hex')}`;
+};
+
+// Used when the account does not exist so failed logins take as long as wrong passwords
+const DUMMY_HASH = `${PASSWORD_PREFIX}${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+const verifyPassword = async (stored, password) => {
+  const [, salt, expected] = (stored || DUMMY_HASH).split('$');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return Boolean(stored) && safeEqual(expected, derived.toString('hex'));
+};
+
+// Session tokens are handed to the client once; only their SHA-256 is stored
+const generateSessionToken = () => crypto.randomBytes(32).toString('hex');
+
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Extract the token from an `Authorization: Bearer <token>` header
+const bearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  generateSessionToken,
+  hashSessionToken,
+  sessionExpiry,
+  bearerToken
+};
@@ -0,0 +1,91 @@
+// csv.js
+// Minimal RFC 4180 CSV reading and writing for bulk uploads and exports
+// Fields may be quoted ("a, b"), quotes inside quoted fields are doubled (""), lines end with \n or \r\n
+
+// Parse CSV text into rows of string fields; blank lines are skipped
+// Throws with the line number when a quoted field is never closed
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Byte order mark written by spreadsheet apps
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  endRow();
+  return rows;
+};
+
+// Parse CSV with a header row into objects keyed by the (trimmed) header names
+// Empty cells are left out so optional fields fall back to their defaults
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+
+  return rows.map(row => Object.fromEntries(
+    columns
+      .map((column, index) => [column, row[index]])
+      .filter(([column, value]) => column && value !== undefined && value.trim() !== '')
+  ));
+};
+
+// Cells a spreadsheet would run as a formula get a leading apostrophe
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize rows (objects) as CSV with a header row listing `columns` in order
+const toCsv = (columns, rows) => [
+  columns.map(formatCell).join(','),
+  ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+};
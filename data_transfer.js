@@ -0,0 +1,430 @@
+// data_transfer.js
+// Backend independent export and import of everything stored, used to move data between the JSON and
+// PostgreSQL backends. Exports are plain JSON:
+// { format, version, source, exportedAt, users: [], sessions: [], trackings: [{ ...tracking, records, statusHistory, events, delegateKeys, webhooks, subscriptions }] }
+// Ids in an export are the source backend's ids (numbers or strings); they are remapped on import and every reference
+// (tracking ids, owners, sessions, recordId in event data) follows. Timestamps are preserved as ISO strings.
+// Webhook registrations and viewer subscriptions travel with their tracking; queued and logged deliveries do not.
+const { randomUUID } = require('crypto');
+
+const EXPORT_FORMAT = 'kiss-tracker-export';
+const EXPORT_VERSION = 1;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const toIso = (value) => (value === null || value === undefined ? null : new Date(value).toISOString());
+
+// Portable shapes, shared by both backends (column names match the Postgres schema)
+const portableTracking = (row) => ({
+  id: row.id ?? null,
+  tracking_number: row.tracking_number,
+  kiss_provider: row.kiss_provider,
+  destination: row.destination,
+  destination_latitude: row.destination_latitude ?? null,
+  destination_longitude: row.destination_longitude ?? null,
+  eta: toIso(row.eta),
+  status: row.status || 'Preparing',
+  update_key: row.update_key,
+  owner_user_id: row.owner_user_id ?? null,
+  visibility: row.visibility || 'public',
+  viewer_passcode_hash: row.viewer_passcode_hash ?? null,
+  archived_at: toIso(row.archived_at),
+  overdue_fired_eta: toIso(row.overdue_fired_eta),
+  out_for_delivery_fired_eta: toIso(row.out_for_delivery_fired_eta),
+  created_at: toIso(row.created_at),
+  updated_at: toIso(row.updated_at)
+});
+
+const portableRecord = (row) => ({
+  id: row.id ?? null,
+  location: row.location,
+  latitude: row.latitude ?? null,
+  longitude: row.longitude ?? null,
+  accuracy: row.accuracy ?? null,
+  label: row.label ?? null,
+  timestamp: toIso(row.timestamp)
+});
+
+const portableStatusChange = (row) => ({
+  id: row.id ?? null,
+  from_status: row.from_status ?? null,
+  to_status: row.to_status,
+  note: row.note ?? null,
+  forced: Boolean(row.forced),
+  changed_at: toIso(row.changed_at)
+});
+
+const portableEvent = (row) => ({
+  id: row.id ?? null,
+  type: row.type,
+  data: row.data || {},
+  created_at: toIso(row.created_at)
+});
+
+const portableDelegateKey = (row) => ({
+  id: row.id ?? null,
+  key_hash: row.key_hash,
+  label: row.label ?? null,
+  scopes: row.scopes || [],
+  expires_at: toIso(row.expires_at),
+  revoked_at: toIso(row.revoked_at),
+  created_at: toIso(row.created_at)
+});
+
+const portableWebhook = (row) => ({
+  id: row.id ?? null,
+  url: row.url,
+  secret: row.secret,
+  events: row.events || [],
+  active: row.active !== false,
+  created_at: toIso(row.created_at),
+  updated_at: toIso(row.updated_at)
+});
+
+const portableSubscription = (row) => ({
+  id: row.id ?? null,
+  channel: row.channel,
+  email: row.email ?? null,
+  push_subscription: row.push_subscription ?? null,
+  events: row.events || [],
+  token: row.token,
+  confirmed_at: toIso(row.confirmed_at),
+  created_at: toIso(row.created_at)
+});
+
+const portableUser = (row) => ({
+  id: row.id ?? null,
+  email: row.email,
+  password_hash: row.password_hash,
+  display_name: row.display_name ?? null,
+  created_at: toIso(row.created_at)
+});
+
+const portableSession = (row) => ({
+  token_hash: row.token_hash,
+  user_id: row.user_id ?? null,
+  expires_at: toIso(row.expires_at),
+  created_at: toIso(row.created_at)
+});
+
+const sortBy = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+// `childrenOf(trackingNumber)` returns the raw { records, statusHistory, events, delegateKeys, webhooks, subscriptions } rows of a tracking
+const buildExport = (source, { trackings, childrenOf, users, sessions }) => {
+  const now = Date.now();
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    source,
+    exportedAt: new Date(now).toISOString(),
+    users: users.map(portableUser),
+    // Expired sessions are worthless on the other side
+    sessions: sessions
+      .filter(session => new Date(session.expires_at).getTime() > now)
+      .map(portableSession),
+    trackings: trackings.map(tracking => {
+      const children = childrenOf(tracking.tracking_number);
+      return {
+        ...portableTracking(tracking),
+        records: children.records.map(portableRecord).sort(sortBy('timestamp')),
+        statusHistory: children.statusHistory.map(portableStatusChange).sort(sortBy('changed_at')),
+        events: children.events.map(portableEvent).sort(sortBy('created_at')),
+        delegateKeys: children.delegateKeys.map(portableDelegateKey),
+        webhooks: children.webhooks.map(portableWebhook),
+        subscriptions: children.subscriptions.map(portableSubscription)
+      };
+    })
+  };
+};
+
+// Export from the JSON files; `files` is { read(fileName) } over the data directory
+const exportFromJson = (files) => {
+  const trackings = files.read('trackings.json');
+  const records = files.read('track_records.json');
+  const history = files.read('status_history.json');
+  const events = files.read('tracking_events.json');
+  const delegates = files.read('delegate_keys.json');
+  const webhooks = files.read('webhooks.json');
+  const subscriptions = files.read('subscriptions.json');
+
+  return buildExport('json', {
+    trackings: Object.values(trackings),
+    childrenOf: (trackingNumber) => ({
+      records: records[trackingNumber] || [],
+      statusHistory: history[trackingNumber] || [],
+      events: events[trackingNumber] || [],
+      delegateKeys: delegates[trackingNumber] || [],
+      webhooks: webhooks[trackingNumber] || [],
+      subscriptions: subscriptions[trackingNumber] || []
+    }),
+    users: Object.values(files.read('users.json')),
+    sessions: Object.values(files.read('sessions.json'))
+  });
+};
+
+// Export from PostgreSQL
+const exportFromPostgres = async (pool) => {
+  const client = await pool.connect();
+  try {
+    // One snapshot so the tables agree with each other
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const query = async (sql) => (await client.query(sql)).rows;
+    const trackings = await query('SELECT * FROM trackings ORDER BY created_at ASC');
+    const groups = {
+      records: await query('SELECT * FROM track_records'),
+      statusHistory: await query('SELECT * FROM status_history'),
+      events: await query('SELECT * FROM tracking_events'),
+      delegateKeys: await query('SELECT * FROM delegate_keys ORDER BY created_at ASC'),
+      webhooks: await query('SELECT * FROM webhooks ORDER BY created_at ASC'),
+      subscriptions: await query('SELECT * FROM subscriptions ORDER BY created_at ASC')
+    };
+    const users = await query('SELECT * FROM users ORDER BY created_at ASC');
+    const sessions = await query('SELECT * FROM sessions');
+    await client.query('COMMIT');
+
+    const byTracking = {};
+    Object.entries(groups).forEach(([group, rows]) => {
+      rows.forEach(row => {
+        const children = byTracking[row.tracking_number] ||= { records: [], statusHistory: [], events: [], delegateKeys: [], webhooks: [], subscriptions: [] };
+        children[group].push(row);
+      });
+    });
+
+    return buildExport('postgres', {
+      trackings,
+      childrenOf: (trackingNumber) => byTracking[trackingNumber] || { records: [], statusHistory: [], events: [], delegateKeys: [], webhooks: [], subscriptions: [] },
+      users,
+      sessions
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const assertExport = (data) => {
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('Not a Kiss Tracker export');
+  }
+  if (data.version !== EXPORT_VERSION) {
+    throw new Error(`Unsupported export version ${data.version} (expected ${EXPORT_VERSION})`);
+  }
+};
+
+// Maps source ids to target ids per kind of entity; the same source id always gets the same target id
+const createIdMap = (keepId, newId) => {
+  const maps = {};
+  const mapFor = (kind) => (maps[kind] ||= new Map());
+  return {
+    get: (kind, sourceId) => {
+      if (sourceId === null || sourceId === undefined) return null;
+      const map = mapFor(kind);
+      const key = String(sourceId);
+      if (!map.has(key)) map.set(key, keepId(key) ? sourceId : newId());
+      return map.get(key);
+    },
+    set: (kind, sourceId, targetId) => mapFor(kind).set(String(sourceId), targetId)
+  };
+};
+
+// Import an export into a target (see jsonTarget / postgresTarget)
+// Trackings whose number already exists in the target are skipped, users whose email exists are merged into
+// the existing account. With `dryRun` nothing is kept; the report says what would have happened.
+const importData = async (target, data, { dryRun = false } = {}) => {
+  assertExport(data);
+
+  const ids = createIdMap(target.keepId, target.newId);
+  const report = {
+    source: data.source,
+    target: target.type,
+    dryRun,
+    users: { imported: 0, merged: [] },
+    sessions: { imported: 0, skipped: 0 },
+    trackings: { imported: 0, skipped: [] },
+    records: 0,
+    statusHistory: 0,
+    events: 0,
+    delegateKeys: 0,
+    webhooks: 0,
+    subscriptions: 0
+  };
+
+  try {
+    const existingUsers = await target.existingUsers(data.users.map(user => user.email));
+    const mergedUserIds = new Set();
+    for (const user of data.users) {
+      if (existingUsers.has(user.email)) {
+        ids.set('user', user.id, existingUsers.get(user.email));
+        mergedUserIds.add(user.id);
+        report.users.merged.push(user.email);
+        continue;
+      }
+      await target.insert('users', { ...user, id: ids.get('user', user.id) });
+      report.users.imported++;
+    }
+
+    // Sessions only follow users that were imported; merged accounts log in again, and sessions of users
+    // missing from the export are dropped since they would point at no account
+    const exportedUserIds = new Set(data.users.map(user => String(user.id)));
+    const existingSessions = await target.existingSessions(data.sessions.map(session => session.token_hash));
+    for (const session of data.sessions) {
+      if (!exportedUserIds.has(String(session.user_id)) || mergedUserIds.has(session.user_id) || existingSessions.has(session.token_hash)) {
+        report.sessions.skipped++;
+        continue;
+      }
+      await target.insert('sessions', { ...session, user_id: ids.get('user', session.user_id) });
+      report.sessions.imported++;
+    }
+
+    const existingTrackings = await target.existingTrackings(data.trackings.map(tracking => tracking.tracking_number));
+    // Exports made before webhooks and subscriptions existed have neither
+    for (const { records, statusHistory, events, delegateKeys, webhooks = [], subscriptions = [], ...tracking } of data.trackings) {
+      const trackingNumber = tracking.tracking_number;
+      if (existingTrackings.has(trackingNumber)) {
+        report.trackings.skipped.push(trackingNumber);
+        continue;
+      }
+
+      const trackingId = ids.get('tracking', tracking.id);
+      const child = (row, kind) => ({ ...row, id: ids.get(kind, row.id), tracking_id: trackingId, tracking_number: trackingNumber });
+
+      // An owner missing from the export leaves the tracking without an account, like a deleted one
+      const ownerUserId = exportedUserIds.has(String(tracking.owner_user_id)) ? ids.get('user', tracking.owner_user_id) : null;
+      await target.insert('trackings', { ...tracking, id: trackingId, owner_user_id: ownerUserId });
+      for (const record of records) {
+        await target.insert('track_records', child(record, 'record'));
+      }
+      for (const change of statusHistory) {
+        await target.insert('status_history', child(change, 'statusChange'));
+      }
+      for (const event of events) {
+        // Event data refers to records by id (location-added, -edited, -removed)
+        const eventData = event.data && event.data.recordId !== undefined
+          ? { ...event.data, recordId: ids.get('record', event.data.recordId) }
+          : event.data;
+        await target.insert('tracking_events', { ...child(event, 'event'), data: eventData });
+      }
+      for (const delegate of delegateKeys) {
+        await target.insert('delegate_keys', child(delegate, 'delegate'));
+      }
+      for (const webhook of webhooks) {
+        await target.insert('webhooks', child(webhook, 'webhook'));
+      }
+      for (const subscription of subscriptions) {
+        await target.insert('subscriptions', child(subscription, 'subscription'));
+      }
+
+      report.trackings.imported++;
+      report.records += records.length;
+      report.statusHistory += statusHistory.length;
+      report.events += events.length;
+      report.delegateKeys += delegateKeys.length;
+      report.webhooks += webhooks.length;
+      report.subscriptions += subscriptions.length;
+    }
+  } catch (err) {
+    await target.finish(false);
+    throw err;
+  }
+
+  await target.finish(!dryRun);
+  return report;
+};
+
+// Import target writing the JSON files; `files` is { read(fileName), write(fileName, data) }
+// JSON ids are opaque (compared as strings), so source ids are kept
+const jsonTarget = (files) => {
+  const FILES = {
+    trackings: 'trackings.json',
+    track_records: 'track_records.json',
+    status_history: 'status_history.json',
+    tracking_events: 'tracking_events.json',
+    delegate_keys: 'delegate_keys.json',
+    webhooks: 'webhooks.json',
+    subscriptions: 'subscriptions.json',
+    users: 'users.json',
+    sessions: 'sessions.json'
+  };
+  const data = {};
+  Object.entries(FILES).forEach(([table, fileName]) => {
+    data[table] = files.read(fileName);
+  });
+
+  return {
+    type: 'json',
+    keepId: () => true,
+    newId: () => Date.now() + Math.random(),
+    existingUsers: async () => new Map(Object.values(data.users).map(user => [user.email, user.id])),
+    existingSessions: async () => new Set(Object.keys(data.sessions)),
+    existingTrackings: async () => new Set(Object.keys(data.trackings)),
+    insert: async (table, row) => {
+      if (table === 'users') {
+        data.users[row.id] = row;
+      } else if (table === 'sessions') {
+        data.sessions[row.token_hash] = row;
+      } else if (table === 'trackings') {
+        data.trackings[row.tracking_number] = row;
+      } else {
+        // Per-tracking files are keyed by tracking number, so rows do not repeat it
+        const { tracking_number: trackingNumber, ...rest } = row;
+        (data[table][trackingNumber] ||= []).push(rest);
+      }
+    },
+    finish: async (commit) => {
+      if (!commit) return;
+      Object.entries(FILES).forEach(([table, fileName]) => files.write(fileName, data[table]));
+    }
+  };
+};
+
+// Import target writing PostgreSQL in a single transaction (rolled back for a dry run)
+// UUIDs from a Postgres export are kept; JSON ids get new UUIDs
+const postgresTarget = async (pool) => {
+  const client = await pool.connect();
+  await client.query('BEGIN');
+
+  const column = async (sql, values, field) => (await client.query(sql, [values])).rows.map(row => row[field]);
+
+  return {
+    type: 'postgres',
+    keepId: (id) => UUID_PATTERN.test(id),
+    newId: randomUUID,
+    existingUsers: async (emails) => {
+      const res = await client.query('SELECT id, email FROM users WHERE email = ANY($1)', [emails]);
+      return new Map(res.rows.map(row => [row.email, row.id]));
+    },
+    existingSessions: async (hashes) => new Set(await column('SELECT token_hash FROM sessions WHERE token_hash = ANY($1)', hashes, 'token_hash')),
+    existingTrackings: async (numbers) => new Set(await column('SELECT tracking_number FROM trackings WHERE tracking_number = ANY($1)', numbers, 'tracking_number')),
+    insert: async (table, row) => {
+      const columns = Object.keys(row);
+      // JSONB objects are sent as JSON text; arrays (delegate scopes, webhook and subscription events) map to Postgres arrays
+      const values = columns.map(name => (row[name] && typeof row[name] === 'object' && !Array.isArray(row[name])
+        ? JSON.stringify(row[name])
+        : row[name]));
+      await client.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`,
+        values
+      );
+    },
+    finish: async (commit) => {
+      try {
+        await client.query(commit ? 'COMMIT' : 'ROLLBACK');
+      } finally {
+        client.release();
+      }
+    }
+  };
+};
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  assertExport,
+  exportFromJson,
+  exportFromPostgres,
+  importData,
+  jsonTarget,
+  postgresTarget
+};
@@ -1,10 +1,35 @@
 const fs = require('fs');
 const path = require('path');
+const { hashUpdateKey, verifyUpdateKeyHash } = require('./update_keys');
+const { DATA_DIR, createJsonStore } = require('./json_store');
+const { MIGRATE_ON_STARTUP, assertUpToDate, jsonStatus, migrateJson } = require('./migrations');
+const { ETA_RULE_MARKERS } = require('./status_machine');
 
 // Database file paths
-const DB_DIR = path.join(__dirname, 'data');
+const DB_DIR = DATA_DIR;
 const TRACKING_FILE = path.join(DB_DIR, 'trackings.json');
 const RECORDS_FILE = path.join(DB_DIR, 'track_records.json');
+const STATUS_HISTORY_FILE = path.join(DB_DIR, 'status_history.json');
+const EVENTS_FILE = path.join(DB_DIR, 'tracking_events.json');
+const DELEGATES_FILE = path.join(DB_DIR, 'delegate_keys.json');
+const USERS_FILE = path.join(DB_DIR, 'users.json');
+const SESSIONS_FILE = path.join(DB_DIR, 'sessions.json');
+const WEBHOOKS_FILE = path.join(DB_DIR, 'webhooks.json');
+const WEBHOOK_DELIVERIES_FILE = path.join(DB_DIR, 'webhook_deliveries.json');
+const SUBSCRIPTIONS_FILE = path.join(DB_DIR, 'subscriptions.json');
+
+// Files holding per-tracking data keyed by tracking number (removed along with the tracking)
+const TRACKING_DATA_FILES = [
+  RECORDS_FILE,
+  STATUS_HISTORY_FILE,
+  EVENTS_FILE,
+  DELEGATES_FILE,
+  WEBHOOKS_FILE,
+  WEBHOOK_DELIVERIES_FILE,
+  SUBSCRIPTIONS_FILE
+];
+
+const store = createJsonStore();
 
 // Ensure data directory exists
 if (!fs.existsSync(DB_DIR)) {
@@ -13,59 +38,92 @@ if (!fs.existsSync(DB_DIR)) {
 }
 
 // Initialize database files
+// Every file is loaded into the store; a corrupt file aborts startup rather than being treated as empty
 const initializeDatabase = () => {
-  // Initialize trackings file
-  if (!fs.existsSync(TRACKING_FILE)) {
-    fs.writeFileSync(TRACKING_FILE, JSON.stringify({}, null, 2));
-    console.log('📄 Created trackings.json');
-  }
-  
-  // Initialize track records file
-  if (!fs.existsSync(RECORDS_FILE)) {
-    fs.writeFileSync(RECORDS_FILE, JSON.stringify({}, null, 2));
-    console.log('📄 Created track_records.json');
+  [
+    TRACKING_FILE,
+    RECORDS_FILE,
+    STATUS_HISTORY_FILE,
+    EVENTS_FILE,
+    DELEGATES_FILE,
+    USERS_FILE,
+    SESSIONS_FILE,
+    WEBHOOKS_FILE,
+    WEBHOOK_DELIVERIES_FILE,
+    SUBSCRIPTIONS_FILE
+  ].forEach(filePath => {
+    if (store.load(filePath)) {
+      console.log(`📄 Created ${path.basename(filePath)}`);
+    }
+  });
+
+  if (MIGRATE_ON_STARTUP) {
+    migrateJson({ store, dataDir: DB_DIR });
+  } else {
+    assertUpToDate(jsonStatus({ store, dataDir: DB_DIR }));
   }
-  
+
   console.log('✅ JSON database files initialized');
 };
 
-// Read JSON file safely
-const readJSONFile = (filePath) => {
-  try {
-    const data = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(`Error reading ${filePath}:`, error);
-    return {};
-  }
+// Read JSON file from the in-memory store
+const readJSONFile = (filePath) => store.read(filePath);
+
+// Write JSON file through the store (flushed to disk atomically)
+const writeJSONFile = (filePath, data) => store.write(filePath, data);
+
+// Pending writes are flushed before the process goes away
+const flushOnExit = () => {
+  process.on('exit', () => store.flushSync());
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, () => {
+      store.flushSync();
+      process.kill(process.pid, signal);
+    });
+  });
 };
 
-// Write JSON file safely
-const writeJSONFile = (filePath, data) => {
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    return true;
-  } catch (error) {
-    console.error(`Error writing ${filePath}:`, error);
-    return false;
-  }
+const etaRuleMarker = (rule) => {
+  if (!ETA_RULE_MARKERS[rule]) throw new Error(`Unknown ETA rule: ${rule}`);
+  return ETA_RULE_MARKERS[rule];
+};
+
+// Remove trackings and everything stored for them
+const removeTrackings = (trackingNumbers) => {
+  const trackings = readJSONFile(TRACKING_FILE);
+  trackingNumbers.forEach(trackingNumber => delete trackings[trackingNumber]);
+  writeJSONFile(TRACKING_FILE, trackings);
+
+  TRACKING_DATA_FILES.forEach(filePath => {
+    const data = readJSONFile(filePath);
+    trackingNumbers.forEach(trackingNumber => delete data[trackingNumber]);
+    writeJSONFile(filePath, data);
+  });
 };
 
 // Database operations
 const database = {
   // Create tracking
-  createTracking: (trackingNumber, kissProvider, destination, eta, updateKey) => {
+  createTracking: (trackingNumber, kissProvider, destination, eta, updateKey, destinationCoordinates = {}) => {
     try {
       const trackings = readJSONFile(TRACKING_FILE);
       
       const tracking = {
-        id: Date.now(), // Simple ID generation
+        id: Date.now() + Math.random(), // Ensure uniqueness
         tracking_number: trackingNumber,
         kiss_provider: kissProvider,
         destination,
+        destination_latitude: destinationCoordinates.latitude ?? null,
+        destination_longitude: destinationCoordinates.longitude ?? null,
         eta,
         status: 'Preparing',
-        update_key: updateKey,
+        update_key: hashUpdateKey(updateKey),
+        owner_user_id: null,
+        visibility: 'public',
+        viewer_passcode_hash: null,
+        archived_at: null,
+        overdue_fired_eta: null,
+        out_for_delivery_fired_eta: null,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
@@ -130,7 +188,7 @@ const database = {
   },
 
   // Add track record
-  addTrackRecord: (trackingId, trackingNumber, location) => {
+  addTrackRecord: (trackingId, trackingNumber, location, geo = {}) => {
     try {
       const records = readJSONFile(RECORDS_FILE);
       
@@ -142,6 +200,10 @@ const database = {
         id: Date.now() + Math.random(), // Ensure uniqueness
         tracking_id: trackingId,
         location,
+        latitude: geo.latitude ?? null,
+        longitude: geo.longitude ?? null,
+        accuracy: geo.accuracy ?? null,
+        label: geo.label ?? null,
         timestamp: new Date().toISOString()
       };
       
@@ -155,8 +217,60 @@ const database = {
     }
   },
 
+  // Apply changes (location, latitude, longitude, accuracy, label, timestamp) to a track record
+  // Omitted fields keep their value and null clears the optional ones (location and timestamp always keep a value)
+  // Returns the updated record or null when it does not exist
+  updateTrackRecord: (trackingNumber, recordId, changes) => {
+    try {
+      const records = readJSONFile(RECORDS_FILE);
+      const record = (records[trackingNumber] || []).find(r => String(r.id) === String(recordId));
+
+      if (!record) {
+        return null;
+      }
+
+      ['location', 'timestamp'].forEach(field => {
+        if (changes[field] !== undefined && changes[field] !== null) {
+          record[field] = changes[field];
+        }
+      });
+      ['latitude', 'longitude', 'accuracy', 'label'].forEach(field => {
+        if (changes[field] !== undefined) {
+          record[field] = changes[field];
+        }
+      });
+      writeJSONFile(RECORDS_FILE, records);
+
+      return record;
+    } catch (error) {
+      console.error('Error updating track record:', error);
+      throw error;
+    }
+  },
+
+  // Delete a track record; returns the removed record or null when it does not exist
+  deleteTrackRecord: (trackingNumber, recordId) => {
+    try {
+      const records = readJSONFile(RECORDS_FILE);
+      const trackingRecords = records[trackingNumber] || [];
+      const index = trackingRecords.findIndex(r => String(r.id) === String(recordId));
+
+      if (index === -1) {
+        return null;
+      }
+
+      const [removed] = trackingRecords.splice(index, 1);
+      writeJSONFile(RECORDS_FILE, records);
+
+      return removed;
+    } catch (error) {
+      console.error('Error deleting track record:', error);
+      throw error;
+    }
+  },
+
   // Update destination
-  updateDestination: (trackingNumber, newDestination) => {
+  updateDestination: (trackingNumber, newDestination, coordinates = {}) => {
     try {
       const trackings = readJSONFile(TRACKING_FILE);
       
@@ -165,6 +279,8 @@ const database = {
       }
       
       trackings[trackingNumber].destination = newDestination;
+      trackings[trackingNumber].destination_latitude = coordinates.latitude ?? null;
+      trackings[trackingNumber].destination_longitude = coordinates.longitude ?? null;
       trackings[trackingNumber].updated_at = new Date().toISOString();
       
       return writeJSONFile(TRACKING_FILE, trackings);
@@ -174,37 +290,94 @@ const database = {
     }
   },
 
-  // Get track records for a tracking
+  // Get track records for a tracking, oldest first
   getTrackRecords: (trackingNumber) => {
     try {
       const records = readJSONFile(RECORDS_FILE);
-      return records[trackingNumber] || [];
+      return (records[trackingNumber] || []).slice()
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     } catch (error) {
       console.error('Error getting track records:', error);
       throw error;
     }
   },
 
-  // Remove delivery records
-  removeDeliveryRecords: (trackingNumber) => {
+  // Append an entry to the tracking event log
+  appendEvent: (trackingId, trackingNumber, type, data) => {
     try {
-      const records = readJSONFile(RECORDS_FILE);
-      
-      if (!records[trackingNumber]) {
-        return false;
+      const events = readJSONFile(EVENTS_FILE);
+
+      if (!events[trackingNumber]) {
+        events[trackingNumber] = [];
       }
-      
-      const originalLength = records[trackingNumber].length;
-      records[trackingNumber] = records[trackingNumber].filter(record => record.location !== 'Delivered');
-      const removed = originalLength !== records[trackingNumber].length;
-      
-      if (removed) {
-        writeJSONFile(RECORDS_FILE, records);
+
+      const event = {
+        id: Date.now() + Math.random(), // Ensure uniqueness
+        tracking_id: trackingId,
+        type,
+        data: data || {},
+        created_at: new Date().toISOString()
+      };
+
+      events[trackingNumber].push(event);
+      writeJSONFile(EVENTS_FILE, events);
+
+      return event;
+    } catch (error) {
+      console.error('Error appending event:', error);
+      throw error;
+    }
+  },
+
+  // Get the event log for a tracking
+  getEvents: (trackingNumber) => {
+    try {
+      const events = readJSONFile(EVENTS_FILE);
+      return (events[trackingNumber] || []).slice()
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    } catch (error) {
+      console.error('Error getting events:', error);
+      throw error;
+    }
+  },
+
+  // Add status history entry
+  addStatusHistory: (trackingId, trackingNumber, fromStatus, toStatus, note, forced) => {
+    try {
+      const history = readJSONFile(STATUS_HISTORY_FILE);
+
+      if (!history[trackingNumber]) {
+        history[trackingNumber] = [];
       }
-      
-      return removed;
+
+      const entry = {
+        id: Date.now() + Math.random(), // Ensure uniqueness
+        tracking_id: trackingId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        note: note || null,
+        forced: Boolean(forced),
+        changed_at: new Date().toISOString()
+      };
+
+      history[trackingNumber].push(entry);
+      writeJSONFile(STATUS_HISTORY_FILE, history);
+
+      return entry;
     } catch (error) {
-      console.error('Error removing delivery records:', error);
+      console.error('Error adding status history:', error);
+      throw error;
+    }
+  },
+
+  // Get status history for a tracking
+  getStatusHistory: (trackingNumber) => {
+    try {
+      const history = readJSONFile(STATUS_HISTORY_FILE);
+      return (history[trackingNumber] || []).slice()
+        .sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+    } catch (error) {
+      console.error('Error getting status history:', error);
       throw error;
     }
   },
@@ -215,11 +388,9 @@ const database = {
       const tracking = database.getTracking(trackingNumber);
       if (!tracking) return null;
       
-      const records = database.getTrackRecords(trackingNumber);
-      
       return {
         ...tracking,
-        records: records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        records: database.getTrackRecords(trackingNumber)
       };
     } catch (error) {
       console.error('Error getting tracking with records:', error);
@@ -232,38 +403,776 @@ const database = {
     try {
       const tracking = database.getTracking(trackingNumber);
       if (!tracking) return false;
-      return tracking.update_key === providedKey;
+      return verifyUpdateKeyHash(tracking.update_key, providedKey);
     } catch (error) {
       console.error('Error verifying update key:', error);
       throw error;
     }
   },
 
+  // Replace the update key, invalidating the previous one
+  rotateUpdateKey: (trackingNumber, newKey) => {
+    try {
+      const trackings = readJSONFile(TRACKING_FILE);
+
+      if (!trackings[trackingNumber]) {
+        return false;
+      }
+
+      trackings[trackingNumber].update_key = hashUpdateKey(newKey);
+      trackings[trackingNumber].updated_at = new Date().toISOString();
+
+      return writeJSONFile(TRACKING_FILE, trackings);
+    } catch (error) {
+      console.error('Error rotating update key:', error);
+      throw error;
+    }
+  },
+
+  // Create a delegate key (stored hashed) for a tracking
+  createDelegateKey: (trackingId, trackingNumber, { key, label, scopes, expiresAt }) => {
+    try {
+      const delegates = readJSONFile(DELEGATES_FILE);
+
+      if (!delegates[trackingNumber]) {
+        delegates[trackingNumber] = [];
+      }
+
+      const delegate = {
+        id: Date.now() + Math.random(), // Ensure uniqueness
+        tracking_id: trackingId,
+        key_hash: hashUpdateKey(key),
+        label: label || null,
+        scopes,
+        expires_at: expiresAt || null,
+        revoked_at: null,
+        created_at: new Date().toISOString()
+      };
+
+      delegates[trackingNumber].push(delegate);
+      writeJSONFile(DELEGATES_FILE, delegates);
+
+      return delegate;
+    } catch (error) {
+      console.error('Error creating delegate key:', error);
+      throw error;
+    }
+  },
+
+  // Get all delegate keys (including revoked and expired) for a tracking, oldest first
+  getDelegateKeys: (trackingNumber) => {
+    try {
+      const delegates = readJSONFile(DELEGATES_FILE);
+      return (delegates[trackingNumber] || []).slice()
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    } catch (error) {
+      console.error('Error getting delegate keys:', error);
+      throw error;
+    }
+  },
+
+  // Find the active (not revoked, not expired) delegate matching a provided key
+  findDelegateKey: (trackingNumber, providedKey) => {
+    try {
+      const now = Date.now();
+      return database.getDelegateKeys(trackingNumber).find(delegate =>
+        !delegate.revoked_at
+        && (!delegate.expires_at || new Date(delegate.expires_at).getTime() > now)
+        && verifyUpdateKeyHash(delegate.key_hash, providedKey)
+      ) || null;
+    } catch (error) {
+      console.error('Error finding delegate key:', error);
+      throw error;
+    }
+  },
+
+  // Revoke a delegate key
+  revokeDelegateKey: (trackingNumber, delegateId) => {
+    try {
+      const delegates = readJSONFile(DELEGATES_FILE);
+      const delegate = (delegates[trackingNumber] || []).find(d => String(d.id) === String(delegateId));
+
+      if (!delegate || delegate.revoked_at) {
+        return false;
+      }
+
+      delegate.revoked_at = new Date().toISOString();
+      return writeJSONFile(DELEGATES_FILE, delegates);
+    } catch (error) {
+      console.error('Error revoking delegate key:', error);
+      throw error;
+    }
+  },
+
+  // Register a webhook for a tracking
+  createWebhook: (trackingId, trackingNumber, { url, secret, events, active = true }) => {
+    try {
+      const webhooks = readJSONFile(WEBHOOKS_FILE);
+
+      if (!webhooks[trackingNumber]) {
+        webhooks[trackingNumber] = [];
+      }
+
+      const webhook = {
+        id: Date.now() + Math.random(), // Ensure uniqueness
+        tracking_id: trackingId,
+        url,
+        secret,
+        events,
+        active,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+
+      webhooks[trackingNumber].push(webhook);
+      writeJSONFile(WEBHOOKS_FILE, webhooks);
+
+      return webhook;
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      throw error;
+    }
+  },
+
+  // Get all webhooks for a tracking, oldest first
+  getWebhooks: (trackingNumber) => {
+    try {
+      const webhooks = readJSONFile(WEBHOOKS_FILE);
+      return (webhooks[trackingNumber] || []).slice()
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    } catch (error) {
+      console.error('Error getting webhooks:', error);
+      throw error;
+    }
+  },
+
+  getWebhook: (trackingNumber, webhookId) => {
+    try {
+      const webhooks = readJSONFile(WEBHOOKS_FILE);
+      return (webhooks[trackingNumber] || []).find(w => String(w.id) === String(webhookId)) || null;
+    } catch (error) {
+      console.error('Error getting webhook:', error);
+      throw error;
+    }
+  },
+
+  // Change url, secret, events or active; omitted fields keep their value
+  // Returns the updated webhook, or null when it does not exist
+  updateWebhook: (trackingNumber, webhookId, changes) => {
+    try {
+      const webhooks = readJSONFile(WEBHOOKS_FILE);
+      const webhook = (webhooks[trackingNumber] || []).find(w => String(w.id) === String(webhookId));
+
+      if (!webhook) {
+        return null;
+      }
+
+      ['url', 'secret', 'events', 'active'].forEach(field => {
+        if (changes[field] !== undefined && changes[field] !== null) {
+          webhook[field] = changes[field];
+        }
+      });
+      webhook.updated_at = new Date().toISOString();
+
+      writeJSONFile(WEBHOOKS_FILE, webhooks);
+      return webhook;
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      throw error;
+    }
+  },
+
+  // Remove a webhook along with its queued and logged deliveries
+  deleteWebhook: (trackingNumber, webhookId) => {
+    try {
+      const webhooks = readJSONFile(WEBHOOKS_FILE);
+      const trackingWebhooks = webhooks[trackingNumber] || [];
+      const index = trackingWebhooks.findIndex(w => String(w.id) === String(webhookId));
+
+      if (index === -1) {
+        return false;
+      }
+
+      trackingWebhooks.splice(index, 1);
+      writeJSONFile(WEBHOOKS_FILE, webhooks);
+
+      const deliveries = readJSONFile(WEBHOOK_DELIVERIES_FILE);
+      if (deliveries[trackingNumber]) {
+        deliveries[trackingNumber] = deliveries[trackingNumber].filter(d => String(d.webhook_id) !== String(webhookId));
+        writeJSONFile(WEBHOOK_DELIVERIES_FILE, deliveries);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  },
+
+  // Queue a delivery, due immediately
+  createWebhookDelivery: (trackingNumber, { webhookId, event, payload }) => {
+    try {
+      const deliveries = readJSONFile(WEBHOOK_DELIVERIES_FILE);
+
+      if (!deliveries[trackingNumber]) {
+        deliveries[trackingNumber] = [];
+      }
+
+      const delivery = {
+        id: Date.now() + Math.random(), // Ensure uniqueness
+        webhook_id: webhookId,
+        tracking_number: trackingNumber,
+        event,
+        payload: payload || {},
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        last_attempt_at: null,
+        response_status: null,
+        last_error: null,
+        delivered_at: null,
+        created_at: new Date().toISOString()
+      };
+
+      deliveries[trackingNumber].push(delivery);
+      writeJSONFile(WEBHOOK_DELIVERIES_FILE, deliveries);
+
+      return delivery;
+    } catch (error) {
+      console.error('Error creating webhook delivery:', error);
+      throw error;
+    }
+  },
+
+  // Take up to `limit` due pending deliveries, pushing their next attempt to `leaseUntil`
+  // so nothing else picks them up while they are being sent
+  claimWebhookDeliveries: (limit, leaseUntil) => {
+    try {
+      const deliveries = readJSONFile(WEBHOOK_DELIVERIES_FILE);
+      const now = Date.now();
+
+      const due = Object.values(deliveries)
+        .flat()
+        .filter(d => d.status === 'pending' && new Date(d.next_attempt_at).getTime() <= now)
+        .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+        .slice(0, limit);
+
+      if (due.length === 0) {
+        return [];
+      }
+
+      due.forEach(delivery => {
+        delivery.next_attempt_at = leaseUntil;
+      });
+      writeJSONFile(WEBHOOK_DELIVERIES_FILE, deliveries);
+
+      return due;
+    } catch (error) {
+      console.error('Error claiming webhook deliveries:', error);
+      throw error;
+    }
+  },
+
+  // Store the outcome of a delivery attempt
+  recordWebhookAttempt: (trackingNumber, deliveryId, { status, attempts, nextAttemptAt, responseStatus, error: attemptError }) => {
+    try {
+      const deliveries = readJSONFile(WEBHOOK_DELIVERIES_FILE);
+      const delivery = (deliveries[trackingNumber] || []).find(d => String(d.id) === String(deliveryId));
+
+      if (!delivery) {
+        return false;
+      }
+
+      const now = new Date().toISOString();
+      Object.assign(delivery, {
+        status,
+        attempts,
+        next_attempt_at: nextAttemptAt || delivery.next_attempt_at,
+        last_attempt_at: now,
+        response_status: responseStatus ?? null,
+        last_error: attemptError || null,
+        delivered_at: status === 'delivered' ? now : null
+      });
+
+      return writeJSONFile(WEBHOOK_DELIVERIES_FILE, deliveries);
+    } catch (error) {
+      console.error('Error recording webhook attempt:', error);
+      throw error;
+    }
+  },
+
+  // Deliveries for one webhook, newest first
+  getWebhookDeliveries: (trackingNumber, webhookId, limit = 50) => {
+    try {
+      const deliveries = readJSONFile(WEBHOOK_DELIVERIES_FILE);
+      return (deliveries[trackingNumber] || [])
+        .filter(d => String(d.webhook_id) === String(webhookId))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      throw error;
+    }
+  },
+
+  // Keep only the newest `keep` finished deliveries of a webhook; pending ones are never pruned
+  // Returns how many were removed
+  pruneWebhookDeliveries: (trackingNumber, webhookId, keep) => {
+    try {
+      const deliveries = readJSONFile(WEBHOOK_DELIVERIES_FILE);
+      const stale = new Set((deliveries[trackingNumber] || [])
+        .filter(d => String(d.webhook_id) === String(webhookId) && d.status !== 'pending')
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(keep));
+
+      if (stale.size === 0) {
+        return 0;
+      }
+
+      deliveries[trackingNumber] = deliveries[trackingNumber].filter(d => !stale.has(d));
+      writeJSONFile(WEBHOOK_DELIVERIES_FILE, deliveries);
+      return stale.size;
+    } catch (error) {
+      console.error('Error pruning webhook deliveries:', error);
+      throw error;
+    }
+  },
+
+  // Add a viewer subscription; email subscriptions start unconfirmed
+  createSubscription: (trackingId, trackingNumber, { channel, email, pushSubscription, events, token, confirmed }) => {
+    try {
+      const subscriptions = readJSONFile(SUBSCRIPTIONS_FILE);
+
+      if (!subscriptions[trackingNumber]) {
+        subscriptions[trackingNumber] = [];
+      }
+
+      const subscription = {
+        id: Date.now() + Math.random(), // Ensure uniqueness
+        tracking_id: trackingId,
+        channel,
+        email: email || null,
+        push_subscription: pushSubscription || null,
+        events,
+        token,
+        confirmed_at: confirmed ? new Date().toISOString() : null,
+        created_at: new Date().toISOString()
+      };
+
+      subscriptions[trackingNumber].push(subscription);
+      writeJSONFile(SUBSCRIPTIONS_FILE, subscriptions);
+
+      return subscription;
+    } catch (error) {
+      console.error('Error creating subscription:', error);
+      throw error;
+    }
+  },
+
+  // Get all subscriptions (confirmed or not) for a tracking, oldest first
+  getSubscriptions: (trackingNumber) => {
+    try {
+      const subscriptions = readJSONFile(SUBSCRIPTIONS_FILE);
+      return (subscriptions[trackingNumber] || []).slice()
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    } catch (error) {
+      console.error('Error getting subscriptions:', error);
+      throw error;
+    }
+  },
+
+  // Find a subscription of any tracking by its token; includes tracking_number
+  getSubscriptionByToken: (token) => {
+    try {
+      const subscriptions = readJSONFile(SUBSCRIPTIONS_FILE);
+      for (const [trackingNumber, rows] of Object.entries(subscriptions)) {
+        const subscription = rows.find(s => s.token === token);
+        if (subscription) {
+          return { ...subscription, tracking_number: trackingNumber };
+        }
+      }
+      return null;
+    } catch (error) {
+      console.error('Error getting subscription by token:', error);
+      throw error;
+    }
+  },
+
+  // Mark a subscription confirmed (keeps the first confirmation time)
+  confirmSubscription: (trackingNumber, subscriptionId) => {
+    try {
+      const subscriptions = readJSONFile(SUBSCRIPTIONS_FILE);
+      const subscription = (subscriptions[trackingNumber] || []).find(s => String(s.id) === String(subscriptionId));
+
+      if (!subscription) {
+        return false;
+      }
+
+      if (!subscription.confirmed_at) {
+        subscription.confirmed_at = new Date().toISOString();
+        writeJSONFile(SUBSCRIPTIONS_FILE, subscriptions);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error confirming subscription:', error);
+      throw error;
+    }
+  },
+
+  deleteSubscription: (trackingNumber, subscriptionId) => {
+    try {
+      const subscriptions = readJSONFile(SUBSCRIPTIONS_FILE);
+      const trackingSubscriptions = subscriptions[trackingNumber] || [];
+      const index = trackingSubscriptions.findIndex(s => String(s.id) === String(subscriptionId));
+
+      if (index === -1) {
+        return false;
+      }
+
+      trackingSubscriptions.splice(index, 1);
+      return writeJSONFile(SUBSCRIPTIONS_FILE, subscriptions);
+    } catch (error) {
+      console.error('Error deleting subscription:', error);
+      throw error;
+    }
+  },
+
+  // Open (not delivered, not archived) trackings whose ETA is at or before `cutoff`
+  getOpenTrackingsDueBy: (cutoff) => {
+    try {
+      const trackings = readJSONFile(TRACKING_FILE);
+      const cutoffTime = new Date(cutoff).getTime();
+      return Object.values(trackings).filter(tracking =>
+        tracking.status !== 'Delivered'
+        && !tracking.archived_at
+        && new Date(tracking.eta).getTime() <= cutoffTime
+      );
+    } catch (error) {
+      console.error('Error getting trackings due by ETA:', error);
+      throw error;
+    }
+  },
+
+  // Fire a scheduled ETA rule once per ETA: moves the status from `fromStatus` to `toStatus` and records the ETA
+  // in the rule's marker, but only while the tracking still has that status and ETA and the rule has not fired for it
+  // Returns true when this call fired the rule
+  applyEtaRule: (trackingNumber, { rule, eta, fromStatus, toStatus }) => {
+    try {
+      const marker = etaRuleMarker(rule);
+      const trackings = readJSONFile(TRACKING_FILE);
+      const tracking = trackings[trackingNumber];
+      const etaTime = new Date(eta).getTime();
+
+      if (!tracking
+        || tracking.status !== fromStatus
+        || tracking.archived_at
+        || new Date(tracking.eta).getTime() !== etaTime
+        || (tracking[marker] && new Date(tracking[marker]).getTime() === etaTime)) {
+        return false;
+      }
+
+      tracking.status = toStatus;
+      tracking[marker] = new Date(etaTime).toISOString();
+      tracking.updated_at = new Date().toISOString();
+      return writeJSONFile(TRACKING_FILE, trackings);
+    } catch (error) {
+      console.error('Error applying ETA rule:', error);
+      throw error;
+    }
+  },
+
+  // Update who can view a tracking
+  updateVisibility: (trackingNumber, visibility, passcodeHash) => {
+    try {
+      const trackings = readJSONFile(TRACKING_FILE);
+
+      if (!trackings[trackingNumber]) {
+        return false;
+      }
+
+      trackings[trackingNumber].visibility = visibility;
+      trackings[trackingNumber].viewer_passcode_hash = passcodeHash || null;
+      trackings[trackingNumber].updated_at = new Date().toISOString();
+
+      return writeJSONFile(TRACKING_FILE, trackings);
+    } catch (error) {
+      console.error('Error updating visibility:', error);
+      throw error;
+    }
+  },
+
+  // Assign a tracking to a user account
+  setTrackingOwner: (trackingNumber, userId) => {
+    try {
+      const trackings = readJSONFile(TRACKING_FILE);
+
+      if (!trackings[trackingNumber]) {
+        return false;
+      }
+
+      trackings[trackingNumber].owner_user_id = userId;
+      trackings[trackingNumber].updated_at = new Date().toISOString();
+
+      return writeJSONFile(TRACKING_FILE, trackings);
+    } catch (error) {
+      console.error('Error setting tracking owner:', error);
+      throw error;
+    }
+  },
+
+  // Get trackings owned by a user, newest first
+  getTrackingsByOwner: (userId) => {
+    try {
+      const trackings = readJSONFile(TRACKING_FILE);
+      return Object.values(trackings)
+        .filter(tracking => tracking.owner_user_id === userId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    } catch (error) {
+      console.error('Error getting trackings by owner:', error);
+      throw error;
+    }
+  },
+
+  // Create a user account; returns null when the email is already registered
+  createUser: (email, passwordHash, displayName) => {
+    try {
+      const users = readJSONFile(USERS_FILE);
+
+      if (Object.values(users).some(user => user.email === email)) {
+        return null;
+      }
+
+      const user = {
+        id: String(Date.now() + Math.random()), // Ensure uniqueness
+        email,
+        password_hash: passwordHash,
+        display_name: displayName || null,
+        created_at: new Date().toISOString()
+      };
+
+      users[user.id] = user;
+      writeJSONFile(USERS_FILE, users);
+
+      return user;
+    } catch (error) {
+      console.error('Error creating user:', error);
+      throw error;
+    }
+  },
+
+  // Get user by email
+  getUserByEmail: (email) => {
+    try {
+      const users = readJSONFile(USERS_FILE);
+      return Object.values(users).find(user => user.email === email) || null;
+    } catch (error) {
+      console.error('Error getting user by email:', error);
+      throw error;
+    }
+  },
+
+  // Get user by id
+  getUserById: (userId) => {
+    try {
+      const users = readJSONFile(USERS_FILE);
+      return users[userId] || null;
+    } catch (error) {
+      console.error('Error getting user:', error);
+      throw error;
+    }
+  },
+
+  // Create a session for a user, keyed by the hash of its token
+  createSession: (userId, tokenHash, expiresAt) => {
+    try {
+      const sessions = readJSONFile(SESSIONS_FILE);
+
+      // Drop expired sessions while we are rewriting the file anyway
+      const now = Date.now();
+      Object.keys(sessions).forEach(hash => {
+        if (new Date(sessions[hash].expires_at).getTime() <= now) {
+          delete sessions[hash];
+        }
+      });
+
+      sessions[tokenHash] = {
+        token_hash: tokenHash,
+        user_id: userId,
+        expires_at: expiresAt,
+        created_at: new Date().toISOString()
+      };
+      writeJSONFile(SESSIONS_FILE, sessions);
+
+      return sessions[tokenHash];
+    } catch (error) {
+      console.error('Error creating session:', error);
+      throw error;
+    }
+  },
+
+  // Get an unexpired session by token hash
+  getSession: (tokenHash) => {
+    try {
+      const sessions = readJSONFile(SESSIONS_FILE);
+      const session = sessions[tokenHash];
+      if (!session || new Date(session.expires_at).getTime() <= Date.now()) {
+        return null;
+      }
+      return session;
+    } catch (error) {
+      console.error('Error getting session:', error);
+      throw error;
+    }
+  },
+
+  // Delete a session (logout)
+  deleteSession: (tokenHash) => {
+    try {
+      const sessions = readJSONFile(SESSIONS_FILE);
+
+      if (!sessions[tokenHash]) {
+        return false;
+      }
+
+      delete sessions[tokenHash];
+      return writeJSONFile(SESSIONS_FILE, sessions);
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      throw error;
+    }
+  },
+
+  // Archive (archivedAt as ISO string) or unarchive (null) a tracking
+  setArchived: (trackingNumber, archivedAt) => {
+    try {
+      const trackings = readJSONFile(TRACKING_FILE);
+
+      if (!trackings[trackingNumber]) {
+        return false;
+      }
+
+      trackings[trackingNumber].archived_at = archivedAt;
+      trackings[trackingNumber].updated_at = new Date().toISOString();
+
+      return writeJSONFile(TRACKING_FILE, trackings);
+    } catch (error) {
+      console.error('Error archiving tracking:', error);
+      throw error;
+    }
+  },
+
+  // Delete a tracking with its records, history, events and delegate keys
+  deleteTracking: (trackingNumber) => {
+    try {
+      if (!database.getTracking(trackingNumber)) {
+        return false;
+      }
+
+      removeTrackings([trackingNumber]);
+      return true;
+    } catch (error) {
+      console.error('Error deleting tracking:', error);
+      throw error;
+    }
+  },
+
+  // Delete delivered or archived trackings untouched since `cutoff`; returns the purged tracking numbers
+  purgeClosedTrackings: (cutoff) => {
+    try {
+      const trackings = readJSONFile(TRACKING_FILE);
+      const cutoffTime = new Date(cutoff).getTime();
+
+      const purged = Object.values(trackings)
+        .filter(tracking => (tracking.status === 'Delivered' || tracking.archived_at)
+          && new Date(tracking.updated_at).getTime() < cutoffTime)
+        .map(tracking => tracking.tracking_number);
+
+      if (purged.length > 0) {
+        removeTrackings(purged);
+      }
+      return purged;
+    } catch (error) {
+      console.error('Error purging closed trackings:', error);
+      throw error;
+    }
+  },
+
   // Get all trackings (for debugging)
   getAllTrackings: () => {
     try {
-      return readJSONFile(TRACKING_FILE);
+      return Object.values(readJSONFile(TRACKING_FILE));
     } catch (error) {
       console.error('Error getting all trackings:', error);
       throw error;
     }
-  }
+  },
+
+  // Files cannot be rolled back, so this only runs `fn`; callers check everything they can before writing
+  transaction: (fn) => fn()
 };
 
 // Initialize database on require
 initializeDatabase();
+flushOnExit();
+
+// The store hands out its cached data, so callers get copies of whatever we return
+const returnsCopy = (fn) => (...args) => {
+  const result = fn(...args);
+  return result === undefined ? result : structuredClone(result);
+};
 
 // Export database operations
 module.exports = {
-  createTracking: database.createTracking,
-  getTracking: database.getTracking,
-  updateEta: database.updateEta,
-  updateDestination: database.updateDestination,
-  updateStatus: database.updateStatus,
-  addTrackRecord: database.addTrackRecord,
-  getTrackRecords: database.getTrackRecords,
-  removeDeliveryRecords: database.removeDeliveryRecords,
-  getTrackingWithRecords: database.getTrackingWithRecords,
-  verifyUpdateKey: database.verifyUpdateKey,
-  getAllTrackings: database.getAllTrackings
+  createTracking: returnsCopy(database.createTracking),
+  getTracking: returnsCopy(database.getTracking),
+  updateEta: returnsCopy(database.updateEta),
+  updateDestination: returnsCopy(database.updateDestination),
+  updateStatus: returnsCopy(database.updateStatus),
+  addTrackRecord: returnsCopy(database.addTrackRecord),
+  getTrackRecords: returnsCopy(database.getTrackRecords),
+  updateTrackRecord: returnsCopy(database.updateTrackRecord),
+  deleteTrackRecord: returnsCopy(database.deleteTrackRecord),
+  appendEvent: returnsCopy(database.appendEvent),
+  getEvents: returnsCopy(database.getEvents),
+  addStatusHistory: returnsCopy(database.addStatusHistory),
+  getStatusHistory: returnsCopy(database.getStatusHistory),
+  getTrackingWithRecords: returnsCopy(database.getTrackingWithRecords),
+  verifyUpdateKey: returnsCopy(database.verifyUpdateKey),
+  rotateUpdateKey: returnsCopy(database.rotateUpdateKey),
+  createDelegateKey: returnsCopy(database.createDelegateKey),
+  getDelegateKeys: returnsCopy(database.getDelegateKeys),
+  findDelegateKey: returnsCopy(database.findDelegateKey),
+  revokeDelegateKey: returnsCopy(database.revokeDelegateKey),
+  createWebhook: returnsCopy(database.createWebhook),
+  getWebhooks: returnsCopy(database.getWebhooks),
+  getWebhook: returnsCopy(database.getWebhook),
+  updateWebhook: returnsCopy(database.updateWebhook),
+  deleteWebhook: returnsCopy(database.deleteWebhook),
+  createWebhookDelivery: returnsCopy(database.createWebhookDelivery),
+  claimWebhookDeliveries: returnsCopy(database.claimWebhookDeliveries),
+  recordWebhookAttempt: returnsCopy(database.recordWebhookAttempt),
+  getWebhookDeliveries: returnsCopy(database.getWebhookDeliveries),
+  pruneWebhookDeliveries: returnsCopy(database.pruneWebhookDeliveries),
+  createSubscription: returnsCopy(database.createSubscription),
+  getSubscriptions: returnsCopy(database.getSubscriptions),
+  getSubscriptionByToken: returnsCopy(database.getSubscriptionByToken),
+  confirmSubscription: returnsCopy(database.confirmSubscription),
+  deleteSubscription: returnsCopy(database.deleteSubscription),
+  getOpenTrackingsDueBy: returnsCopy(database.getOpenTrackingsDueBy),
+  applyEtaRule: returnsCopy(database.applyEtaRule),
+  updateVisibility: returnsCopy(database.updateVisibility),
+  setTrackingOwner: returnsCopy(database.setTrackingOwner),
+  getTrackingsByOwner: returnsCopy(database.getTrackingsByOwner),
+  createUser: returnsCopy(database.createUser),
+  getUserByEmail: returnsCopy(database.getUserByEmail),
+  getUserById: returnsCopy(database.getUserById),
+  createSession: returnsCopy(database.createSession),
+  getSession: returnsCopy(database.getSession),
+  deleteSession: returnsCopy(database.deleteSession),
+  setArchived: returnsCopy(database.setArchived),
+  deleteTracking: returnsCopy(database.deleteTracking),
+  purgeClosedTrackings: returnsCopy(database.purgeClosedTrackings),
+  getAllTrackings: returnsCopy(database.getAllTrackings),
+  transaction: database.transaction,
+  flush: store.flush
 };
\ No newline at end of file
@@ -0,0 +1,480 @@
+// database_memory.js
+// Pure in-memory storage with the same interface as database.js and database_pg.js (DB_MODE=memory)
+// Nothing touches disk and everything is lost on exit; meant for tests and throwaway local runs
+const { randomUUID } = require('crypto');
+const { hashUpdateKey, verifyUpdateKeyHash } = require('./update_keys');
+const { ETA_RULE_MARKERS } = require('./status_machine');
+
+// trackingNumber -> tracking, and trackingNumber -> [rows] for the per-tracking tables
+let trackings = new Map();
+let records = new Map();
+let statusHistory = new Map();
+let events = new Map();
+let delegates = new Map();
+let webhooks = new Map();
+let webhookDeliveries = new Map();
+let subscriptions = new Map();
+let users = new Map(); // id -> user
+let sessions = new Map(); // tokenHash -> session
+
+// Callers get copies, like the other backends, so mutating a result never changes stored data
+const copy = (value) => (value === null || value === undefined ? value : structuredClone(value));
+
+const now = () => new Date().toISOString();
+
+const byTime = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+const rowsOf = (table, trackingNumber) => {
+  if (!table.has(trackingNumber)) {
+    table.set(trackingNumber, []);
+  }
+  return table.get(trackingNumber);
+};
+
+// Apply a change to a stored tracking; returns false when it does not exist
+const touchTracking = (trackingNumber, changes) => {
+  const tracking = trackings.get(trackingNumber);
+  if (!tracking) return false;
+  Object.assign(tracking, changes, { updated_at: now() });
+  return true;
+};
+
+const findWebhook = (trackingNumber, webhookId) => (webhooks.get(trackingNumber) || [])
+  .find(w => String(w.id) === String(webhookId));
+
+const removeTrackings = (trackingNumbers) => {
+  trackingNumbers.forEach(trackingNumber => {
+    [trackings, records, statusHistory, events, delegates, webhooks, webhookDeliveries, subscriptions].forEach(table => table.delete(trackingNumber));
+  });
+};
+
+const database = {
+  createTracking: (trackingNumber, kissProvider, destination, eta, updateKey, destinationCoordinates = {}) => {
+    const tracking = {
+      id: randomUUID(),
+      tracking_number: trackingNumber,
+      kiss_provider: kissProvider,
+      destination,
+      destination_latitude: destinationCoordinates.latitude ?? null,
+      destination_longitude: destinationCoordinates.longitude ?? null,
+      eta,
+      status: 'Preparing',
+      update_key: hashUpdateKey(updateKey),
+      owner_user_id: null,
+      visibility: 'public',
+      viewer_passcode_hash: null,
+      archived_at: null,
+      overdue_fired_eta: null,
+      out_for_delivery_fired_eta: null,
+      created_at: now(),
+      updated_at: now()
+    };
+    trackings.set(trackingNumber, tracking);
+    return tracking.id;
+  },
+
+  getTracking: (trackingNumber) => copy(trackings.get(trackingNumber) || null),
+
+  updateEta: (trackingNumber, newEta) => touchTracking(trackingNumber, { eta: newEta }),
+
+  updateDestination: (trackingNumber, newDestination, coordinates = {}) => touchTracking(trackingNumber, {
+    destination: newDestination,
+    destination_latitude: coordinates.latitude ?? null,
+    destination_longitude: coordinates.longitude ?? null
+  }),
+
+  updateStatus: (trackingNumber, newStatus) => touchTracking(trackingNumber, { status: newStatus }),
+
+  addTrackRecord: (trackingId, trackingNumber, location, geo = {}) => {
+    const record = {
+      id: randomUUID(),
+      tracking_id: trackingId,
+      location,
+      latitude: geo.latitude ?? null,
+      longitude: geo.longitude ?? null,
+      accuracy: geo.accuracy ?? null,
+      label: geo.label ?? null,
+      timestamp: now()
+    };
+    rowsOf(records, trackingNumber).push(record);
+    return record.id;
+  },
+
+  getTrackRecords: (trackingNumber) => copy((records.get(trackingNumber) || []).slice().sort(byTime('timestamp'))),
+
+  // Omitted fields keep their value; null clears the optional ones (location and timestamp always keep a value)
+  updateTrackRecord: (trackingNumber, recordId, changes) => {
+    const record = (records.get(trackingNumber) || []).find(r => String(r.id) === String(recordId));
+    if (!record) return null;
+
+    ['location', 'timestamp'].forEach(field => {
+      if (changes[field] !== undefined && changes[field] !== null) {
+        record[field] = changes[field];
+      }
+    });
+    ['latitude', 'longitude', 'accuracy', 'label'].forEach(field => {
+      if (changes[field] !== undefined) {
+        record[field] = changes[field];
+      }
+    });
+    return copy(record);
+  },
+
+  deleteTrackRecord: (trackingNumber, recordId) => {
+    const trackingRecords = records.get(trackingNumber) || [];
+    const index = trackingRecords.findIndex(r => String(r.id) === String(recordId));
+    if (index === -1) return null;
+    return trackingRecords.splice(index, 1)[0];
+  },
+
+  appendEvent: (trackingId, trackingNumber, type, data) => {
+    const event = {
+      id: randomUUID(),
+      tracking_id: trackingId,
+      type,
+      data: copy(data || {}),
+      created_at: now()
+    };
+    rowsOf(events, trackingNumber).push(event);
+    return copy(event);
+  },
+
+  getEvents: (trackingNumber) => copy((events.get(trackingNumber) || []).slice().sort(byTime('created_at'))),
+
+  addStatusHistory: (trackingId, trackingNumber, fromStatus, toStatus, note, forced) => {
+    const entry = {
+      id: randomUUID(),
+      tracking_id: trackingId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      note: note || null,
+      forced: Boolean(forced),
+      changed_at: now()
+    };
+    rowsOf(statusHistory, trackingNumber).push(entry);
+    return copy(entry);
+  },
+
+  getStatusHistory: (trackingNumber) => copy((statusHistory.get(trackingNumber) || []).slice().sort(byTime('changed_at'))),
+
+  getTrackingWithRecords: (trackingNumber) => {
+    const tracking = database.getTracking(trackingNumber);
+    if (!tracking) return null;
+    return { ...tracking, records: database.getTrackRecords(trackingNumber) };
+  },
+
+  verifyUpdateKey: (trackingNumber, providedKey) => {
+    const tracking = trackings.get(trackingNumber);
+    if (!tracking) return false;
+    return verifyUpdateKeyHash(tracking.update_key, providedKey);
+  },
+
+  rotateUpdateKey: (trackingNumber, newKey) => touchTracking(trackingNumber, { update_key: hashUpdateKey(newKey) }),
+
+  createDelegateKey: (trackingId, trackingNumber, { key, label, scopes, expiresAt }) => {
+    const delegate = {
+      id: randomUUID(),
+      tracking_id: trackingId,
+      key_hash: hashUpdateKey(key),
+      label: label || null,
+      scopes: [...scopes],
+      expires_at: expiresAt || null,
+      revoked_at: null,
+      created_at: now()
+    };
+    rowsOf(delegates, trackingNumber).push(delegate);
+    return copy(delegate);
+  },
+
+  getDelegateKeys: (trackingNumber) => copy((delegates.get(trackingNumber) || []).slice().sort(byTime('created_at'))),
+
+  findDelegateKey: (trackingNumber, providedKey) => {
+    const time = Date.now();
+    const delegate = (delegates.get(trackingNumber) || []).find(d =>
+      !d.revoked_at
+      && (!d.expires_at || new Date(d.expires_at).getTime() > time)
+      && verifyUpdateKeyHash(d.key_hash, providedKey)
+    );
+    return copy(delegate || null);
+  },
+
+  revokeDelegateKey: (trackingNumber, delegateId) => {
+    const delegate = (delegates.get(trackingNumber) || []).find(d => String(d.id) === String(delegateId));
+    if (!delegate || delegate.revoked_at) return false;
+    delegate.revoked_at = now();
+    return true;
+  },
+
+  createWebhook: (trackingId, trackingNumber, { url, secret, events, active = true }) => {
+    const webhook = {
+      id: randomUUID(),
+      tracking_id: trackingId,
+      url,
+      secret,
+      events: [...events],
+      active,
+      created_at: now(),
+      updated_at: now()
+    };
+    rowsOf(webhooks, trackingNumber).push(webhook);
+    return copy(webhook);
+  },
+
+  getWebhooks: (trackingNumber) => copy((webhooks.get(trackingNumber) || []).slice().sort(byTime('created_at'))),
+
+  getWebhook: (trackingNumber, webhookId) => copy(findWebhook(trackingNumber, webhookId) || null),
+
+  // Omitted (or null) fields keep their value
+  updateWebhook: (trackingNumber, webhookId, changes) => {
+    const webhook = findWebhook(trackingNumber, webhookId);
+    if (!webhook) return null;
+
+    ['url', 'secret', 'events', 'active'].forEach(field => {
+      if (changes[field] !== undefined && changes[field] !== null) {
+        webhook[field] = copy(changes[field]);
+      }
+    });
+    webhook.updated_at = now();
+    return copy(webhook);
+  },
+
+  deleteWebhook: (trackingNumber, webhookId) => {
+    const trackingWebhooks = webhooks.get(trackingNumber) || [];
+    const index = trackingWebhooks.findIndex(w => String(w.id) === String(webhookId));
+    if (index === -1) return false;
+    trackingWebhooks.splice(index, 1);
+    if (webhookDeliveries.has(trackingNumber)) {
+      webhookDeliveries.set(trackingNumber, webhookDeliveries.get(trackingNumber)
+        .filter(d => String(d.webhook_id) !== String(webhookId)));
+    }
+    return true;
+  },
+
+  createWebhookDelivery: (trackingNumber, { webhookId, event, payload }) => {
+    const delivery = {
+      id: randomUUID(),
+      webhook_id: webhookId,
+      tracking_number: trackingNumber,
+      event,
+      payload: copy(payload || {}),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now(),
+      last_attempt_at: null,
+      response_status: null,
+      last_error: null,
+      delivered_at: null,
+      created_at: now()
+    };
+    rowsOf(webhookDeliveries, trackingNumber).push(delivery);
+    return copy(delivery);
+  },
+
+  claimWebhookDeliveries: (limit, leaseUntil) => {
+    const time = Date.now();
+    const due = [...webhookDeliveries.values()]
+      .flat()
+      .filter(d => d.status === 'pending' && new Date(d.next_attempt_at).getTime() <= time)
+      .sort(byTime('next_attempt_at'))
+      .slice(0, limit);
+    due.forEach(delivery => {
+      delivery.next_attempt_at = leaseUntil;
+    });
+    return copy(due);
+  },
+
+  recordWebhookAttempt: (trackingNumber, deliveryId, { status, attempts, nextAttemptAt, responseStatus, error }) => {
+    const delivery = (webhookDeliveries.get(trackingNumber) || []).find(d => String(d.id) === String(deliveryId));
+    if (!delivery) return false;
+
+    Object.assign(delivery, {
+      status,
+      attempts,
+      next_attempt_at: nextAttemptAt || delivery.next_attempt_at,
+      last_attempt_at: now(),
+      response_status: responseStatus ?? null,
+      last_error: error || null,
+      delivered_at: status === 'delivered' ? now() : null
+    });
+    return true;
+  },
+
+  // Newest first
+  getWebhookDeliveries: (trackingNumber, webhookId, limit = 50) => copy((webhookDeliveries.get(trackingNumber) || [])
+    .filter(d => String(d.webhook_id) === String(webhookId))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit)),
+
+  // Pending deliveries are never pruned
+  pruneWebhookDeliveries: (trackingNumber, webhookId, keep) => {
+    const stale = new Set((webhookDeliveries.get(trackingNumber) || [])
+      .filter(d => String(d.webhook_id) === String(webhookId) && d.status !== 'pending')
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(keep));
+    if (stale.size > 0) {
+      webhookDeliveries.set(trackingNumber, webhookDeliveries.get(trackingNumber).filter(d => !stale.has(d)));
+    }
+    return stale.size;
+  },
+
+  createSubscription: (trackingId, trackingNumber, { channel, email, pushSubscription, events, token, confirmed }) => {
+    const subscription = {
+      id: randomUUID(),
+      tracking_id: trackingId,
+      channel,
+      email: email || null,
+      push_subscription: copy(pushSubscription || null),
+      events: [...events],
+      token,
+      confirmed_at: confirmed ? now() : null,
+      created_at: now()
+    };
+    rowsOf(subscriptions, trackingNumber).push(subscription);
+    return copy(subscription);
+  },
+
+  getSubscriptions: (trackingNumber) => copy((subscriptions.get(trackingNumber) || []).slice().sort(byTime('created_at'))),
+
+  getSubscriptionByToken: (token) => {
+    for (const [trackingNumber, rows] of subscriptions) {
+      const subscription = rows.find(s => s.token === token);
+      if (subscription) return { ...copy(subscription), tracking_number: trackingNumber };
+    }
+    return null;
+  },
+
+  confirmSubscription: (trackingNumber, subscriptionId) => {
+    const subscription = (subscriptions.get(trackingNumber) || []).find(s => String(s.id) === String(subscriptionId));
+    if (!subscription) return false;
+    subscription.confirmed_at = subscription.confirmed_at || now();
+    return true;
+  },
+
+  deleteSubscription: (trackingNumber, subscriptionId) => {
+    const trackingSubscriptions = subscriptions.get(trackingNumber) || [];
+    const index = trackingSubscriptions.findIndex(s => String(s.id) === String(subscriptionId));
+    if (index === -1) return false;
+    trackingSubscriptions.splice(index, 1);
+    return true;
+  },
+
+  getOpenTrackingsDueBy: (cutoff) => {
+    const cutoffTime = new Date(cutoff).getTime();
+    return copy([...trackings.values()].filter(tracking =>
+      tracking.status !== 'Delivered'
+      && !tracking.archived_at
+      && new Date(tracking.eta).getTime() <= cutoffTime
+    ));
+  },
+
+  // Compare-and-set: fires only while the tracking still has `fromStatus` and `eta` and the rule has not fired for it
+  applyEtaRule: (trackingNumber, { rule, eta, fromStatus, toStatus }) => {
+    const marker = ETA_RULE_MARKERS[rule];
+    if (!marker) throw new Error(`Unknown ETA rule: ${rule}`);
+
+    const tracking = trackings.get(trackingNumber);
+    const etaTime = new Date(eta).getTime();
+    if (!tracking
+      || tracking.status !== fromStatus
+      || tracking.archived_at
+      || new Date(tracking.eta).getTime() !== etaTime
+      || (tracking[marker] && new Date(tracking[marker]).getTime() === etaTime)) {
+      return false;
+    }
+
+    return touchTracking(trackingNumber, { status: toStatus, [marker]: new Date(etaTime).toISOString() });
+  },
+
+  updateVisibility: (trackingNumber, visibility, passcodeHash) => touchTracking(trackingNumber, {
+    visibility,
+    viewer_passcode_hash: passcodeHash || null
+  }),
+
+  setTrackingOwner: (trackingNumber, userId) => touchTracking(trackingNumber, { owner_user_id: userId }),
+
+  // Newest first
+  getTrackingsByOwner: (userId) => copy([...trackings.values()]
+    .filter(tracking => tracking.owner_user_id === userId)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))),
+
+  // Returns null when the email is already registered
+  createUser: (email, passwordHash, displayName) => {
+    if ([...users.values()].some(user => user.email === email)) {
+      return null;
+    }
+    const user = {
+      id: randomUUID(),
+      email,
+      password_hash: passwordHash,
+      display_name: displayName || null,
+      created_at: now()
+    };
+    users.set(user.id, user);
+    return copy(user);
+  },
+
+  getUserByEmail: (email) => copy([...users.values()].find(user => user.email === email) || null),
+
+  getUserById: (userId) => copy(users.get(userId) || null),
+
+  createSession: (userId, tokenHash, expiresAt) => {
+    const session = {
+      token_hash: tokenHash,
+      user_id: userId,
+      expires_at: expiresAt,
+      created_at: now()
+    };
+    sessions.set(tokenHash, session);
+    return copy(session);
+  },
+
+  getSession: (tokenHash) => {
+    const session = sessions.get(tokenHash);
+    if (!session || new Date(session.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+    return copy(session);
+  },
+
+  deleteSession: (tokenHash) => sessions.delete(tokenHash),
+
+  setArchived: (trackingNumber, archivedAt) => touchTracking(trackingNumber, { archived_at: archivedAt }),
+
+  deleteTracking: (trackingNumber) => {
+    if (!trackings.has(trackingNumber)) return false;
+    removeTrackings([trackingNumber]);
+    return true;
+  },
+
+  // Delete delivered or archived trackings untouched since `cutoff`; returns the purged tracking numbers
+  purgeClosedTrackings: (cutoff) => {
+    const cutoffTime = new Date(cutoff).getTime();
+    const purged = [...trackings.values()]
+      .filter(tracking => (tracking.status === 'Delivered' || tracking.archived_at)
+        && new Date(tracking.updated_at).getTime() < cutoffTime)
+      .map(tracking => tracking.tracking_number);
+    removeTrackings(purged);
+    return purged;
+  },
+
+  getAllTrackings: () => copy([...trackings.values()]),
+
+  // No rollback, like the JSON backend: this only runs `fn`
+  transaction: (fn) => fn(),
+
+  // Drop everything (between tests)
+  reset: () => {
+    trackings = new Map();
+    records = new Map();
+    statusHistory = new Map();
+    events = new Map();
+    delegates = new Map();
+    webhooks = new Map();
+    webhookDeliveries = new Map();
+    subscriptions = new Map();
+    users = new Map();
+    sessions = new Map();
+  }
+};
+
+module.exports = database;
@@ -1,4 +1,8 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
+const { hashUpdateKey, verifyUpdateKeyHash } = require('./update_keys');
+const { MIGRATE_ON_STARTUP, assertUpToDate, migratePostgres, postgresStatus } = require('./migrations');
+const { ETA_RULE_MARKERS } = require('./status_machine');
 require('dotenv').config();
 
 const connectionString = process.env.DATABASE_URL;
@@ -8,66 +12,25 @@ if (!connectionString) {
 
 const pool = new Pool({ connectionString, ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false });
 
-// Initialize schema: trackings and track_records
+// Initialize schema by applying pending migrations (see migrations.js)
 let initialized = false;
 const init = async () => {
   if (initialized) return; // Prevent double initialization
-  
-  const client = await pool.connect();
+
   try {
-    await client.query('BEGIN');
-
-    // Create schema (optional) and tables
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS trackings (
-        id UUID PRIMARY KEY,
-        tracking_number TEXT UNIQUE NOT NULL,
-        kiss_provider TEXT NOT NULL,
-        destination TEXT NOT NULL,
-        eta TIMESTAMP WITH TIME ZONE NOT NULL,
-        status TEXT NOT NULL DEFAULT 'Preparing',
-        update_key TEXT NOT NULL,
-        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
-        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
-      );
-    `);
-
-    // Add status column to existing trackings if it doesn't exist
-    await client.query(`
-      ALTER TABLE trackings 
-      ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'Preparing';
-    `);
-
-    // Add timezone and locale columns for creator preferences
-    await client.query(`
-      ALTER TABLE trackings 
-      ADD COLUMN IF NOT EXISTS creator_timezone TEXT DEFAULT 'Europe/Zurich';
-    `);
-
-    await client.query(`
-      ALTER TABLE trackings 
-      ADD COLUMN IF NOT EXISTS creator_locale TEXT DEFAULT 'en-CH';
-    `);
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS track_records (
-        id UUID PRIMARY KEY,
-        tracking_id UUID REFERENCES trackings(id) ON DELETE CASCADE,
-        tracking_number TEXT NOT NULL,
-        location TEXT NOT NULL,
-        timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
-      );
-    `);
-
-    await client.query('COMMIT');
+    if (MIGRATE_ON_STARTUP) {
+      const applied = await migratePostgres(pool);
+      if (applied.length > 0) {
+        console.log(`🔧 Applied ${applied.length} migrations`);
+      }
+    } else {
+      assertUpToDate(await postgresStatus(pool));
+    }
     initialized = true;
     console.log('✅ PostgreSQL schema initialized');
   } catch (err) {
-    await client.query('ROLLBACK');
     console.error('Error initializing PostgreSQL schema:', err);
     throw err;
-  } finally {
-    client.release();
   }
 };
 
@@ -79,16 +42,32 @@ const generateUUID = () => {
   return randomUUID();
 };
 
+// Client of the transaction the current call runs in (see database.transaction)
+const transactionClient = new AsyncLocalStorage();
+
+// Inside a transaction every method uses its client, which stays checked out until the transaction ends
+const connect = async () => {
+  const client = transactionClient.getStore();
+  if (!client) return pool.connect();
+  return { query: (...args) => client.query(...args), release: () => {} };
+};
+
 // Exposed API (async)
+// Rule names map to fixed column names, so interpolating them into SQL is safe
+const etaRuleMarker = (rule) => {
+  if (!ETA_RULE_MARKERS[rule]) throw new Error(`Unknown ETA rule: ${rule}`);
+  return ETA_RULE_MARKERS[rule];
+};
+
 const database = {
-  createTracking: async (trackingNumber, kissProvider, destination, eta, updateKey) => {
+  createTracking: async (trackingNumber, kissProvider, destination, eta, updateKey, destinationCoordinates = {}) => {
     const id = generateUUID();
-    const client = await pool.connect();
+    const client = await connect();
     try {
       const res = await client.query(
-        `INSERT INTO trackings (id, tracking_number, kiss_provider, destination, eta, status, update_key, created_at, updated_at)
-         VALUES ($1,$2,$3,$4,$5,$6,$7, now(), now()) RETURNING id`,
-        [id, trackingNumber, kissProvider, destination, eta, 'Preparing', updateKey]
+        `INSERT INTO trackings (id, tracking_number, kiss_provider, destination, destination_latitude, destination_longitude, eta, status, update_key, created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9, now(), now()) RETURNING id`,
+        [id, trackingNumber, kissProvider, destination, destinationCoordinates.latitude ?? null, destinationCoordinates.longitude ?? null, eta, 'Preparing', hashUpdateKey(updateKey)]
       );
       return res.rows[0].id;
     } finally {
@@ -97,7 +76,7 @@ const database = {
   },
 
   getTracking: async (trackingNumber) => {
-    const client = await pool.connect();
+    const client = await connect();
     try {
       const res = await client.query('SELECT * FROM trackings WHERE tracking_number = $1', [trackingNumber]);
       return res.rows[0] || null;
@@ -107,7 +86,7 @@ const database = {
   },
 
   updateEta: async (trackingNumber, newEta) => {
-    const client = await pool.connect();
+    const client = await connect();
     try {
       const res = await client.query(
         'UPDATE trackings SET eta = $1, updated_at = now() WHERE tracking_number = $2 RETURNING id',
@@ -119,12 +98,13 @@ const database = {
     }
   },
 
-  updateDestination: async (trackingNumber, newDestination) => {
-    const client = await pool.connect();
+  updateDestination: async (trackingNumber, newDestination, coordinates = {}) => {
+    const client = await connect();
     try {
       const res = await client.query(
-        'UPDATE trackings SET destination = $1, updated_at = now() WHERE tracking_number = $2 RETURNING id',
-        [newDestination, trackingNumber]
+        `UPDATE trackings SET destination = $1, destination_latitude = $2, destination_longitude = $3, updated_at = now()
+         WHERE tracking_number = $4 RETURNING id`,
+        [newDestination, coordinates.latitude ?? null, coordinates.longitude ?? null, trackingNumber]
       );
       return res.rowCount > 0;
     } finally {
@@ -133,7 +113,7 @@ const database = {
   },
 
   updateStatus: async (trackingNumber, newStatus) => {
-    const client = await pool.connect();
+    const client = await connect();
     try {
       const res = await client.query(
         'UPDATE trackings SET status = $1, updated_at = now() WHERE tracking_number = $2 RETURNING id',
@@ -145,14 +125,14 @@ const database = {
     }
   },
 
-  addTrackRecord: async (trackingId, trackingNumber, location) => {
+  addTrackRecord: async (trackingId, trackingNumber, location, geo = {}) => {
     const id = generateUUID();
-    const client = await pool.connect();
+    const client = await connect();
     try {
       await client.query(
-        `INSERT INTO track_records (id, tracking_id, tracking_number, location, timestamp)
-         VALUES ($1,$2,$3,$4, now())`,
-        [id, trackingId, trackingNumber, location]
+        `INSERT INTO track_records (id, tracking_id, tracking_number, location, latitude, longitude, accuracy, label, timestamp)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8, clock_timestamp())`,
+        [id, trackingId, trackingNumber, location, geo.latitude ?? null, geo.longitude ?? null, geo.accuracy ?? null, geo.label ?? null]
       );
       return id;
     } finally {
@@ -161,7 +141,7 @@ const database = {
   },
 
   getTrackRecords: async (trackingNumber) => {
-    const client = await pool.connect();
+    const client = await connect();
     try {
       const res = await client.query('SELECT * FROM track_records WHERE tracking_number = $1 ORDER BY timestamp ASC', [trackingNumber]);
       return res.rows || [];
@@ -170,14 +150,105 @@ const database = {
     }
   },
 
-  removeDeliveryRecords: async (trackingNumber) => {
-    const client = await pool.connect();
+  // Omitted (undefined) changes keep the current value
+  // Omitted fields keep their value; null clears the optional ones (location and timestamp always keep a value)
+  updateTrackRecord: async (trackingNumber, recordId, changes) => {
+    const provided = ['latitude', 'longitude', 'accuracy', 'label'].filter(field => changes[field] !== undefined);
+    const client = await connect();
     try {
+      // Compare as text so malformed ids simply match nothing
       const res = await client.query(
-        'DELETE FROM track_records WHERE tracking_number = $1 AND location = $2',
-        [trackingNumber, 'Delivered']
+        `UPDATE track_records SET
+           location = COALESCE($3, location),
+           latitude = CASE WHEN 'latitude' = ANY($9::text[]) THEN $4::double precision ELSE latitude END,
+           longitude = CASE WHEN 'longitude' = ANY($9::text[]) THEN $5::double precision ELSE longitude END,
+           accuracy = CASE WHEN 'accuracy' = ANY($9::text[]) THEN $6::double precision ELSE accuracy END,
+           label = CASE WHEN 'label' = ANY($9::text[]) THEN $7::text ELSE label END,
+           timestamp = COALESCE($8, timestamp)
+         WHERE tracking_number = $1 AND id::text = $2
+         RETURNING *`,
+        [
+          trackingNumber,
+          String(recordId),
+          changes.location ?? null,
+          changes.latitude ?? null,
+          changes.longitude ?? null,
+          changes.accuracy ?? null,
+          changes.label ?? null,
+          changes.timestamp ?? null,
+          provided
+        ]
       );
-      return res.rowCount > 0;
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  deleteTrackRecord: async (trackingNumber, recordId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'DELETE FROM track_records WHERE tracking_number = $1 AND id::text = $2 RETURNING *',
+        [trackingNumber, String(recordId)]
+      );
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  appendEvent: async (trackingId, trackingNumber, type, data) => {
+    const id = generateUUID();
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `INSERT INTO tracking_events (id, tracking_id, tracking_number, type, data, created_at)
+         VALUES ($1,$2,$3,$4,$5, clock_timestamp()) RETURNING *`,
+        [id, trackingId, trackingNumber, type, JSON.stringify(data || {})]
+      );
+      return res.rows[0];
+    } finally {
+      client.release();
+    }
+  },
+
+  getEvents: async (trackingNumber) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM tracking_events WHERE tracking_number = $1 ORDER BY created_at ASC',
+        [trackingNumber]
+      );
+      return res.rows || [];
+    } finally {
+      client.release();
+    }
+  },
+
+  addStatusHistory: async (trackingId, trackingNumber, fromStatus, toStatus, note, forced) => {
+    const id = generateUUID();
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `INSERT INTO status_history (id, tracking_id, tracking_number, from_status, to_status, note, forced, changed_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7, clock_timestamp()) RETURNING *`,
+        [id, trackingId, trackingNumber, fromStatus, toStatus, note || null, Boolean(forced)]
+      );
+      return res.rows[0];
+    } finally {
+      client.release();
+    }
+  },
+
+  getStatusHistory: async (trackingNumber) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM status_history WHERE tracking_number = $1 ORDER BY changed_at ASC',
+        [trackingNumber]
+      );
+      return res.rows || [];
     } finally {
       client.release();
     }
@@ -193,11 +264,500 @@ const database = {
   verifyUpdateKey: async (trackingNumber, providedKey) => {
     const tracking = await database.getTracking(trackingNumber);
     if (!tracking) return false;
-    return tracking.update_key === providedKey;
+    return verifyUpdateKeyHash(tracking.update_key, providedKey);
+  },
+
+  rotateUpdateKey: async (trackingNumber, newKey) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'UPDATE trackings SET update_key = $1, updated_at = now() WHERE tracking_number = $2 RETURNING id',
+        [hashUpdateKey(newKey), trackingNumber]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  createDelegateKey: async (trackingId, trackingNumber, { key, label, scopes, expiresAt }) => {
+    const id = generateUUID();
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `INSERT INTO delegate_keys (id, tracking_id, tracking_number, key_hash, label, scopes, expires_at, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7, now()) RETURNING *`,
+        [id, trackingId, trackingNumber, hashUpdateKey(key), label || null, scopes, expiresAt || null]
+      );
+      return res.rows[0];
+    } finally {
+      client.release();
+    }
+  },
+
+  getDelegateKeys: async (trackingNumber) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM delegate_keys WHERE tracking_number = $1 ORDER BY created_at ASC',
+        [trackingNumber]
+      );
+      return res.rows || [];
+    } finally {
+      client.release();
+    }
+  },
+
+  findDelegateKey: async (trackingNumber, providedKey) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `SELECT * FROM delegate_keys
+         WHERE tracking_number = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > now())`,
+        [trackingNumber]
+      );
+      return res.rows.find(delegate => verifyUpdateKeyHash(delegate.key_hash, providedKey)) || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  revokeDelegateKey: async (trackingNumber, delegateId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `UPDATE delegate_keys SET revoked_at = now()
+         WHERE tracking_number = $1 AND id::text = $2 AND revoked_at IS NULL`,
+        [trackingNumber, String(delegateId)]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  createWebhook: async (trackingId, trackingNumber, { url, secret, events, active = true }) => {
+    const id = generateUUID();
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `INSERT INTO webhooks (id, tracking_id, tracking_number, url, secret, events, active, created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7, now(), now()) RETURNING *`,
+        [id, trackingId, trackingNumber, url, secret, events, active]
+      );
+      return res.rows[0];
+    } finally {
+      client.release();
+    }
+  },
+
+  getWebhooks: async (trackingNumber) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM webhooks WHERE tracking_number = $1 ORDER BY created_at ASC',
+        [trackingNumber]
+      );
+      return res.rows || [];
+    } finally {
+      client.release();
+    }
+  },
+
+  getWebhook: async (trackingNumber, webhookId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM webhooks WHERE tracking_number = $1 AND id::text = $2',
+        [trackingNumber, String(webhookId)]
+      );
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Omitted (or null) fields keep their value
+  updateWebhook: async (trackingNumber, webhookId, changes) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `UPDATE webhooks SET
+           url = COALESCE($3, url),
+           secret = COALESCE($4, secret),
+           events = COALESCE($5, events),
+           active = COALESCE($6, active),
+           updated_at = now()
+         WHERE tracking_number = $1 AND id::text = $2
+         RETURNING *`,
+        [trackingNumber, String(webhookId), changes.url ?? null, changes.secret ?? null, changes.events ?? null, changes.active ?? null]
+      );
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Deliveries go with the webhook (ON DELETE CASCADE)
+  deleteWebhook: async (trackingNumber, webhookId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'DELETE FROM webhooks WHERE tracking_number = $1 AND id::text = $2',
+        [trackingNumber, String(webhookId)]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  createWebhookDelivery: async (trackingNumber, { webhookId, event, payload }) => {
+    const id = generateUUID();
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `INSERT INTO webhook_deliveries (id, webhook_id, tracking_number, event, payload, next_attempt_at, created_at)
+         VALUES ($1,$2,$3,$4,$5, now(), now()) RETURNING *`,
+        [id, webhookId, trackingNumber, event, payload || {}]
+      );
+      return res.rows[0];
+    } finally {
+      client.release();
+    }
+  },
+
+  // SKIP LOCKED lets several instances claim from the queue without handing out the same delivery twice
+  claimWebhookDeliveries: async (limit, leaseUntil) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `UPDATE webhook_deliveries SET next_attempt_at = $2
+         WHERE id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE status = 'pending' AND next_attempt_at <= now()
+           ORDER BY next_attempt_at ASC
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [limit, leaseUntil]
+      );
+      return res.rows;
+    } finally {
+      client.release();
+    }
+  },
+
+  recordWebhookAttempt: async (trackingNumber, deliveryId, { status, attempts, nextAttemptAt, responseStatus, error }) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `UPDATE webhook_deliveries SET
+           status = $3,
+           attempts = $4,
+           next_attempt_at = COALESCE($5, next_attempt_at),
+           last_attempt_at = now(),
+           response_status = $6,
+           last_error = $7,
+           delivered_at = CASE WHEN $3 = 'delivered' THEN now() ELSE NULL END
+         WHERE tracking_number = $1 AND id::text = $2`,
+        [trackingNumber, String(deliveryId), status, attempts, nextAttemptAt || null, responseStatus ?? null, error || null]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  getWebhookDeliveries: async (trackingNumber, webhookId, limit = 50) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `SELECT * FROM webhook_deliveries
+         WHERE tracking_number = $1 AND webhook_id::text = $2
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [trackingNumber, String(webhookId), limit]
+      );
+      return res.rows;
+    } finally {
+      client.release();
+    }
+  },
+
+  pruneWebhookDeliveries: async (trackingNumber, webhookId, keep) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `DELETE FROM webhook_deliveries
+         WHERE tracking_number = $1 AND webhook_id::text = $2 AND status <> 'pending'
+           AND id NOT IN (
+             SELECT id FROM webhook_deliveries
+             WHERE tracking_number = $1 AND webhook_id::text = $2 AND status <> 'pending'
+             ORDER BY created_at DESC
+             LIMIT $3
+           )`,
+        [trackingNumber, String(webhookId), keep]
+      );
+      return res.rowCount;
+    } finally {
+      client.release();
+    }
+  },
+
+  createSubscription: async (trackingId, trackingNumber, { channel, email, pushSubscription, events, token, confirmed }) => {
+    const id = generateUUID();
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `INSERT INTO subscriptions (id, tracking_id, tracking_number, channel, email, push_subscription, events, token, confirmed_at, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8, CASE WHEN $9::boolean THEN now() END, now()) RETURNING *`,
+        [id, trackingId, trackingNumber, channel, email || null, pushSubscription || null, events, token, Boolean(confirmed)]
+      );
+      return res.rows[0];
+    } finally {
+      client.release();
+    }
+  },
+
+  getSubscriptions: async (trackingNumber) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM subscriptions WHERE tracking_number = $1 ORDER BY created_at ASC',
+        [trackingNumber]
+      );
+      return res.rows || [];
+    } finally {
+      client.release();
+    }
+  },
+
+  getSubscriptionByToken: async (token) => {
+    const client = await connect();
+    try {
+      const res = await client.query('SELECT * FROM subscriptions WHERE token = $1', [token]);
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  confirmSubscription: async (trackingNumber, subscriptionId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `UPDATE subscriptions SET confirmed_at = COALESCE(confirmed_at, now())
+         WHERE tracking_number = $1 AND id::text = $2`,
+        [trackingNumber, String(subscriptionId)]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  deleteSubscription: async (trackingNumber, subscriptionId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'DELETE FROM subscriptions WHERE tracking_number = $1 AND id::text = $2',
+        [trackingNumber, String(subscriptionId)]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  getOpenTrackingsDueBy: async (cutoff) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `SELECT * FROM trackings
+         WHERE status <> 'Delivered' AND archived_at IS NULL AND eta <= $1
+         ORDER BY eta ASC`,
+        [cutoff]
+      );
+      return res.rows;
+    } finally {
+      client.release();
+    }
+  },
+
+  // The WHERE clause makes this a compare-and-set, so only one instance fires a rule for an ETA
+  applyEtaRule: async (trackingNumber, { rule, eta, fromStatus, toStatus }) => {
+    const marker = etaRuleMarker(rule);
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `UPDATE trackings SET status = $4, ${marker} = eta, updated_at = now()
+         WHERE tracking_number = $1 AND eta = $2 AND status = $3 AND archived_at IS NULL
+           AND ${marker} IS DISTINCT FROM eta`,
+        [trackingNumber, eta, fromStatus, toStatus]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  updateVisibility: async (trackingNumber, visibility, passcodeHash) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `UPDATE trackings SET visibility = $1, viewer_passcode_hash = $2, updated_at = now()
+         WHERE tracking_number = $3 RETURNING id`,
+        [visibility, passcodeHash || null, trackingNumber]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  setTrackingOwner: async (trackingNumber, userId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'UPDATE trackings SET owner_user_id = $1, updated_at = now() WHERE tracking_number = $2 RETURNING id',
+        [userId, trackingNumber]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  getTrackingsByOwner: async (userId) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM trackings WHERE owner_user_id = $1 ORDER BY created_at DESC',
+        [userId]
+      );
+      return res.rows || [];
+    } finally {
+      client.release();
+    }
+  },
+
+  createUser: async (email, passwordHash, displayName) => {
+    const id = generateUUID();
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `INSERT INTO users (id, email, password_hash, display_name, created_at)
+         VALUES ($1,$2,$3,$4, now())
+         ON CONFLICT (email) DO NOTHING RETURNING *`,
+        [id, email, passwordHash, displayName || null]
+      );
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  getUserByEmail: async (email) => {
+    const client = await connect();
+    try {
+      const res = await client.query('SELECT * FROM users WHERE email = $1', [email]);
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  getUserById: async (userId) => {
+    const client = await connect();
+    try {
+      const res = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  createSession: async (userId, tokenHash, expiresAt) => {
+    const client = await connect();
+    try {
+      await client.query('DELETE FROM sessions WHERE expires_at <= now()');
+      const res = await client.query(
+        `INSERT INTO sessions (token_hash, user_id, expires_at, created_at)
+         VALUES ($1,$2,$3, now()) RETURNING *`,
+        [tokenHash, userId, expiresAt]
+      );
+      return res.rows[0];
+    } finally {
+      client.release();
+    }
+  },
+
+  getSession: async (tokenHash) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'SELECT * FROM sessions WHERE token_hash = $1 AND expires_at > now()',
+        [tokenHash]
+      );
+      return res.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  },
+
+  deleteSession: async (tokenHash) => {
+    const client = await connect();
+    try {
+      const res = await client.query('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  setArchived: async (trackingNumber, archivedAt) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        'UPDATE trackings SET archived_at = $1, updated_at = now() WHERE tracking_number = $2 RETURNING id',
+        [archivedAt, trackingNumber]
+      );
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Records, history, events, delegate keys, webhooks and subscriptions go with the tracking (ON DELETE CASCADE)
+  deleteTracking: async (trackingNumber) => {
+    const client = await connect();
+    try {
+      const res = await client.query('DELETE FROM trackings WHERE tracking_number = $1', [trackingNumber]);
+      return res.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  },
+
+  purgeClosedTrackings: async (cutoff) => {
+    const client = await connect();
+    try {
+      const res = await client.query(
+        `DELETE FROM trackings
+         WHERE (status = 'Delivered' OR archived_at IS NOT NULL) AND updated_at < $1
+         RETURNING tracking_number`,
+        [cutoff]
+      );
+      return res.rows.map(row => row.tracking_number);
+    } finally {
+      client.release();
+    }
   },
 
   getAllTrackings: async () => {
-    const client = await pool.connect();
+    const client = await connect();
     try {
       const res = await client.query('SELECT * FROM trackings');
       return res.rows;
@@ -206,6 +766,36 @@ const database = {
     }
   },
 
+  // Run `fn` in a transaction: every database call it makes is committed together, or rolled back when it throws
+  // Nested calls join the outer transaction
+  transaction: async (fn) => {
+    if (transactionClient.getStore()) return fn();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await transactionClient.run(client, fn);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Connectivity check used by startup and the health endpoints
+  ping: async () => {
+    await pool.query('SELECT 1');
+  },
+
+  poolStats: () => ({
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount
+  }),
+
   // Expose pool for migrations or admin tasks
   _pool: pool,
   init
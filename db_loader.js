@@ -1,32 +1,104 @@
 // db_loader.js
-// Tries Postgres first if DATABASE_URL is set, falls back to JSON storage if connection fails
+// Selects the storage backend according to DB_MODE:
+//   postgres-required - use PostgreSQL (DATABASE_URL), exit if it cannot be reached after retrying (default with DATABASE_URL)
+//   json              - use local JSON storage, ignoring DATABASE_URL
+//   auto              - try PostgreSQL when DATABASE_URL is set, fall back to JSON storage if it stays unreachable
+//                       (default without DATABASE_URL)
+//   memory            - keep everything in memory (tests and throwaway runs; nothing is saved)
 require('dotenv').config();
 let db = null;
 let dbType = null;
+let dbState = 'initializing'; // initializing | ready
+let fellBack = false; // auto mode gave up on PostgreSQL
 
-const initializeDatabase = async () => {
-  if (process.env.DATABASE_URL) {
-    console.log('🔍 DATABASE_URL detected, attempting PostgreSQL connection...');
+const DB_MODES = ['postgres-required', 'json', 'auto', 'memory'];
+// A configured database is never silently swapped for local files unless auto is asked for explicitly
+const DB_MODE = process.env.DB_MODE || (process.env.DATABASE_URL ? 'postgres-required' : 'auto');
+const CONNECT_RETRIES = process.env.DB_CONNECT_RETRIES !== undefined ? parseInt(process.env.DB_CONNECT_RETRIES, 10) || 0 : 5;
+const CONNECT_RETRY_DELAY_MS = parseInt(process.env.DB_CONNECT_RETRY_DELAY_MS, 10) || 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const fatal = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+// Initialize and test PostgreSQL, retrying with exponential backoff
+// Returns the backend or null when every attempt failed
+const connectPostgres = async () => {
+  const pgDb = require('./database_pg');
+
+  for (let attempt = 0; attempt <= CONNECT_RETRIES; attempt++) {
     try {
-      const pgDb = require('./database_pg');
-      // Test connection by attempting to initialize
       await pgDb.init();
       // Simple connection test
-      await pgDb.getAllTrackings();
+      await pgDb.ping();
+      return pgDb;
+    } catch (err) {
+      if (attempt === CONNECT_RETRIES) {
+        console.error(`❌ PostgreSQL unavailable after ${attempt + 1} attempts:`, err.message);
+        return null;
+      }
+      const delay = Math.min(CONNECT_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+      console.warn(`⚠️  PostgreSQL connection failed (attempt ${attempt + 1}/${CONNECT_RETRIES + 1}), retrying in ${delay}ms:`, err.message);
+      await sleep(delay);
+    }
+  }
+  return null;
+};
+
+const loadJson = () => {
+  try {
+    return require('./database');
+  } catch (err) {
+    // A corrupt data file must not be silently replaced with empty data
+    fatal(`Could not load JSON storage: ${err.message}`);
+  }
+};
+
+const initializeDatabase = async () => {
+  if (!DB_MODES.includes(DB_MODE)) {
+    fatal(`Invalid DB_MODE "${DB_MODE}" (expected one of: ${DB_MODES.join(', ')})`);
+  }
+  if (DB_MODE === 'postgres-required' && !process.env.DATABASE_URL) {
+    fatal('DB_MODE is postgres-required but DATABASE_URL is not set');
+  }
+
+  if (DB_MODE === 'memory') {
+    console.log('🔍 DB_MODE=memory, keeping data in memory only (lost on exit)');
+    db = require('./database_memory');
+    dbType = 'memory';
+    dbState = 'ready';
+    return;
+  }
+
+  if (DB_MODE !== 'json' && process.env.DATABASE_URL) {
+    console.log(`🔍 DATABASE_URL detected, connecting to PostgreSQL (DB_MODE=${DB_MODE})...`);
+    const pgDb = await connectPostgres();
+    if (pgDb) {
       db = pgDb;
       dbType = 'postgresql';
+      dbState = 'ready';
       console.log('✅ 🐘 PostgreSQL connected successfully');
       return;
-    } catch (err) {
-      console.warn('⚠️  PostgreSQL connection failed, falling back to JSON storage:', err.message);
     }
+    if (DB_MODE === 'postgres-required') {
+      fatal('Refusing to start without PostgreSQL (DB_MODE=postgres-required)');
+    }
+    console.error('⚠️  Falling back to local JSON storage (DB_MODE=auto); data written now will NOT be in PostgreSQL');
+    fellBack = true;
+  } else if (DB_MODE === 'json') {
+    console.log('🔍 DB_MODE=json, using local JSON storage');
   } else {
     console.log('🔍 No DATABASE_URL found, using local JSON storage');
   }
-  
-  // Fallback to JSON database
-  db = require('./database');
+
+  db = loadJson();
   dbType = 'json';
+  dbState = 'ready';
 };
 
 // Initialize immediately and export a promise
@@ -57,6 +129,44 @@ const getDatabaseInfo = async () => {
   };
 };
 
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms).unref())
+]);
+
+// Current backend health without waiting for initialization
+// Returns { mode, type, fallback, ready, connected, latencyMs, pool, error? }
+const checkHealth = async () => {
+  const health = {
+    mode: DB_MODE,
+    type: dbType,
+    fallback: fellBack,
+    ready: dbState === 'ready',
+    connected: false,
+    latencyMs: null,
+    pool: null
+  };
+  if (!health.ready) {
+    return health;
+  }
+
+  if (dbType === 'postgresql') {
+    health.pool = db.poolStats();
+    const started = Date.now();
+    try {
+      await withTimeout(db.ping(), HEALTH_CHECK_TIMEOUT_MS);
+      health.connected = true;
+      health.latencyMs = Date.now() - started;
+    } catch (err) {
+      health.error = err.message;
+    }
+  } else {
+    // JSON storage lives in memory once loaded, like the memory backend
+    health.connected = true;
+  }
+  return health;
+};
+
 // Create wrapped functions that will use the db after initialization
 const createWrappedFunction = (methodName) => {
   return async (...args) => {
@@ -79,11 +189,52 @@ module.exports = {
   updateStatus: createWrappedFunction('updateStatus'),
   addTrackRecord: createWrappedFunction('addTrackRecord'),
   getTrackRecords: createWrappedFunction('getTrackRecords'),
-  removeDeliveryRecords: createWrappedFunction('removeDeliveryRecords'),
+  updateTrackRecord: createWrappedFunction('updateTrackRecord'),
+  deleteTrackRecord: createWrappedFunction('deleteTrackRecord'),
+  appendEvent: createWrappedFunction('appendEvent'),
+  getEvents: createWrappedFunction('getEvents'),
+  addStatusHistory: createWrappedFunction('addStatusHistory'),
+  getStatusHistory: createWrappedFunction('getStatusHistory'),
   getTrackingWithRecords: createWrappedFunction('getTrackingWithRecords'),
   verifyUpdateKey: createWrappedFunction('verifyUpdateKey'),
+  rotateUpdateKey: createWrappedFunction('rotateUpdateKey'),
+  createDelegateKey: createWrappedFunction('createDelegateKey'),
+  getDelegateKeys: createWrappedFunction('getDelegateKeys'),
+  findDelegateKey: createWrappedFunction('findDelegateKey'),
+  revokeDelegateKey: createWrappedFunction('revokeDelegateKey'),
+  createWebhook: createWrappedFunction('createWebhook'),
+  getWebhooks: createWrappedFunction('getWebhooks'),
+  getWebhook: createWrappedFunction('getWebhook'),
+  updateWebhook: createWrappedFunction('updateWebhook'),
+  deleteWebhook: createWrappedFunction('deleteWebhook'),
+  createWebhookDelivery: createWrappedFunction('createWebhookDelivery'),
+  claimWebhookDeliveries: createWrappedFunction('claimWebhookDeliveries'),
+  recordWebhookAttempt: createWrappedFunction('recordWebhookAttempt'),
+  getWebhookDeliveries: createWrappedFunction('getWebhookDeliveries'),
+  pruneWebhookDeliveries: createWrappedFunction('pruneWebhookDeliveries'),
+  createSubscription: createWrappedFunction('createSubscription'),
+  getSubscriptions: createWrappedFunction('getSubscriptions'),
+  getSubscriptionByToken: createWrappedFunction('getSubscriptionByToken'),
+  confirmSubscription: createWrappedFunction('confirmSubscription'),
+  deleteSubscription: createWrappedFunction('deleteSubscription'),
+  getOpenTrackingsDueBy: createWrappedFunction('getOpenTrackingsDueBy'),
+  applyEtaRule: createWrappedFunction('applyEtaRule'),
+  transaction: createWrappedFunction('transaction'),
+  updateVisibility: createWrappedFunction('updateVisibility'),
+  setTrackingOwner: createWrappedFunction('setTrackingOwner'),
+  getTrackingsByOwner: createWrappedFunction('getTrackingsByOwner'),
+  createUser: createWrappedFunction('createUser'),
+  getUserByEmail: createWrappedFunction('getUserByEmail'),
+  getUserById: createWrappedFunction('getUserById'),
+  createSession: createWrappedFunction('createSession'),
+  getSession: createWrappedFunction('getSession'),
+  deleteSession: createWrappedFunction('deleteSession'),
+  setArchived: createWrappedFunction('setArchived'),
+  deleteTracking: createWrappedFunction('deleteTracking'),
+  purgeClosedTrackings: createWrappedFunction('purgeClosedTrackings'),
   getAllTrackings: createWrappedFunction('getAllTrackings'),
   getDatabaseInfo,
+  checkHealth,
   // expose underlying pool when available
   get _raw() { return db; }
 };
@@ -0,0 +1,86 @@
+// eta_estimator.js
+// Suggests an ETA from the pace of recent geolocated track records and the remaining distance to the destination
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// How many of the latest geolocated records are used to measure the current pace
+const SAMPLE_SIZE = parseInt(process.env.ETA_SAMPLE_SIZE, 10) || 5;
+
+// Below this pace (meters per second) the kiss is considered stationary and no estimate is made
+const MIN_SPEED_MPS = 0.2;
+
+// Estimates further away than the creator's ETA by this many minutes are broadcast to viewers
+const DRIFT_THRESHOLD_MINUTES = parseInt(process.env.ETA_DRIFT_THRESHOLD_MINUTES, 10) || 15;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in meters between two { latitude, longitude } points
+const haversineDistance = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const hasCoordinates = (point) => point
+  && point.latitude !== null && point.latitude !== undefined
+  && point.longitude !== null && point.longitude !== undefined;
+
+// Returns the suggested ETA as an ISO string, or null when there is not enough data
+// `tracking` uses the database row shape, `records` must be sorted by timestamp ascending
+const estimateEta = (tracking, records) => {
+  if (!tracking || tracking.status === 'Delivered') return null;
+
+  const destination = {
+    latitude: tracking.destination_latitude,
+    longitude: tracking.destination_longitude
+  };
+  if (!hasCoordinates(destination)) return null;
+
+  const samples = records
+    .filter(hasCoordinates)
+    .map(record => ({
+      latitude: Number(record.latitude),
+      longitude: Number(record.longitude),
+      time: new Date(record.timestamp).getTime()
+    }))
+    .slice(-SAMPLE_SIZE);
+
+  if (samples.length < 2) return null;
+
+  let travelled = 0;
+  for (let i = 1; i < samples.length; i++) {
+    travelled += haversineDistance(samples[i - 1], samples[i]);
+  }
+
+  const elapsedSeconds = (samples[samples.length - 1].time - samples[0].time) / 1000;
+  if (elapsedSeconds <= 0) return null;
+
+  const speed = travelled / elapsedSeconds;
+  if (speed < MIN_SPEED_MPS) return null;
+
+  const latest = samples[samples.length - 1];
+  const remaining = haversineDistance(latest, {
+    latitude: Number(destination.latitude),
+    longitude: Number(destination.longitude)
+  });
+
+  return new Date(latest.time + (remaining / speed) * 1000).toISOString();
+};
+
+// Difference in whole minutes between the estimate and the creator's ETA (positive means later)
+const etaDriftMinutes = (eta, estimatedEta) => {
+  if (!eta || !estimatedEta) return 0;
+  return Math.round((new Date(estimatedEta) - new Date(eta)) / 60000);
+};
+
+const isSignificantDrift = (eta, estimatedEta) =>
+  Math.abs(etaDriftMinutes(eta, estimatedEta)) >= DRIFT_THRESHOLD_MINUTES;
+
+module.exports = {
+  estimateEta,
+  etaDriftMinutes,
+  isSignificantDrift,
+  haversineDistance
+};
@@ -0,0 +1,147 @@
+// eta_scheduler.js
+// Background scheduler moving trackings along by their ETA, so the status does not go stale between updates:
+// - overdue: once the ETA (plus a grace period) passes without delivery, the tracking becomes Delayed and an eta-overdue event is sent
+// - out-for-delivery: optionally, an In Transit tracking becomes Out for Delivery within a window before its ETA
+// Each rule records the ETA it fired for on the tracking, so it fires once per ETA across restarts and instances,
+// and fires again after the ETA changes
+const { EVENT_TYPES } = require('./tracking_events');
+const { ETA_RULE_MARKERS } = require('./status_machine');
+
+const ENABLED = process.env.ETA_SCHEDULER_ENABLED !== 'false';
+const OVERDUE_GRACE_MS = (parseInt(process.env.ETA_OVERDUE_GRACE_MINUTES, 10) || 0) * 60 * 1000;
+const OUT_FOR_DELIVERY_WINDOW_MS = (parseInt(process.env.ETA_OUT_FOR_DELIVERY_MINUTES, 10) || 0) * 60 * 1000; // 0 turns the rule off
+const INTERVAL_MS = (parseInt(process.env.ETA_SCHEDULER_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+const OVERDUE_NOTE = 'ETA passed without delivery';
+const OUT_FOR_DELIVERY_NOTE = 'ETA is close';
+
+const firedFor = (tracking, rule) => {
+  const marker = tracking[ETA_RULE_MARKERS[rule]];
+  return Boolean(marker) && new Date(marker).getTime() === new Date(tracking.eta).getTime();
+};
+
+// `broadcast(trackingNumber, eventType, data)` sends to live viewers, webhooks and subscribers like any other update
+const createEtaScheduler = ({ db, broadcast }) => {
+  let timer = null;
+  let running = null;
+
+  // Record and announce a status change made by a rule
+  const announceStatusChange = async (tracking, previousStatus, status, note) => {
+    const historyEntry = await db.addStatusHistory(tracking.id, tracking.tracking_number, previousStatus, status, note, false);
+
+    await db.appendEvent(tracking.id, tracking.tracking_number, EVENT_TYPES.STATUS_CHANGED, {
+      from: previousStatus,
+      to: status,
+      note,
+      forced: false,
+      automatic: true
+    });
+
+    broadcast(tracking.tracking_number, 'status-change', {
+      status,
+      previousStatus,
+      note,
+      changedAt: historyEntry.changed_at
+    });
+  };
+
+  const applyOverdue = async (tracking) => {
+    const toStatus = 'Delayed';
+    const fired = await db.applyEtaRule(tracking.tracking_number, {
+      rule: 'overdue',
+      eta: tracking.eta,
+      fromStatus: tracking.status,
+      toStatus
+    });
+    if (!fired) return false; // Already fired for this ETA, or the tracking changed meanwhile
+
+    console.log(`⏰ ETA passed for ${tracking.tracking_number} (${tracking.status})`);
+    if (tracking.status !== toStatus) {
+      await announceStatusChange(tracking, tracking.status, toStatus, OVERDUE_NOTE);
+    }
+    broadcast(tracking.tracking_number, 'eta-overdue', {
+      eta: new Date(tracking.eta).toISOString(),
+      status: toStatus,
+      previousStatus: tracking.status
+    });
+    return true;
+  };
+
+  const applyOutForDelivery = async (tracking) => {
+    const toStatus = 'Out for Delivery';
+    const fired = await db.applyEtaRule(tracking.tracking_number, {
+      rule: 'out-for-delivery',
+      eta: tracking.eta,
+      fromStatus: 'In Transit',
+      toStatus
+    });
+    if (!fired) return false;
+
+    console.log(`🚚 ${tracking.tracking_number} is out for delivery ahead of its ETA`);
+    await announceStatusChange(tracking, 'In Transit', toStatus, OUT_FOR_DELIVERY_NOTE);
+    return true;
+  };
+
+  // Apply the rules once; returns how many fired. Safe to run on several instances at the same time
+  const tick = async () => {
+    const now = Date.now();
+    const cutoff = new Date(now + Math.max(OUT_FOR_DELIVERY_WINDOW_MS, -OVERDUE_GRACE_MS)).toISOString();
+    const trackings = await db.getOpenTrackingsDueBy(cutoff);
+
+    let fired = 0;
+    for (const tracking of trackings) {
+      const etaTime = new Date(tracking.eta).getTime();
+      try {
+        if (now >= etaTime + OVERDUE_GRACE_MS) {
+          if (!firedFor(tracking, 'overdue') && await applyOverdue(tracking)) fired++;
+        } else if (OUT_FOR_DELIVERY_WINDOW_MS > 0 && tracking.status === 'In Transit' && now >= etaTime - OUT_FOR_DELIVERY_WINDOW_MS
+          && !firedFor(tracking, 'out-for-delivery')) {
+          if (await applyOutForDelivery(tracking)) fired++;
+        }
+      } catch (err) {
+        console.error(`Error applying ETA rules to ${tracking.tracking_number}:`, err.message);
+      }
+    }
+    return fired;
+  };
+
+  // Ticks never overlap; a slow one just delays the next
+  const runTick = () => {
+    if (running) return;
+    running = tick()
+      .catch(err => console.error('Error running ETA scheduler:', err.message))
+      .finally(() => {
+        running = null;
+      });
+  };
+
+  const start = () => {
+    if (!ENABLED) {
+      console.log('⏰ ETA scheduler disabled (ETA_SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    const outForDelivery = OUT_FOR_DELIVERY_WINDOW_MS > 0
+      ? `, out for delivery ${OUT_FOR_DELIVERY_WINDOW_MS / 60000} min before ETA`
+      : '';
+    console.log(`⏰ ETA scheduler checking every ${INTERVAL_MS / 1000}s (delayed ${OVERDUE_GRACE_MS / 60000} min after ETA${outForDelivery})`);
+    runTick();
+    timer = setInterval(runTick, INTERVAL_MS);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    start,
+    stop,
+    tick
+  };
+};
+
+module.exports = {
+  createEtaScheduler
+};
@@ -0,0 +1,187 @@
+// journey_export.js
+// Downloadable representations of a tracking: its track records as CSV, the route as GeoJSON or GPX,
+// and the ETA as an iCalendar event that calendar apps can subscribe to
+// Every exporter takes ({ tracking, records, events, shareLink }) with records oldest first and returns the file body
+const { toCsv } = require('./csv');
+const { EVENT_TYPES } = require('./tracking_events');
+
+const EVENT_DURATION_MS = 15 * 60 * 1000; // Length of the calendar event starting at the ETA
+
+const iso = (value) => new Date(value).toISOString();
+const hasCoordinates = (item, latitudeField = 'latitude', longitudeField = 'longitude') =>
+  item[latitudeField] !== null && item[latitudeField] !== undefined
+  && item[longitudeField] !== null && item[longitudeField] !== undefined;
+
+// CSV: one row per track record
+const CSV_COLUMNS = ['recordId', 'timestamp', 'location', 'latitude', 'longitude', 'accuracy', 'label'];
+
+const toRecordsCsv = ({ records }) => toCsv(CSV_COLUMNS, records.map(record => ({
+  recordId: record.id,
+  timestamp: iso(record.timestamp),
+  location: record.location,
+  latitude: record.latitude,
+  longitude: record.longitude,
+  accuracy: record.accuracy,
+  label: record.label
+})));
+
+// GeoJSON (RFC 7946, [longitude, latitude]): the route as a LineString, every geolocated record and the destination as Points
+const toGeoJson = ({ tracking, records }) => {
+  const located = records.filter(record => hasCoordinates(record));
+  const features = [];
+
+  if (located.length > 1) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: located.map(record => [record.longitude, record.latitude]) },
+      properties: { kind: 'route', trackingNumber: tracking.tracking_number, kissProvider: tracking.kiss_provider }
+    });
+  }
+
+  located.forEach(record => features.push({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [record.longitude, record.latitude] },
+    properties: {
+      kind: 'record',
+      recordId: record.id,
+      location: record.location,
+      label: record.label ?? null,
+      accuracy: record.accuracy ?? null,
+      timestamp: iso(record.timestamp)
+    }
+  }));
+
+  if (hasCoordinates(tracking, 'destination_latitude', 'destination_longitude')) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [tracking.destination_longitude, tracking.destination_latitude] },
+      properties: { kind: 'destination', destination: tracking.destination, eta: iso(tracking.eta) }
+    });
+  }
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+// GPX 1.1: the destination as a waypoint and the geolocated records as one track
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toGpx = ({ tracking, records, shareLink }) => {
+  const name = `Kiss ${tracking.tracking_number} from ${tracking.kiss_provider}`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Kiss Tracker" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    `    <link href="${escapeXml(shareLink)}"><text>Kiss Tracker</text></link>`,
+    `    <time>${iso(tracking.created_at)}</time>`,
+    '  </metadata>'
+  ];
+
+  if (hasCoordinates(tracking, 'destination_latitude', 'destination_longitude')) {
+    lines.push(
+      `  <wpt lat="${tracking.destination_latitude}" lon="${tracking.destination_longitude}">`,
+      `    <name>${escapeXml(tracking.destination)}</name>`,
+      '    <type>destination</type>',
+      '  </wpt>'
+    );
+  }
+
+  lines.push('  <trk>', `    <name>${escapeXml(name)}</name>`, '    <trkseg>');
+  records.filter(record => hasCoordinates(record)).forEach(record => {
+    lines.push(
+      `      <trkpt lat="${record.latitude}" lon="${record.longitude}">`,
+      `        <time>${iso(record.timestamp)}</time>`,
+      `        <name>${escapeXml(record.label || record.location)}</name>`,
+      '      </trkpt>'
+    );
+  });
+  lines.push('    </trkseg>', '  </trk>', '</gpx>', '');
+
+  return lines.join('\n');
+};
+
+// iCalendar (RFC 5545): one event at the ETA
+// The UID never changes and SEQUENCE counts ETA and destination changes, so a calendar that imported or
+// subscribed to the event moves it instead of adding a second one
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsDate = (value) => iso(value).replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting a character
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+const toIcs = ({ tracking, events, shareLink }) => {
+  const sequence = events.filter(event =>
+    event.type === EVENT_TYPES.ETA_CHANGED || event.type === EVENT_TYPES.DESTINATION_CHANGED
+  ).length;
+  const start = new Date(tracking.eta);
+  const description = [
+    `Kiss from ${tracking.kiss_provider} to ${tracking.destination}`,
+    `Status: ${tracking.status}`,
+    `Follow it live: ${shareLink}`
+  ].join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Kiss Tracker//Kiss Tracker//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Kiss ${tracking.tracking_number}`)}`,
+    'BEGIN:VEVENT',
+    `UID:kiss-${tracking.tracking_number}@${new URL(shareLink).hostname}`,
+    `DTSTAMP:${icsDate(tracking.updated_at)}`,
+    `LAST-MODIFIED:${icsDate(tracking.updated_at)}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(start.getTime() + EVENT_DURATION_MS)}`,
+    `SUMMARY:${escapeText(`💋 Kiss from ${tracking.kiss_provider} arrives`)}`,
+    `LOCATION:${escapeText(tracking.destination)}`
+  ];
+  if (hasCoordinates(tracking, 'destination_latitude', 'destination_longitude')) {
+    lines.push(`GEO:${tracking.destination_latitude};${tracking.destination_longitude}`);
+  }
+  lines.push(
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${shareLink}`,
+    'STATUS:CONFIRMED',
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  );
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: toRecordsCsv },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson', render: toGeoJson },
+  gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx', render: toGpx },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics', render: toIcs }
+};
+
+module.exports = {
+  EXPORT_FORMATS
+};
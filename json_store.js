@@ -0,0 +1,191 @@
+// json_store.js
+// Crash-safe file storage for the JSON backend
+// Files are loaded once into memory; writes update the cache and mark the file dirty, and a serialized
+// write queue flushes dirty files with write-to-temp + fsync + rename, so a crash never leaves a half-written file
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the JSON backend's files
+const DATA_DIR = process.env.JSON_DATA_DIR ? path.resolve(process.env.JSON_DATA_DIR) : path.join(__dirname, 'data');
+
+const DEFAULT_FLUSH_INTERVAL_MS = process.env.JSON_FLUSH_INTERVAL_MS !== undefined
+  ? parseInt(process.env.JSON_FLUSH_INTERVAL_MS, 10) || 0
+  : 1000;
+
+// A failed write is retried on its own, backing off up to a minute while the disk stays unwritable
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+// Unique temp names so an interrupted async write never collides with a later one
+let tempCounter = 0;
+const tempPathFor = (filePath) => `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+
+const writeAtomic = async (filePath, content) => {
+  const tempPath = tempPathFor(filePath);
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempPath, filePath);
+};
+
+const writeAtomicSync = (filePath, content) => {
+  const tempPath = tempPathFor(filePath);
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+};
+
+// Remove temp files left behind by a crash while writing `filePath`
+const removeStaleTempFiles = (filePath) => {
+  const dir = path.dirname(filePath);
+  const prefix = `${path.basename(filePath)}.`;
+  fs.readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+    .forEach(name => fs.unlinkSync(path.join(dir, name)));
+};
+
+const serialize = (data) => JSON.stringify(data, null, 2);
+
+// `flushIntervalMs` of 0 writes every change through immediately (still queued and atomic)
+const createJsonStore = ({ flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS } = {}) => {
+  const cache = new Map(); // filePath -> parsed data
+  const dirty = new Set(); // changed since the last flush was queued
+  const inFlight = new Map(); // filePath -> number of queued or running writes
+  let queue = Promise.resolve();
+  let timer = null;
+  let retryTimer = null;
+  let retryDelayMs = RETRY_BASE_MS;
+
+  // Load a file into memory, creating it with `initial` when missing
+  // Returns true when the file was created; throws on a corrupt file instead of starting with empty data
+  const load = (filePath, initial = {}) => {
+    removeStaleTempFiles(filePath);
+
+    if (!fs.existsSync(filePath)) {
+      writeAtomicSync(filePath, serialize(initial));
+      cache.set(filePath, initial);
+      return true;
+    }
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    try {
+      cache.set(filePath, JSON.parse(raw));
+    } catch (err) {
+      throw new Error(`Refusing to start: ${filePath} is not valid JSON (${err.message}). Restore it from a backup or move it away.`);
+    }
+    return false;
+  };
+
+  // Returns the cached data itself, not a copy: only mutate it on the way to write(), and
+  // copy anything that leaves the caller
+  const read = (filePath) => {
+    if (!cache.has(filePath)) {
+      throw new Error(`${filePath} has not been loaded`);
+    }
+    return cache.get(filePath);
+  };
+
+  const isLoaded = (filePath) => cache.has(filePath);
+
+  const write = (filePath, data) => {
+    cache.set(filePath, data);
+    dirty.add(filePath);
+    scheduleFlush();
+    return true;
+  };
+
+  const scheduleFlush = () => {
+    if (flushIntervalMs <= 0) {
+      flush();
+      return;
+    }
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush();
+      }, flushIntervalMs);
+      timer.unref();
+    }
+  };
+
+  // Queue a write of every dirty file; resolves once they are on disk
+  const flush = () => {
+    if (dirty.size === 0) return queue;
+
+    // Snapshot now so later mutations wait for the next flush
+    const snapshots = [...dirty].map(filePath => [filePath, serialize(cache.get(filePath))]);
+    dirty.clear();
+    snapshots.forEach(([filePath]) => inFlight.set(filePath, (inFlight.get(filePath) || 0) + 1));
+
+    queue = queue.then(async () => {
+      let failed = false;
+      for (const [filePath, content] of snapshots) {
+        try {
+          await writeAtomic(filePath, content);
+        } catch (err) {
+          // Keep the change pending; scheduleRetry() writes it again even if nothing else changes
+          console.error(`Error writing ${filePath}:`, err.message);
+          dirty.add(filePath);
+          failed = true;
+        } finally {
+          const remaining = inFlight.get(filePath) - 1;
+          if (remaining > 0) inFlight.set(filePath, remaining);
+          else inFlight.delete(filePath);
+        }
+      }
+      if (failed) scheduleRetry();
+      else retryDelayMs = RETRY_BASE_MS;
+    });
+    return queue;
+  };
+
+  const scheduleRetry = () => {
+    if (retryTimer) return;
+    console.error(`Retrying JSON writes in ${retryDelayMs / 1000}s`);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flush();
+    }, retryDelayMs);
+    retryTimer.unref();
+    retryDelayMs = Math.min(retryDelayMs * 2, RETRY_MAX_MS);
+  };
+
+  // Write everything not yet confirmed on disk, synchronously (for process exit)
+  const flushSync = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    const pending = new Set([...dirty, ...inFlight.keys()]);
+    pending.forEach(filePath => writeAtomicSync(filePath, serialize(cache.get(filePath))));
+    dirty.clear();
+    inFlight.clear();
+  };
+
+  return {
+    load,
+    isLoaded,
+    read,
+    write,
+    flush,
+    flushSync
+  };
+};
+
+module.exports = {
+  DATA_DIR,
+  createJsonStore
+};
@@ -0,0 +1,71 @@
+// migrate.js
+// Apply or list schema migrations without starting the server
+// Usage: npm run migrate [-- status] [-- --json]
+// Migrates Postgres when DATABASE_URL is set, the JSON data files otherwise (or with --json)
+// Stop the server before migrating JSON data: only one process may use the data directory
+require('dotenv').config();
+const fs = require('fs');
+const { describe, postgresStatus, migratePostgres, jsonStatus, migrateJson } = require('./migrations');
+
+const args = process.argv.slice(2);
+const command = args.find(arg => !arg.startsWith('--')) || 'up';
+const backend = process.env.DATABASE_URL && !args.includes('--json') ? 'postgres' : 'json';
+
+const printStatus = (status) => {
+  status.applied.forEach(row => console.log(`  ✅ ${describe(row)} (applied ${new Date(row.applied_at).toISOString()})`));
+  status.pending.forEach(migration => console.log(`  ⏳ ${describe(migration)} (pending)`));
+  status.unknown.forEach(row => console.log(`  ❓ ${describe(row)} (unknown to this version)`));
+};
+
+const printApplied = (applied) => {
+  if (applied.length === 0) {
+    console.log('✅ Already up to date');
+  } else {
+    console.log(`✅ Applied ${applied.length} migrations: ${applied.join(', ')}`);
+  }
+};
+
+const runPostgres = async () => {
+  const { _pool: pool } = require('./database_pg');
+  try {
+    if (command === 'status') {
+      printStatus(await postgresStatus(pool));
+    } else {
+      printApplied(await migratePostgres(pool));
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+const runJson = () => {
+  const { DATA_DIR: dataDir, createJsonStore } = require('./json_store');
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const store = createJsonStore({ flushIntervalMs: 0 });
+  if (command === 'status') {
+    printStatus(jsonStatus({ store, dataDir }));
+  } else {
+    printApplied(migrateJson({ store, dataDir }));
+  }
+  store.flushSync();
+};
+
+const main = async () => {
+  if (!['up', 'status'].includes(command)) {
+    console.error(`Unknown command "${command}" (expected up or status)`);
+    process.exit(1);
+  }
+
+  console.log(`🔧 ${command === 'status' ? 'Migration status' : 'Migrating'} (${backend === 'postgres' ? '🐘 PostgreSQL' : '📄 JSON files'})`);
+  if (backend === 'postgres') {
+    await runPostgres();
+  } else {
+    runJson();
+  }
+};
+
+main().catch(err => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
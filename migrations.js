@@ -0,0 +1,188 @@
+// migrations.js
+// Versioned schema migrations for both storage backends
+// Migrations live in migrations/postgres and migrations/json as NNN_description.js files exporting `up`
+// and are applied in version order; applied versions are recorded in the schema_migrations table
+// (Postgres) or data/schema_migrations.json (JSON)
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const JSON_STATE_FILE = 'schema_migrations.json';
+const MIGRATE_ON_STARTUP = process.env.MIGRATE_ON_STARTUP !== 'false';
+
+// Arbitrary key for the advisory lock serializing migration runs across instances
+const MIGRATION_LOCK_ID = 7340001;
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// List a backend's migrations sorted by version
+const loadMigrations = (backend) => {
+  const dir = path.join(MIGRATIONS_DIR, backend);
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid migration file name ${backend}/${file} (expected NNN_description.js)`);
+      }
+      const { up } = require(path.join(dir, file));
+      if (typeof up !== 'function') {
+        throw new Error(`Migration ${backend}/${file} does not export up()`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate ${backend} migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+};
+
+const describe = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+// Split migrations into applied and pending given the applied versions
+// Versions recorded but unknown to this code mean the data was migrated by a newer release
+const buildStatus = (migrations, appliedRows) => {
+  const appliedVersions = new Set(appliedRows.map(row => row.version));
+  const known = new Set(migrations.map(migration => migration.version));
+  return {
+    applied: appliedRows.filter(row => known.has(row.version)),
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: appliedRows.filter(row => !known.has(row.version))
+  };
+};
+
+const warnUnknown = (status) => {
+  if (status.unknown.length > 0) {
+    console.warn(`⚠️  Storage has migrations this version does not know about (${status.unknown.map(describe).join(', ')}); it was migrated by a newer release`);
+  }
+};
+
+// Throw unless every migration has been applied (used when MIGRATE_ON_STARTUP is false)
+const assertUpToDate = (status) => {
+  if (status.pending.length > 0) {
+    throw new Error(`${status.pending.length} pending migrations (${status.pending.map(describe).join(', ')}); run npm run migrate`);
+  }
+};
+
+// Postgres
+
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+  );
+`);
+
+const readPostgresStatus = async (client) => {
+  const res = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  return buildStatus(loadMigrations('postgres'), res.rows);
+};
+
+// Read-only: without the schema_migrations table every migration is pending
+const postgresStatus = async (pool) => {
+  const client = await pool.connect();
+  try {
+    const res = await client.query("SELECT to_regclass('schema_migrations') AS name");
+    if (!res.rows[0].name) return buildStatus(loadMigrations('postgres'), []);
+    return await readPostgresStatus(client);
+  } finally {
+    client.release();
+  }
+};
+
+// Apply pending migrations, each in its own transaction; returns the applied migration names
+const migratePostgres = async (pool) => {
+  const client = await pool.connect();
+  const applied = [];
+  try {
+    // Other instances starting at the same time wait here and then find nothing pending
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const status = await readPostgresStatus(client);
+    warnUnknown(status);
+
+    for (const migration of status.pending) {
+      console.log(`🔧 Applying migration ${describe(migration)}`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${describe(migration)} failed: ${err.message}`);
+      }
+      applied.push(describe(migration));
+    }
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+// JSON
+
+// Migrations get read(fileName) / write(fileName, data) for files in the data directory
+const jsonAccess = (store, dataDir) => {
+  const filePathFor = (fileName) => {
+    const filePath = path.join(dataDir, fileName);
+    if (!store.isLoaded(filePath)) store.load(filePath);
+    return filePath;
+  };
+  return {
+    // Copied because migrations and imports edit what they read before deciding to write it
+    read: (fileName) => structuredClone(store.read(filePathFor(fileName))),
+    write: (fileName, data) => store.write(filePathFor(fileName), data)
+  };
+};
+
+const readJsonStatus = (access) => {
+  const state = access.read(JSON_STATE_FILE);
+  const rows = Object.entries(state).map(([version, entry]) => ({ version: parseInt(version, 10), ...entry }));
+  return buildStatus(loadMigrations('json'), rows.sort((a, b) => a.version - b.version));
+};
+
+const jsonStatus = ({ store, dataDir }) => readJsonStatus(jsonAccess(store, dataDir));
+
+// Apply pending migrations to the data files; returns the applied migration names
+// The files cannot share a transaction, so each migration is flushed before it is recorded:
+// a crash in between re-runs it on the next start, which is why JSON migrations must be idempotent
+const migrateJson = ({ store, dataDir }) => {
+  const access = jsonAccess(store, dataDir);
+  const status = readJsonStatus(access);
+  warnUnknown(status);
+
+  return status.pending.map(migration => {
+    console.log(`🔧 Applying migration ${describe(migration)}`);
+    try {
+      migration.up(access);
+      store.flushSync();
+    } catch (err) {
+      throw new Error(`Migration ${describe(migration)} failed: ${err.message}`);
+    }
+
+    const state = access.read(JSON_STATE_FILE);
+    state[migration.version] = { name: migration.name, applied_at: new Date().toISOString() };
+    access.write(JSON_STATE_FILE, state);
+    store.flushSync();
+    return describe(migration);
+  });
+};
+
+module.exports = {
+  MIGRATE_ON_STARTUP,
+  describe,
+  assertUpToDate,
+  jsonAccess,
+  postgresStatus,
+  migratePostgres,
+  jsonStatus,
+  migrateJson
+};
@@ -0,0 +1,22 @@
+// 001_hash_plaintext_update_keys.js
+// Hash update keys stored in plaintext by versions before hashed keys
+const { hashUpdateKey, isHashedKey } = require('../../update_keys');
+
+module.exports = {
+  up: ({ read, write }) => {
+    const trackings = read('trackings.json');
+    let migrated = 0;
+
+    Object.values(trackings).forEach(tracking => {
+      if (tracking.update_key && !isHashedKey(tracking.update_key)) {
+        tracking.update_key = hashUpdateKey(tracking.update_key);
+        migrated++;
+      }
+    });
+
+    if (migrated > 0) {
+      write('trackings.json', trackings);
+      console.log(`🔐 Hashed ${migrated} plaintext update keys`);
+    }
+  }
+};
@@ -0,0 +1,48 @@
+// 002_backfill_tracking_fields.js
+// Give trackings and track records written by older versions every field current code expects,
+// with the same defaults the Postgres columns have
+const TRACKING_DEFAULTS = {
+  status: 'Preparing',
+  destination_latitude: null,
+  destination_longitude: null,
+  owner_user_id: null,
+  visibility: 'public',
+  viewer_passcode_hash: null,
+  archived_at: null
+};
+
+const RECORD_DEFAULTS = {
+  latitude: null,
+  longitude: null,
+  accuracy: null,
+  label: null
+};
+
+// Returns true when anything was added
+const backfill = (item, defaults) => {
+  let changed = false;
+  Object.entries(defaults).forEach(([field, value]) => {
+    if (item[field] === undefined) {
+      item[field] = value;
+      changed = true;
+    }
+  });
+  return changed;
+};
+
+module.exports = {
+  up: ({ read, write }) => {
+    const trackings = read('trackings.json');
+    const trackingsChanged = Object.values(trackings)
+      .map(tracking => backfill(tracking, TRACKING_DEFAULTS))
+      .some(Boolean);
+    if (trackingsChanged) write('trackings.json', trackings);
+
+    const records = read('track_records.json');
+    const recordsChanged = Object.values(records)
+      .flat()
+      .map(record => backfill(record, RECORD_DEFAULTS))
+      .some(Boolean);
+    if (recordsChanged) write('track_records.json', records);
+  }
+};
@@ -0,0 +1,17 @@
+// 003_add_eta_rule_markers.js
+// Trackings get the ETA each scheduled rule last fired for (see eta_scheduler.js), like the Postgres columns
+const MARKERS = ['overdue_fired_eta', 'out_for_delivery_fired_eta'];
+
+module.exports = {
+  up: ({ read, write }) => {
+    const trackings = read('trackings.json');
+    let changed = false;
+    Object.values(trackings).forEach(tracking => {
+      MARKERS.filter(field => tracking[field] === undefined).forEach(field => {
+        tracking[field] = null;
+        changed = true;
+      });
+    });
+    if (changed) write('trackings.json', trackings);
+  }
+};
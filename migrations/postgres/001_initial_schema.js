@@ -0,0 +1,149 @@
+// 001_initial_schema.js
+// Baseline: every table and column init() created before migrations existed
+// Uses IF NOT EXISTS throughout so databases created by those versions are adopted unchanged
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trackings (
+        id UUID PRIMARY KEY,
+        tracking_number TEXT UNIQUE NOT NULL,
+        kiss_provider TEXT NOT NULL,
+        destination TEXT NOT NULL,
+        eta TIMESTAMP WITH TIME ZONE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'Preparing',
+        update_key TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+
+    // Add status column to existing trackings if it doesn't exist
+    await client.query(`
+      ALTER TABLE trackings 
+      ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'Preparing';
+    `);
+
+    // Add timezone and locale columns for creator preferences
+    await client.query(`
+      ALTER TABLE trackings 
+      ADD COLUMN IF NOT EXISTS creator_timezone TEXT DEFAULT 'Europe/Zurich';
+    `);
+
+    await client.query(`
+      ALTER TABLE trackings 
+      ADD COLUMN IF NOT EXISTS creator_locale TEXT DEFAULT 'en-CH';
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS track_records (
+        id UUID PRIMARY KEY,
+        tracking_id UUID REFERENCES trackings(id) ON DELETE CASCADE,
+        tracking_number TEXT NOT NULL,
+        location TEXT NOT NULL,
+        timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+
+    // Add optional destination coordinates used for ETA estimation
+    await client.query(`
+      ALTER TABLE trackings
+      ADD COLUMN IF NOT EXISTS destination_latitude DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS destination_longitude DOUBLE PRECISION;
+    `);
+
+    // Add optional geolocation columns to track records
+    await client.query(`
+      ALTER TABLE track_records
+      ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS accuracy DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS label TEXT;
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS status_history (
+        id UUID PRIMARY KEY,
+        tracking_id UUID REFERENCES trackings(id) ON DELETE CASCADE,
+        tracking_number TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        forced BOOLEAN NOT NULL DEFAULT false,
+        changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+
+    // Append-only event log; rows are never updated
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tracking_events (
+        id UUID PRIMARY KEY,
+        tracking_id UUID REFERENCES trackings(id) ON DELETE CASCADE,
+        tracking_number TEXT NOT NULL,
+        type TEXT NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS delegate_keys (
+        id UUID PRIMARY KEY,
+        tracking_id UUID REFERENCES trackings(id) ON DELETE CASCADE,
+        tracking_number TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        label TEXT,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+
+    // Optional user accounts owning trackings
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        display_name TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+
+    await client.query(`
+      ALTER TABLE trackings
+      ADD COLUMN IF NOT EXISTS owner_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+    `);
+
+    // Viewer access control
+    await client.query(`
+      ALTER TABLE trackings
+      ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public',
+      ADD COLUMN IF NOT EXISTS viewer_passcode_hash TEXT;
+    `);
+
+    // Archived trackings are read-only and eligible for the retention sweeper
+    await client.query(`
+      ALTER TABLE trackings
+      ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    // Shared rate limit counters (see rate_limit.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+    `);
+  }
+};
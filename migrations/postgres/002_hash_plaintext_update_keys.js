@@ -0,0 +1,17 @@
+// 002_hash_plaintext_update_keys.js
+// Hash update keys stored in plaintext by versions before hashed keys
+const { hashUpdateKey } = require('../../update_keys');
+
+module.exports = {
+  up: async (client) => {
+    const plaintextKeys = await client.query(
+      `SELECT id, update_key FROM trackings WHERE update_key NOT LIKE 'sha256$%'`
+    );
+    for (const row of plaintextKeys.rows) {
+      await client.query('UPDATE trackings SET update_key = $1 WHERE id = $2', [hashUpdateKey(row.update_key), row.id]);
+    }
+    if (plaintextKeys.rowCount > 0) {
+      console.log(`🔐 Hashed ${plaintextKeys.rowCount} plaintext update keys`);
+    }
+  }
+};
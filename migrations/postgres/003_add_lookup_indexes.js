@@ -0,0 +1,29 @@
+// 003_add_lookup_indexes.js
+// Indexes for the per-tracking lookups every request makes, cascading deletes and the cleanup queries
+module.exports = {
+  up: async (client) => {
+    // Per-tracking reads, ordered the way the queries return them
+    await client.query('CREATE INDEX IF NOT EXISTS track_records_tracking_number_idx ON track_records (tracking_number, timestamp)');
+    await client.query('CREATE INDEX IF NOT EXISTS status_history_tracking_number_idx ON status_history (tracking_number, changed_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS tracking_events_tracking_number_idx ON tracking_events (tracking_number, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS delegate_keys_tracking_number_idx ON delegate_keys (tracking_number)');
+
+    // ON DELETE CASCADE from trackings
+    await client.query('CREATE INDEX IF NOT EXISTS track_records_tracking_id_idx ON track_records (tracking_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS status_history_tracking_id_idx ON status_history (tracking_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS tracking_events_tracking_id_idx ON tracking_events (tracking_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS delegate_keys_tracking_id_idx ON delegate_keys (tracking_id)');
+
+    // Accounts
+    await client.query('CREATE INDEX IF NOT EXISTS trackings_owner_user_id_idx ON trackings (owner_user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id)');
+
+    // Expiry and retention sweeps
+    await client.query('CREATE INDEX IF NOT EXISTS sessions_expires_at_idx ON sessions (expires_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS rate_limits_reset_at_idx ON rate_limits (reset_at)');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS trackings_closed_updated_at_idx ON trackings (updated_at)
+      WHERE status = 'Delivered' OR archived_at IS NOT NULL
+    `);
+  }
+};
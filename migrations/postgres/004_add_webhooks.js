@@ -0,0 +1,45 @@
+// 004_add_webhooks.js
+// Webhook registrations and their persistent delivery queue / log (see webhooks.js)
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id UUID PRIMARY KEY,
+        tracking_id UUID REFERENCES trackings(id) ON DELETE CASCADE,
+        tracking_number TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT[] NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS webhooks_tracking_number_idx ON webhooks (tracking_number)');
+    await client.query('CREATE INDEX IF NOT EXISTS webhooks_tracking_id_idx ON webhooks (tracking_id)');
+
+    // Pending rows are the queue; delivered and failed rows are the delivery log
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY,
+        webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        tracking_number TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        last_attempt_at TIMESTAMP WITH TIME ZONE,
+        response_status INTEGER,
+        last_error TEXT,
+        delivered_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+      WHERE status = 'pending'
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, created_at)');
+  }
+};
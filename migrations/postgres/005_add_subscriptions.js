@@ -0,0 +1,22 @@
+// 005_add_subscriptions.js
+// Viewer email and Web Push subscriptions (see notifications.js)
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        id UUID PRIMARY KEY,
+        tracking_id UUID REFERENCES trackings(id) ON DELETE CASCADE,
+        tracking_number TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        email TEXT,
+        push_subscription JSONB,
+        events TEXT[] NOT NULL,
+        token TEXT NOT NULL UNIQUE,
+        confirmed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS subscriptions_tracking_number_idx ON subscriptions (tracking_number)');
+    await client.query('CREATE INDEX IF NOT EXISTS subscriptions_tracking_id_idx ON subscriptions (tracking_id)');
+  }
+};
@@ -0,0 +1,15 @@
+// 006_add_eta_rule_markers.js
+// The ETA each scheduled rule last fired for (see eta_scheduler.js), so a rule fires once per ETA
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE trackings
+      ADD COLUMN IF NOT EXISTS overdue_fired_eta TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS out_for_delivery_fired_eta TIMESTAMP WITH TIME ZONE
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS trackings_open_eta_idx ON trackings (eta)
+      WHERE status <> 'Delivered' AND archived_at IS NULL
+    `);
+  }
+};
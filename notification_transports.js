@@ -0,0 +1,123 @@
+// notification_transports.js
+// Pluggable senders for viewer notifications, one per channel:
+// email: smtp (nodemailer) | file | disabled, push: webpush (VAPID) | file | disabled
+// The file sink appends one JSON line per notification, for development without a mail server or browser
+// A transport is { type, send(subscription, message) } where message is { event, trackingNumber, title, body, url, unsubscribeUrl }
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+const { assertAllowedDestination, createCheckedAgent } = require('./webhooks');
+
+// Unconfigured channels write to the file sink in development and are disabled in production
+const DEFAULT_TRANSPORT = process.env.NODE_ENV === 'production' ? 'disabled' : 'file';
+
+const EMAIL_TRANSPORT = (process.env.NOTIFY_EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : DEFAULT_TRANSPORT)).toLowerCase();
+const PUSH_TRANSPORT = (process.env.NOTIFY_PUSH_TRANSPORT
+  || (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY ? 'webpush' : DEFAULT_TRANSPORT)).toLowerCase();
+
+const EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || 'Kiss Tracker <no-reply@localhost>';
+const FILE_PATH = process.env.NOTIFY_FILE_PATH
+  ? path.resolve(process.env.NOTIFY_FILE_PATH)
+  : path.join(__dirname, 'data', 'notifications.log');
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+const emailText = (message) => [
+  message.body,
+  message.url,
+  message.unsubscribeUrl && `Stop these notifications: ${message.unsubscribeUrl}`
+].filter(Boolean).join('\n\n');
+
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    type: 'smtp',
+    send: async (subscription, message) => {
+      await mailer.sendMail({
+        from: EMAIL_FROM,
+        to: subscription.email,
+        subject: message.title,
+        text: emailText(message),
+        headers: message.unsubscribeUrl ? { 'List-Unsubscribe': `<${message.unsubscribeUrl}>` } : {}
+      });
+    }
+  };
+};
+
+const createWebPushTransport = () => {
+  const vapidDetails = {
+    subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost',
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY
+  };
+  if (!vapidDetails.publicKey || !vapidDetails.privateKey) {
+    throw new Error('NOTIFY_PUSH_TRANSPORT=webpush requires VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (generate them with `npx web-push generate-vapid-keys`)');
+  }
+
+  // Endpoints come from viewers, so they get the same private network checks as webhook URLs
+  const agent = createCheckedAgent();
+
+  return {
+    type: 'webpush',
+    publicKey: vapidDetails.publicKey,
+    send: async (subscription, message) => {
+      const { event, trackingNumber, title, body, url } = message;
+      try {
+        await assertAllowedDestination(subscription.push_subscription.endpoint);
+        await webpush.sendNotification(
+          subscription.push_subscription,
+          JSON.stringify({ event, trackingNumber, title, body, url }),
+          { vapidDetails, TTL: PUSH_TTL_SECONDS, agent }
+        );
+      } catch (err) {
+        // The browser dropped the subscription, or the endpoint points at a private network; it will never work
+        if (err.statusCode === 404 || err.statusCode === 410 || err.blocked) err.gone = true;
+        throw err;
+      }
+    }
+  };
+};
+
+const createFileTransport = (channel) => ({
+  type: 'file',
+  send: async (subscription, message) => {
+    const to = channel === 'email' ? subscription.email : subscription.push_subscription.endpoint;
+    await fs.promises.mkdir(path.dirname(FILE_PATH), { recursive: true });
+    await fs.promises.appendFile(FILE_PATH, `${JSON.stringify({ sentAt: new Date().toISOString(), channel, to, ...message })}\n`);
+  }
+});
+
+const FACTORIES = {
+  email: { smtp: createSmtpTransport, file: () => createFileTransport('email') },
+  push: { webpush: createWebPushTransport, file: () => createFileTransport('push') }
+};
+
+// Build the configured transport per channel; disabled channels map to null
+const createTransports = () => {
+  const build = (channel, type) => {
+    if (type === 'disabled') return null;
+    const factory = FACTORIES[channel][type];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} notification transport '${type}' (expected ${Object.keys(FACTORIES[channel]).join(', ')} or disabled)`);
+    }
+    return factory();
+  };
+
+  return {
+    email: build('email', EMAIL_TRANSPORT),
+    push: build('push', PUSH_TRANSPORT)
+  };
+};
+
+module.exports = {
+  FILE_PATH,
+  createTransports
+};
@@ -0,0 +1,125 @@
+// notifications.js
+// Email and Web Push notifications for viewers who subscribed to a tracking
+// Broadcasts are mapped to the few events viewers care about when the page is closed; sending is best effort
+// Email subscriptions must be confirmed through the emailed link before anything else is sent to them
+const crypto = require('crypto');
+
+const NOTIFICATION_EVENTS = ['delivered', 'delayed', 'eta-change'];
+const CHANNELS = ['email', 'push'];
+
+const MAX_SUBSCRIPTIONS_PER_TRACKING = parseInt(process.env.NOTIFY_MAX_SUBSCRIPTIONS_PER_TRACKING, 10) || 50;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Unsubscribe tokens go into every notification, so they are stored as is; they only allow confirming and unsubscribing
+const generateSubscriptionToken = () => crypto.randomBytes(24).toString('hex');
+
+const trackingLink = (trackingNumber) => `${FRONTEND_URL}/track/${trackingNumber}`;
+const subscriptionLink = (action, token) => `${FRONTEND_URL}/subscriptions/${action}?token=${token}`;
+
+// The notification event for a broadcast, or null when subscribers are not told about it
+const notificationEventFor = (eventType, data) => {
+  if (eventType === 'eta-change') return 'eta-change';
+  if (eventType !== 'status-change') return null;
+  if (data.status === 'Delivered') return 'delivered';
+  if (data.status === 'Delayed') return 'delayed';
+  return null;
+};
+
+const MESSAGES = {
+  'delivered': (tracking) => ({
+    title: `💋 Kiss ${tracking.tracking_number} delivered`,
+    body: `Your kiss from ${tracking.kiss_provider} has arrived at ${tracking.destination}.`
+  }),
+  'delayed': (tracking, data) => ({
+    title: `⏳ Kiss ${tracking.tracking_number} is delayed`,
+    body: `Your kiss from ${tracking.kiss_provider} is running late.${data.note ? ` ${data.note}` : ''}`
+  }),
+  'eta-change': (tracking, data) => ({
+    title: `⏰ New ETA for kiss ${tracking.tracking_number}`,
+    body: `Your kiss from ${tracking.kiss_provider} is now expected ${new Date(data.eta).toUTCString()}.`
+  })
+};
+
+const buildMessage = (event, tracking, data, subscription) => ({
+  event,
+  trackingNumber: tracking.tracking_number,
+  ...MESSAGES[event](tracking, data),
+  url: trackingLink(tracking.tracking_number),
+  unsubscribeUrl: subscriptionLink('unsubscribe', subscription.token)
+});
+
+const buildConfirmation = (trackingNumber, subscription) => ({
+  event: 'confirm',
+  trackingNumber,
+  title: `Confirm notifications for kiss ${trackingNumber}`,
+  body: `Someone (hopefully you) asked to be notified about kiss ${trackingNumber} (${subscription.events.join(', ')}). `
+    + 'Open the link to confirm; ignore this email otherwise.',
+  url: subscriptionLink('confirm', subscription.token),
+  unsubscribeUrl: subscriptionLink('unsubscribe', subscription.token)
+});
+
+// `transports` is { email, push } from notification_transports.js; a null transport disables its channel
+const createNotifier = ({ db, transports }) => {
+  const channels = () => CHANNELS.filter(channel => transports[channel]);
+
+  // Send one message; resolves to whether it was sent
+  const deliver = async (trackingNumber, subscription, message) => {
+    const transport = transports[subscription.channel];
+    if (!transport) return false;
+
+    try {
+      await transport.send(subscription, message);
+      return true;
+    } catch (err) {
+      if (err.gone) {
+        await db.deleteSubscription(trackingNumber, subscription.id);
+        console.log(`🔕 Removed expired push subscription for ${trackingNumber}`);
+        return false;
+      }
+      console.error(`⚠️  Failed to send ${message.event} ${subscription.channel} notification for ${trackingNumber}:`, err.message);
+      return false;
+    }
+  };
+
+  // Notify the confirmed subscribers of a tracking about a broadcast; returns how many were sent
+  const notify = async (trackingNumber, eventType, data) => {
+    const event = notificationEventFor(eventType, data);
+    if (!event) return 0;
+
+    const subscriptions = (await db.getSubscriptions(trackingNumber))
+      .filter(subscription => subscription.confirmed_at && subscription.events.includes(event));
+    if (subscriptions.length === 0) return 0;
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) return 0;
+
+    const results = await Promise.all(subscriptions.map(subscription =>
+      deliver(trackingNumber, subscription, buildMessage(event, tracking, data, subscription))
+    ));
+    const sent = results.filter(Boolean).length;
+    console.log(`🔔 Sent ${event} notifications to ${sent} of ${subscriptions.length} subscribers of ${trackingNumber}`);
+    return sent;
+  };
+
+  const sendConfirmation = (trackingNumber, subscription) => deliver(
+    trackingNumber,
+    subscription,
+    buildConfirmation(trackingNumber, subscription)
+  );
+
+  return {
+    channels,
+    notify,
+    sendConfirmation
+  };
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CHANNELS,
+  MAX_SUBSCRIPTIONS_PER_TRACKING,
+  generateSubscriptionToken,
+  notificationEventFor,
+  createNotifier
+};
@@ -0,0 +1,103 @@
+// pubsub.js
+// Pub/sub adapters used to fan broadcasts out to the SSE clients of every running instance
+// Each adapter exposes: type, start(), publish(message), subscribe(handler), close()
+// A message is { id, trackingNumber, event, data }
+
+// Single-process adapter: publishing delivers to local subscribers synchronously
+const createMemoryAdapter = () => {
+  const handlers = new Set();
+
+  return {
+    type: 'memory',
+    start: async () => {},
+    publish: async (message) => {
+      handlers.forEach(handler => handler(message));
+    },
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: async () => {
+      handlers.clear();
+    }
+  };
+};
+
+// NOTIFY payloads are limited to 8000 bytes by PostgreSQL
+const MAX_NOTIFY_PAYLOAD = 7900;
+const RECONNECT_DELAY_MS = 5000;
+
+// PostgreSQL adapter: publishes with pg_notify and keeps one pooled connection LISTENing
+const createPostgresAdapter = (pool, channel = 'kiss_tracker_events') => {
+  const handlers = new Set();
+  let listener = null;
+  let closed = false;
+
+  const handleNotification = (notification) => {
+    if (notification.channel !== channel) return;
+    let message;
+    try {
+      message = JSON.parse(notification.payload);
+    } catch (err) {
+      console.error('Ignoring malformed pub/sub payload:', err.message);
+      return;
+    }
+    handlers.forEach(handler => handler(message));
+  };
+
+  const connect = async () => {
+    const client = await pool.connect();
+    client.on('notification', handleNotification);
+    client.on('error', (err) => {
+      console.error('⚠️  Pub/sub listener connection lost:', err.message);
+      client.removeListener('notification', handleNotification);
+      client.release(err);
+      listener = null;
+      scheduleReconnect();
+    });
+    await client.query(`LISTEN ${channel}`);
+    listener = client;
+    console.log(`📡 Listening for broadcasts on PostgreSQL channel "${channel}"`);
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    setTimeout(() => {
+      connect().catch(err => {
+        console.error('⚠️  Pub/sub reconnect failed:', err.message);
+        scheduleReconnect();
+      });
+    }, RECONNECT_DELAY_MS).unref();
+  };
+
+  return {
+    type: 'postgres',
+    start: connect,
+    publish: async (message) => {
+      const payload = JSON.stringify(message);
+      if (Buffer.byteLength(payload) > MAX_NOTIFY_PAYLOAD) {
+        throw new Error(`Broadcast payload too large for NOTIFY (${Buffer.byteLength(payload)} bytes)`);
+      }
+      await pool.query('SELECT pg_notify($1, $2)', [channel, payload]);
+    },
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close: async () => {
+      closed = true;
+      handlers.clear();
+      if (listener) {
+        listener.removeListener('notification', handleNotification);
+        await listener.query(`UNLISTEN ${channel}`).catch(() => {});
+        listener.release();
+        listener = null;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createMemoryAdapter,
+  createPostgresAdapter
+};
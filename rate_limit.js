@@ -0,0 +1,177 @@
+// rate_limit.js
+// Fixed-window rate limiting and failure lockouts with swappable counter stores
+// A store exposes: type, increment(key, windowMs) -> { count, resetAt }, get(key) -> { count, resetAt } | null, reset(key)
+const { ERROR_CODES, sendError } = require('./api_errors');
+
+// Single-process store
+const createMemoryStore = () => {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    type: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { ...counter };
+    },
+    get: async (key) => {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+};
+
+// Shared store so limits hold across instances (table created by migrations/postgres/001_initial_schema.js)
+const createPostgresStore = (pool) => {
+  const sweep = setInterval(() => {
+    pool.query('DELETE FROM rate_limits WHERE reset_at <= now()').catch(err => {
+      console.error('Error sweeping rate limits:', err.message);
+    });
+  }, 5 * 60 * 1000);
+  sweep.unref();
+
+  const toCounter = (row) => ({ count: row.count, resetAt: new Date(row.reset_at).getTime() });
+
+  return {
+    type: 'postgres',
+    increment: async (key, windowMs) => {
+      const res = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, now() + $2 * interval '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= now() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= now() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs]
+      );
+      return toCounter(res.rows[0]);
+    },
+    get: async (key) => {
+      const res = await pool.query('SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > now()', [key]);
+      return res.rows[0] ? toCounter(res.rows[0]) : null;
+    },
+    reset: async (key) => {
+      await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+const useStore = (newStore) => {
+  store = newStore;
+};
+
+const storeType = () => store.type;
+
+// Client address of a raw HTTP request (e.g. a WebSocket upgrade) that did not go through Express
+// Trusts `trustedHops` proxies the same way Express does for a numeric 'trust proxy' setting
+const clientAddress = (req, trustedHops = 0) => {
+  const forwarded = (req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  const chain = [req.socket.remoteAddress, ...forwarded.reverse()];
+  return chain[Math.min(trustedHops, chain.length - 1)];
+};
+
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+// Counts hits per id in fixed windows; limiters with the same name share their counters
+// hit(id) returns { limited, limit, remaining, reset } (reset in seconds), or null when the store is unavailable
+const createLimiter = ({ name, limit, windowMs }) => ({
+  hit: async (id) => {
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${id}`, windowMs);
+      if (count > limit) {
+        console.log(`❌ Rate limit ${name} exceeded for ${id}`);
+      }
+      return { limited: count > limit, limit, remaining: Math.max(0, limit - count), reset: secondsUntil(resetAt) };
+    } catch (err) {
+      // Never take the API down because the limiter store is unavailable
+      console.error(`Error in ${name} rate limiter:`, err.message);
+      return null;
+    }
+  }
+});
+
+// Middleware limiting requests per key (IP by default) with RateLimit-* headers
+const rateLimit = ({ name, limit, windowMs, key = (req) => req.ip }) => {
+  const limiter = createLimiter({ name, limit, windowMs });
+
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const result = await limiter.hit(id);
+    if (!result) return next();
+    const { limited, remaining, reset } = result;
+
+    // When several limiters apply, the headers describe the most restrictive one
+    const previous = res.get('RateLimit-Remaining');
+    if (previous === undefined || remaining < Number(previous)) {
+      res.set('RateLimit-Limit', String(limit));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(reset));
+    }
+
+    if (limited) {
+      res.set('Retry-After', String(reset));
+      return sendError(res, 429, ERROR_CODES.RATE_LIMITED, 'Too many requests, please try again later');
+    }
+    next();
+  };
+};
+
+// Counts failures (invalid keys, passcodes, passwords) and locks the id out once `threshold` is reached
+const failureGuard = ({ name, threshold, windowMs }) => ({
+  // Returns { locked, retryAfter } (retryAfter in seconds)
+  check: async (id) => {
+    try {
+      const counter = await store.get(`${name}:${id}`);
+      if (counter && counter.count >= threshold) {
+        return { locked: true, retryAfter: secondsUntil(counter.resetAt) };
+      }
+    } catch (err) {
+      console.error(`Error checking ${name} lockout:`, err.message);
+    }
+    return { locked: false, retryAfter: 0 };
+  },
+  fail: async (id) => {
+    try {
+      const { count } = await store.increment(`${name}:${id}`, windowMs);
+      if (count === threshold) {
+        console.log(`🔒 ${name} lockout triggered for ${id}`);
+      }
+    } catch (err) {
+      console.error(`Error recording ${name} failure:`, err.message);
+    }
+  }
+});
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  useStore,
+  storeType,
+  clientAddress,
+  createLimiter,
+  rateLimit,
+  failureGuard
+};
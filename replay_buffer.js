@@ -0,0 +1,83 @@
+// replay_buffer.js
+// Keeps the latest broadcasts per tracking so reconnecting SSE clients can catch up via Last-Event-ID
+
+const BUFFER_SIZE = parseInt(process.env.SSE_REPLAY_BUFFER_SIZE, 10) || 100;
+const BUFFER_TTL_MS = (parseInt(process.env.SSE_REPLAY_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// trackingNumber -> { events: [{ id, event, data }], floor, touchedAt }
+// Every event with an id greater than `floor` is still in `events`
+const buffers = new Map();
+
+// Seeded with the start time so ids keep increasing across restarts
+let lastId = Date.now();
+
+const nextEventId = () => {
+  lastId += 1;
+  return lastId;
+};
+
+// Ids published by other instances move the local counter forward so later ids stay ordered
+const observeEventId = (id) => {
+  if (id > lastId) lastId = id;
+};
+
+const getBuffer = (trackingNumber) => {
+  let buffer = buffers.get(trackingNumber);
+  if (!buffer) {
+    // Nothing is known about events broadcast before this buffer existed
+    buffer = { events: [], floor: lastId, touchedAt: Date.now() };
+    buffers.set(trackingNumber, buffer);
+  }
+  return buffer;
+};
+
+// Remember a broadcast for replay, under the id it was published with
+const record = (trackingNumber, event, data, id) => {
+  const buffer = getBuffer(trackingNumber);
+  observeEventId(id);
+  const entry = { id, event, data };
+
+  buffer.events.push(entry);
+  buffer.touchedAt = Date.now();
+
+  while (buffer.events.length > BUFFER_SIZE) {
+    buffer.floor = Math.max(buffer.floor, buffer.events.shift().id);
+  }
+
+  return entry;
+};
+
+// Events broadcast after `lastEventId`; `complete` is false when some of them were already evicted
+const since = (trackingNumber, lastEventId) => {
+  const buffer = getBuffer(trackingNumber);
+  buffer.touchedAt = Date.now();
+
+  return {
+    events: buffer.events.filter(entry => entry.id > lastEventId),
+    complete: lastEventId >= buffer.floor
+  };
+};
+
+// Forget buffers of trackings nobody has touched for a while
+const sweep = () => {
+  const cutoff = Date.now() - BUFFER_TTL_MS;
+  buffers.forEach((buffer, trackingNumber) => {
+    if (buffer.touchedAt < cutoff) {
+      buffers.delete(trackingNumber);
+    }
+  });
+};
+
+// Drop everything buffered for a tracking (e.g. once it is deleted)
+const clear = (trackingNumber) => {
+  buffers.delete(trackingNumber);
+};
+
+setInterval(sweep, Math.min(BUFFER_TTL_MS, 10 * 60 * 1000)).unref();
+
+module.exports = {
+  nextEventId,
+  record,
+  since,
+  clear
+};
@@ -0,0 +1,56 @@
+// retention.js
+// Background sweeper purging delivered and archived trackings once they have been idle for RETENTION_DAYS
+
+const RETENTION_DAYS = parseInt(process.env.RETENTION_DAYS, 10) || 0; // 0 keeps everything
+const SWEEP_INTERVAL_MS = (parseInt(process.env.RETENTION_SWEEP_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `onPurged(trackingNumber)` runs for every purged tracking so live viewers can be disconnected
+const createRetentionSweeper = ({ db, onPurged }) => {
+  let timer = null;
+
+  // Purges once; safe to run on several instances at the same time
+  const sweep = async () => {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+    const purged = await db.purgeClosedTrackings(cutoff);
+
+    if (purged.length > 0) {
+      console.log(`🧹 Purged ${purged.length} trackings closed before ${cutoff}`);
+      purged.forEach(onPurged);
+    }
+    return purged;
+  };
+
+  const runSweep = () => {
+    sweep().catch(err => console.error('Error running retention sweep:', err.message));
+  };
+
+  const start = () => {
+    if (RETENTION_DAYS <= 0) {
+      console.log('🧹 Retention sweeper disabled (set RETENTION_DAYS to enable)');
+      return;
+    }
+
+    console.log(`🧹 Retention sweeper purging closed trackings after ${RETENTION_DAYS} days`);
+    runSweep();
+    timer = setInterval(runSweep, SWEEP_INTERVAL_MS);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    start,
+    stop,
+    sweep
+  };
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  createRetentionSweeper
+};
@@ -0,0 +1,365 @@
+// schemas.js
+// Request schemas for every route body and query (rule format documented in validation.js)
+const { STATUSES } = require('./status_machine');
+const { SCOPES } = require('./update_keys');
+const { VISIBILITIES, DEFAULT_VISIBILITY, MIN_PASSCODE_LENGTH } = require('./viewer_access');
+const { MIN_PASSWORD_LENGTH } = require('./auth');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { NOTIFICATION_EVENTS, CHANNELS } = require('./notifications');
+const { EXPORT_FORMATS } = require('./journey_export');
+const { FIELD_ERRORS, detail } = require('./validation');
+
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 50;
+const MAX_BULK_SIZE = parseInt(process.env.MAX_BULK_SIZE, 10) || 100;
+
+// Length limits for free-text fields
+const LIMITS = {
+  kissProvider: 100,
+  destination: 200,
+  location: 200,
+  label: 100,
+  note: 500,
+  displayName: 100,
+  email: 254,
+  password: 200,
+  passcode: 100,
+  trackingNumber: 64,
+  key: 128,
+  viewerToken: 512,
+  url: 2000,
+  pushKey: 200
+};
+
+// Shared field rules
+const latitude = { type: 'number', min: -90, max: 90 };
+const longitude = { type: 'number', min: -180, max: 180 };
+const trackingNumber = { type: 'string', required: true, maxLength: LIMITS.trackingNumber };
+const key = { type: 'string', maxLength: LIMITS.key };
+const viewerToken = { type: 'string', maxLength: LIMITS.viewerToken };
+const email = {
+  type: 'string',
+  lowercase: true,
+  maxLength: LIMITS.email,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: 'must be a valid email address'
+};
+const passcode = { type: 'string', trim: false, minLength: MIN_PASSCODE_LENGTH, maxLength: LIMITS.passcode };
+
+// Cross-field checks
+const combine = (...checks) => (values) => checks.flatMap(check => check(values));
+
+const coordinatePair = (latitudeField, longitudeField) => (values) => {
+  const hasLatitude = values[latitudeField] !== undefined;
+  const hasLongitude = values[longitudeField] !== undefined;
+  if (hasLatitude !== hasLongitude) {
+    return [detail(
+      hasLatitude ? longitudeField : latitudeField,
+      FIELD_ERRORS.REQUIRED,
+      `${latitudeField} and ${longitudeField} must be provided together`
+    )];
+  }
+  if ((values[latitudeField] === null) !== (values[longitudeField] === null)) {
+    return [detail(latitudeField, FIELD_ERRORS.CONFLICT, `${latitudeField} and ${longitudeField} must be cleared together`)];
+  }
+  return [];
+};
+
+const visibilitySettings = (values) => {
+  if (values.visibility === 'unlisted' && values.passcode === undefined) {
+    return [detail('passcode', FIELD_ERRORS.REQUIRED, 'passcode is required for unlisted trackings')];
+  }
+  if (values.visibility !== 'unlisted' && values.passcode !== undefined) {
+    return [detail('passcode', FIELD_ERRORS.CONFLICT, 'passcode can only be set on unlisted trackings')];
+  }
+  return [];
+};
+
+const anyOf = (fields) => (values) => {
+  if (fields.some(field => values[field] !== undefined)) return [];
+  return [detail('body', FIELD_ERRORS.REQUIRED, `At least one of ${fields.join(', ')} is required`)];
+};
+
+// Plain http(s) URLs only; the host is checked again when delivering
+const webhookUrl = (values) => {
+  if (values.url === undefined) return [];
+  try {
+    const { protocol } = new URL(values.url);
+    if (protocol === 'http:' || protocol === 'https:') return [];
+  } catch (err) {
+    // Reported below
+  }
+  return [detail('url', FIELD_ERRORS.INVALID_FORMAT, 'url must be an http or https URL')];
+};
+
+const webhookEvents = {
+  type: 'array',
+  minItems: 1,
+  maxItems: WEBHOOK_EVENTS.length,
+  items: { type: 'string', required: true, oneOf: WEBHOOK_EVENTS }
+};
+
+// Each channel needs its own address: an email or a browser PushSubscription with an https endpoint
+const subscriptionTarget = (values) => {
+  if (values.channel === 'email') {
+    return values.email ? [] : [detail('email', FIELD_ERRORS.REQUIRED, 'email is required for email notifications')];
+  }
+  if (!values.subscription) {
+    return [detail('subscription', FIELD_ERRORS.REQUIRED, 'subscription is required for push notifications')];
+  }
+  if (!/^https:\/\//i.test(values.subscription.endpoint)) {
+    return [detail('subscription.endpoint', FIELD_ERRORS.INVALID_FORMAT, 'subscription.endpoint must be an https URL')];
+  }
+  return [];
+};
+
+const bulkChange = anyOf(['status', 'eta', 'location']);
+
+const locationOrCoordinates = (values) => {
+  if (values.location !== undefined || values.label !== undefined || values.latitude !== undefined) return [];
+  return [detail('location', FIELD_ERRORS.REQUIRED, 'location or coordinates are required')];
+};
+
+const schemas = {
+  // Query strings
+  viewerQuery: {
+    fields: { key, viewerToken }
+  },
+  eventsQuery: {
+    fields: { key, viewerToken, lastEventId: { type: 'integer', min: 0 } }
+  },
+  updateKeyQuery: {
+    fields: { key }
+  },
+  exportQuery: {
+    fields: { key, viewerToken, format: { type: 'string', required: true, lowercase: true, oneOf: Object.keys(EXPORT_FORMATS) } }
+  },
+
+  // Trackings
+  createTracking: {
+    fields: {
+      kissProvider: { type: 'string', required: true, maxLength: LIMITS.kissProvider },
+      destination: { type: 'string', required: true, maxLength: LIMITS.destination },
+      eta: { type: 'datetime', required: true },
+      destinationLatitude: latitude,
+      destinationLongitude: longitude,
+      visibility: { type: 'string', oneOf: VISIBILITIES, default: DEFAULT_VISIBILITY },
+      passcode
+    },
+    check: combine(coordinatePair('destinationLatitude', 'destinationLongitude'), visibilitySettings)
+  },
+  batchFetch: {
+    fields: {
+      trackings: {
+        type: 'array',
+        required: true,
+        maxItems: MAX_BATCH_SIZE,
+        items: {
+          type: 'object',
+          fields: { trackingNumber, updateKey: { ...key, required: true } }
+        }
+      }
+    }
+  },
+
+  // Bulk operations; every entry is checked on its own (createTracking, bulkUpdateItem) so results are per item
+  bulkCreate: {
+    fields: {
+      trackings: { type: 'array', required: true, minItems: 1, maxItems: MAX_BULK_SIZE }
+    }
+  },
+  bulkCreateQuery: {
+    fields: {
+      format: { type: 'string', oneOf: ['json', 'csv'], default: 'json' }
+    }
+  },
+  bulkUpdate: {
+    fields: {
+      updates: { type: 'array', required: true, minItems: 1, maxItems: MAX_BULK_SIZE },
+      atomic: { type: 'boolean', default: false }
+    }
+  },
+  // `location` holds locationUpdate fields
+  bulkUpdateItem: {
+    fields: {
+      trackingNumber,
+      updateKey: key,
+      status: { type: 'string', oneOf: STATUSES },
+      note: { type: 'string', maxLength: LIMITS.note },
+      force: { type: 'boolean', default: false },
+      eta: { type: 'datetime' },
+      location: { type: 'object' }
+    },
+    check: bulkChange
+  },
+
+  // Updates
+  locationUpdate: {
+    fields: {
+      location: { type: 'string', maxLength: LIMITS.location },
+      latitude,
+      longitude,
+      accuracy: { type: 'number', min: 0 },
+      label: { type: 'string', maxLength: LIMITS.label },
+      updateKey: key
+    },
+    check: combine(coordinatePair('latitude', 'longitude'), locationOrCoordinates)
+  },
+  // Partial update of a track record; omitted fields keep their value
+  editLocation: {
+    fields: {
+      location: { type: 'string', maxLength: LIMITS.location },
+      latitude: { ...latitude, nullable: true },
+      longitude: { ...longitude, nullable: true },
+      accuracy: { type: 'number', min: 0, nullable: true },
+      label: { type: 'string', maxLength: LIMITS.label, nullable: true },
+      timestamp: { type: 'datetime', past: true },
+      updateKey: key
+    },
+    check: combine(
+      coordinatePair('latitude', 'longitude'),
+      anyOf(['location', 'latitude', 'accuracy', 'label', 'timestamp'])
+    )
+  },
+  updateDestination: {
+    fields: {
+      destination: { type: 'string', required: true, maxLength: LIMITS.destination },
+      destinationLatitude: latitude,
+      destinationLongitude: longitude,
+      updateKey: key
+    },
+    check: coordinatePair('destinationLatitude', 'destinationLongitude')
+  },
+  updateEta: {
+    fields: {
+      eta: { type: 'datetime', required: true },
+      updateKey: key
+    }
+  },
+  updateStatus: {
+    fields: {
+      status: { type: 'string', required: true, oneOf: STATUSES },
+      note: { type: 'string', maxLength: LIMITS.note },
+      force: { type: 'boolean', default: false },
+      updateKey: key
+    }
+  },
+  archiveTracking: {
+    fields: {
+      archived: { type: 'boolean', required: true },
+      updateKey: key
+    }
+  },
+
+  // Keys and visibility
+  createWebhook: {
+    fields: {
+      url: { type: 'string', required: true, maxLength: LIMITS.url },
+      events: { ...webhookEvents, default: WEBHOOK_EVENTS },
+      active: { type: 'boolean', default: true },
+      updateKey: key
+    },
+    check: webhookUrl
+  },
+
+  updateWebhook: {
+    fields: {
+      url: { type: 'string', maxLength: LIMITS.url },
+      events: webhookEvents,
+      active: { type: 'boolean' },
+      rotateSecret: { type: 'boolean' },
+      updateKey: key
+    },
+    check: combine(webhookUrl, anyOf(['url', 'events', 'active', 'rotateSecret']))
+  },
+
+  // Notifications
+  subscribe: {
+    fields: {
+      channel: { type: 'string', required: true, oneOf: CHANNELS },
+      email,
+      subscription: {
+        type: 'object',
+        fields: {
+          endpoint: { type: 'string', required: true, maxLength: LIMITS.url },
+          keys: {
+            type: 'object',
+            required: true,
+            fields: {
+              p256dh: { type: 'string', required: true, maxLength: LIMITS.pushKey },
+              auth: { type: 'string', required: true, maxLength: LIMITS.pushKey }
+            }
+          }
+        }
+      },
+      events: {
+        type: 'array',
+        minItems: 1,
+        maxItems: NOTIFICATION_EVENTS.length,
+        items: { type: 'string', required: true, oneOf: NOTIFICATION_EVENTS },
+        default: NOTIFICATION_EVENTS
+      }
+    },
+    check: subscriptionTarget
+  },
+  subscriptionToken: {
+    fields: {
+      token: { type: 'string', required: true, maxLength: LIMITS.key }
+    }
+  },
+
+  createDelegate: {
+    fields: {
+      scopes: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: SCOPES.length,
+        items: { type: 'string', required: true, oneOf: SCOPES }
+      },
+      label: { type: 'string', maxLength: LIMITS.label },
+      expiresAt: { type: 'datetime', future: true },
+      updateKey: key
+    }
+  },
+  updateVisibility: {
+    fields: {
+      visibility: { type: 'string', required: true, oneOf: VISIBILITIES },
+      passcode,
+      updateKey: key
+    },
+    check: visibilitySettings
+  },
+  viewTracking: {
+    fields: {
+      passcode: { type: 'string', required: true, trim: false, maxLength: LIMITS.passcode }
+    }
+  },
+
+  // Accounts
+  register: {
+    fields: {
+      email: { ...email, required: true },
+      password: { type: 'string', required: true, trim: false, minLength: MIN_PASSWORD_LENGTH, maxLength: LIMITS.password },
+      displayName: { type: 'string', maxLength: LIMITS.displayName }
+    }
+  },
+  login: {
+    fields: {
+      email: { type: 'string', required: true, lowercase: true, maxLength: LIMITS.email },
+      password: { type: 'string', required: true, trim: false, maxLength: LIMITS.password }
+    }
+  },
+  claimTracking: {
+    fields: {
+      trackingNumber,
+      updateKey: { ...key, required: true }
+    }
+  }
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  MAX_BULK_SIZE,
+  LIMITS,
+  schemas
+};
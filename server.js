@@ -1,15 +1,100 @@
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const { OWNER_SCOPES, generateUpdateKey } = require('./update_keys');
+const {
+  hashPassword,
+  verifyPassword,
+  generateSessionToken,
+  hashSessionToken,
+  sessionExpiry,
+  bearerToken
+} = require('./auth');
+const {
+  DEFAULT_VISIBILITY,
+  issueViewerToken,
+  verifyViewerToken,
+  visibilityOf
+} = require('./viewer_access');
 const db = require('./db_loader');
+const { estimateEta, etaDriftMinutes, isSignificantDrift } = require('./eta_estimator');
+const { INITIAL_STATUS, allowedTransitions, canTransition } = require('./status_machine');
+const { EVENT_TYPES, formatEvent } = require('./tracking_events');
+const replayBuffer = require('./replay_buffer');
+const { createMemoryAdapter, createPostgresAdapter } = require('./pubsub');
+const { createWebSocketHub } = require('./websocket');
+const { createRetentionSweeper } = require('./retention');
+const { createEtaScheduler } = require('./eta_scheduler');
+const {
+  MAX_WEBHOOKS_PER_TRACKING,
+  DELIVERY_LOG_SIZE,
+  generateWebhookSecret,
+  assertAllowedDestination,
+  createWebhookDispatcher
+} = require('./webhooks');
+const {
+  NOTIFICATION_EVENTS,
+  MAX_SUBSCRIPTIONS_PER_TRACKING,
+  generateSubscriptionToken,
+  createNotifier
+} = require('./notifications');
+const { createTransports } = require('./notification_transports');
+const { createPostgresStore, useStore, storeType, clientAddress, createLimiter, rateLimit, failureGuard } = require('./rate_limit');
+const { ERROR_CODES, sendError } = require('./api_errors');
+const { FIELD_ERRORS, checkSchema, detail, summarize, validate } = require('./validation');
+const { schemas } = require('./schemas');
+const { parseCsvRecords, toCsv } = require('./csv');
+const { EXPORT_FORMATS } = require('./journey_export');
 require('dotenv').config();
 
 // SSE client management
 const sseClients = new Map(); // trackingNumber -> Set of response objects
 
+// Broadcasts go through a pub/sub adapter so every instance relays them to its own clients
+// Starts in memory and is swapped for PostgreSQL LISTEN/NOTIFY on startup when configured
+let pubsub = createMemoryAdapter();
+
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Number of reverse proxies in front of the API (e.g. 1 on Render) so req.ip is the real client
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY, 10) || 0;
+app.set('trust proxy', TRUST_PROXY);
+
+// Rate limiting and brute-force protection
+const RATE_LIMIT_WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX, 10) || 300; // per IP per window
+const TRACKING_RATE_LIMIT_MAX = parseInt(process.env.TRACKING_RATE_LIMIT_MAX, 10) || 60; // per IP and tracking per minute
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 10; // failures before lockout
+const LOCKOUT_MS = (parseInt(process.env.LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const LOOKUP_LOCKOUT_THRESHOLD = parseInt(process.env.LOOKUP_LOCKOUT_THRESHOLD, 10) || 30; // unknown tracking numbers
+const PASSCODE_SLOWDOWN_THRESHOLD = parseInt(process.env.PASSCODE_SLOWDOWN_THRESHOLD, 10) || 50; // wrong passcodes for one tracking
+const PASSCODE_SLOWDOWN_MS = (parseInt(process.env.PASSCODE_SLOWDOWN_SECONDS, 10) || 2) * 1000;
+
+const apiRateLimit = rateLimit({ name: 'ip', limit: RATE_LIMIT_MAX, windowMs: RATE_LIMIT_WINDOW_MS });
+const trackingRateLimit = rateLimit({
+  name: 'tracking',
+  limit: TRACKING_RATE_LIMIT_MAX,
+  windowMs: 60 * 1000,
+  key: (req) => `${req.ip}:${req.params.trackingNumber}`
+});
+
+// The same limits for WebSocket messages, sharing the HTTP counters (limiters with the same name share them)
+const ipLimiter = createLimiter({ name: 'ip', limit: RATE_LIMIT_MAX, windowMs: RATE_LIMIT_WINDOW_MS });
+const trackingLimiter = createLimiter({ name: 'tracking', limit: TRACKING_RATE_LIMIT_MAX, windowMs: 60 * 1000 });
+const checkRateLimit = async (ip, trackingNumber) => {
+  const results = await Promise.all([ipLimiter.hit(ip), trackingLimiter.hit(`${ip}:${trackingNumber}`)]);
+  const exceeded = results.filter(result => result && result.limited);
+  return exceeded.length > 0
+    ? { limited: true, retryAfter: Math.max(...exceeded.map(result => result.reset)) }
+    : { limited: false };
+};
+const keyFailures = failureGuard({ name: 'key', threshold: LOCKOUT_THRESHOLD, windowMs: LOCKOUT_MS });
+const passcodeFailures = failureGuard({ name: 'passcode', threshold: LOCKOUT_THRESHOLD, windowMs: LOCKOUT_MS });
+const trackingPasscodeFailures = failureGuard({ name: 'passcode-tracking', threshold: PASSCODE_SLOWDOWN_THRESHOLD, windowMs: LOCKOUT_MS });
+const loginFailures = failureGuard({ name: 'login', threshold: LOCKOUT_THRESHOLD, windowMs: LOCKOUT_MS });
+const lookupFailures = failureGuard({ name: 'lookup', threshold: LOOKUP_LOCKOUT_THRESHOLD, windowMs: LOCKOUT_MS });
+
 // CORS configuration
 const corsOptions = {
   origin: [
@@ -18,32 +103,65 @@ const corsOptions = {
     process.env.FRONTEND_URL || 'http://localhost:3000'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'X-Viewer-Token'],
   credentials: true
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Bodies above the limit are rejected with PAYLOAD_TOO_LARGE by the error handler
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb' }));
+
+// Fields that carry secrets and must never reach the logs
+const SECRET_FIELDS = ['key', 'updateKey', 'password', 'passcode', 'viewerToken', 'token', 'keys'];
+
+// Helper function to mask secrets in a URL's query string before logging
+function redactUrl(url) {
+  return url.replace(/([?&](?:key|updateKey|viewerToken)=)[^&]*/g, '$1[redacted]');
+}
+
+// Helper function to mask secret fields (at any depth) in a request body before logging
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+      field,
+      SECRET_FIELDS.includes(field) ? '[redacted]' : redactSecrets(fieldValue)
+    ]));
+  }
+  return value;
+}
 
 // Logging middleware
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+  console.log(`${new Date().toISOString()} - ${req.method} ${redactUrl(req.url)}`);
   if (req.method === 'POST' || req.method === 'PUT') {
-    console.log('Body:', req.body);
+    console.log('Body:', redactSecrets(req.body));
   }
   next();
 });
 
+app.use('/api', apiRateLimit);
+app.param('trackingNumber', (req, res, next) => trackingRateLimit(req, res, next));
+
+// Helper function to answer 429 while `id` is locked out by `guard`
+// Returns true when the response has been sent
+async function rejectIfLockedOut(guard, id, res) {
+  const { locked, retryAfter } = await guard.check(id);
+  if (!locked) return false;
+
+  console.log('🔒 Rejected locked out client');
+  res.set('Retry-After', String(retryAfter));
+  sendError(res, 429, ERROR_CODES.LOCKED_OUT, 'Too many failed attempts, please try again later');
+  return true;
+}
+
 // Helper function to generate tracking number
 function generateTrackingNumber() {
   return uuidv4().substring(0, 8).toUpperCase();
 }
 
-// Helper function to generate secret update key
-function generateUpdateKey() {
-  return uuidv4().substring(0, 16).toLowerCase();
-}
-
 // Helper function to generate share link
 function generateShareLink(req, trackingNumber) {
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
@@ -56,39 +174,311 @@ function generateUpdateLink(req, trackingNumber, updateKey) {
   return `${frontendUrl}/update/${trackingNumber}?key=${updateKey}`;
 }
 
-// Middleware to verify update key
-async function verifyUpdateKey(req, res, next) {
+// Helper function to format a track record for API responses
+function formatTrackRecord(record) {
+  return {
+    id: record.id,
+    location: record.location,
+    latitude: record.latitude ?? null,
+    longitude: record.longitude ?? null,
+    accuracy: record.accuracy ?? null,
+    label: record.label ?? null,
+    timestamp: record.timestamp
+  };
+}
+
+// Helper function to resolve a key to what it may do on a tracking
+// Returns { role: 'owner' | 'delegate', scopes, delegateId } or null when the key is not valid
+async function authorizeKey(trackingNumber, key) {
+  if (await db.verifyUpdateKey(trackingNumber, key)) {
+    return { role: 'owner', scopes: OWNER_SCOPES, delegateId: null };
+  }
+
+  const delegate = await db.findDelegateKey(trackingNumber, key);
+  if (delegate) {
+    return { role: 'delegate', scopes: delegate.scopes, delegateId: delegate.id };
+  }
+
+  return null;
+}
+
+// Helper function to resolve the logged-in user from an `Authorization: Bearer` session token
+// Returns { user, tokenHash } or null when there is no valid session
+async function resolveSession(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+
+  const tokenHash = hashSessionToken(token);
+  const session = await db.getSession(tokenHash);
+  if (!session) return null;
+
+  const user = await db.getUserById(session.user_id);
+  return user ? { user, tokenHash } : null;
+}
+
+// Middleware to require a logged-in user
+async function requireUser(req, res, next) {
+  try {
+    const session = await resolveSession(req);
+    if (!session) {
+      return sendError(res, 401, ERROR_CODES.LOGIN_REQUIRED, 'Login required');
+    }
+    req.user = session.user;
+    req.sessionTokenHash = session.tokenHash;
+    next();
+  } catch (err) {
+    console.error('Error in requireUser middleware:', err);
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+}
+
+// Helper function to check whether a resolved session belongs to the tracking's owner
+function ownsTracking(session, tracking) {
+  return Boolean(session && tracking && tracking.owner_user_id
+    && String(tracking.owner_user_id) === String(session.user.id));
+}
+
+// Middleware to verify update key; `scope` limits the route to keys granting it (any valid key when omitted)
+// Without a key, a logged-in user owning the tracking is treated as its creator
+function verifyUpdateKey(scope) {
+  return async (req, res, next) => {
+    try {
+      const { trackingNumber } = req.params;
+      const updateKey = req.query.key || req.body.updateKey;
+
+      console.log('Verifying update key for:', trackingNumber, scope ? `(scope: ${scope})` : '');
+
+      let auth = null;
+      if (updateKey) {
+        if (await rejectIfLockedOut(keyFailures, req.ip, res)) return;
+
+        auth = await authorizeKey(trackingNumber, updateKey);
+        if (!auth) {
+          console.log('❌ Invalid update key');
+          await keyFailures.fail(req.ip);
+          return sendError(res, 403, ERROR_CODES.INVALID_UPDATE_KEY, 'Invalid update key');
+        }
+      } else {
+        const session = await resolveSession(req);
+        const tracking = session ? await db.getTracking(trackingNumber) : null;
+        if (!ownsTracking(session, tracking)) {
+          console.log('❌ No update key provided');
+          return sendError(res, 401, ERROR_CODES.UPDATE_KEY_REQUIRED, 'Update key required for this operation');
+        }
+        auth = { role: 'owner', scopes: OWNER_SCOPES, delegateId: null };
+      }
+
+      if (scope && !auth.scopes.includes(scope)) {
+        console.log(`❌ Key lacks scope ${scope}`);
+        return sendError(res, 403, ERROR_CODES.SCOPE_NOT_ALLOWED, `Update key does not allow the '${scope}' operation`);
+      }
+
+      console.log(`✅ Update key verified (${auth.role})`);
+      req.auth = auth;
+      next();
+    } catch (err) {
+      console.error('Error in verifyUpdateKey middleware:', err);
+      return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    }
+  };
+}
+
+// Middleware to reject updates to archived trackings (they are read-only until unarchived)
+async function rejectArchived(req, res, next) {
+  try {
+    const tracking = await db.getTracking(req.params.trackingNumber);
+    if (tracking && tracking.archived_at) {
+      console.log('❌ Tracking is archived:', req.params.trackingNumber);
+      return sendError(res, 409, ERROR_CODES.TRACKING_ARCHIVED, 'Tracking is archived');
+    }
+    next();
+  } catch (err) {
+    console.error('Error in rejectArchived middleware:', err);
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+}
+
+// Helper function to decide whether a viewer may read a tracking
+// Public trackings are open; unlisted ones need a viewer token; key holders and the owner can always read
+async function canViewTracking(tracking, { updateKey, viewerToken, session }) {
+  const visibility = visibilityOf(tracking);
+  if (visibility === 'public') return true;
+
+  if (visibility === 'unlisted' && verifyViewerToken(viewerToken, tracking.tracking_number, tracking.viewer_passcode_hash)) {
+    return true;
+  }
+
+  if (updateKey && await authorizeKey(tracking.tracking_number, updateKey)) return true;
+
+  return ownsTracking(session, tracking);
+}
+
+// Middleware to gate read access (tracking, history, events) by the tracking's visibility
+async function verifyViewerAccess(req, res, next) {
   try {
     const { trackingNumber } = req.params;
-    const updateKey = req.query.key || req.body.updateKey;
+    if (await rejectIfLockedOut(lookupFailures, req.ip, res)) return;
 
-    console.log('Verifying update key for:', trackingNumber);
-    console.log('Provided key:', updateKey);
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      // Repeated misses look like someone enumerating tracking numbers
+      await lookupFailures.fail(req.ip);
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
 
-    if (!updateKey) {
-      console.log('❌ No update key provided');
-      return res.status(401).json({ error: 'Update key required for this operation' });
+    const allowed = await canViewTracking(tracking, {
+      updateKey: req.query.key,
+      viewerToken: req.get('X-Viewer-Token') || req.query.viewerToken,
+      session: await resolveSession(req)
+    });
+    if (allowed) {
+      return next();
     }
 
-    const isValid = await db.verifyUpdateKey(trackingNumber, updateKey);
-    if (!isValid) {
-      console.log('❌ Invalid update key');
-      return res.status(403).json({ error: 'Invalid update key' });
+    // Private trackings are indistinguishable from missing ones
+    if (visibilityOf(tracking) === 'unlisted') {
+      console.log('❌ Passcode required for:', trackingNumber);
+      return sendError(res, 401, ERROR_CODES.PASSCODE_REQUIRED, 'Passcode required to view this tracking', { visibility: 'unlisted' });
     }
+    await lookupFailures.fail(req.ip);
+    return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+  } catch (err) {
+    console.error('Error in verifyViewerAccess middleware:', err);
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+}
 
-    console.log('✅ Update key verified');
-    next();
+// Helper function to format a user account for API responses
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    displayName: user.display_name,
+    createdAt: user.created_at
+  };
+}
+
+// Helper function to summarize a tracking for list views (MyTrackings page)
+function summarizeTracking(trackingWithRecords) {
+  return {
+    trackingNumber: trackingWithRecords.tracking_number,
+    kissProvider: trackingWithRecords.kiss_provider,
+    destination: trackingWithRecords.destination,
+    eta: trackingWithRecords.eta,
+    status: trackingWithRecords.status,
+    archived: Boolean(trackingWithRecords.archived_at),
+    recordCount: trackingWithRecords.records.length,
+    lastUpdate: trackingWithRecords.records.length > 0
+      ? trackingWithRecords.records[trackingWithRecords.records.length - 1].timestamp
+      : trackingWithRecords.created_at
+  };
+}
+
+// Helper function to format a delegate key for API responses (never includes the key)
+function formatDelegateKey(delegate) {
+  const expired = delegate.expires_at && new Date(delegate.expires_at).getTime() <= Date.now();
+  return {
+    id: delegate.id,
+    label: delegate.label,
+    scopes: delegate.scopes,
+    expiresAt: delegate.expires_at,
+    revokedAt: delegate.revoked_at,
+    createdAt: delegate.created_at,
+    state: delegate.revoked_at ? 'revoked' : (expired ? 'expired' : 'active')
+  };
+}
+
+// Helper function to format a webhook for API responses (the secret is only shown when created or rotated)
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active,
+    createdAt: webhook.created_at,
+    updatedAt: webhook.updated_at
+  };
+}
+
+// Helper function to format a webhook delivery for the delivery log
+function formatWebhookDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.response_status,
+    error: delivery.last_error,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    lastAttemptAt: delivery.last_attempt_at,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at
+  };
+}
+
+// Helper function to format a notification subscription for API responses (never includes the token or push keys)
+function formatSubscription(subscription) {
+  return {
+    id: subscription.id,
+    channel: subscription.channel,
+    email: subscription.email,
+    events: subscription.events,
+    confirmed: Boolean(subscription.confirmed_at),
+    createdAt: subscription.created_at
+  };
+}
+
+// Helper function to check the host of a webhook URL or push endpoint, responding 400 with `code` when it is not allowed
+// Hosts that cannot be resolved yet are accepted; sending to them fails and retries
+async function rejectDisallowedDestination(url, res, code = ERROR_CODES.WEBHOOK_URL_NOT_ALLOWED) {
+  try {
+    await assertAllowedDestination(url);
+    return false;
   } catch (err) {
-    console.error('Error in verifyUpdateKey middleware:', err);
-    return res.status(500).json({ error: 'Internal server error' });
+    if (!err.blocked) return false;
+    console.log('❌ Destination not allowed:', url);
+    sendError(res, 400, code, err.message);
+    return true;
   }
 }
 
+// Helper function to serialize a buffered broadcast as an SSE message
+function formatSseMessage(entry) {
+  return `id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`;
+}
+
 // SSE broadcast function
 function broadcastToTracking(trackingNumber, eventType, data) {
+  const message = { id: replayBuffer.nextEventId(), trackingNumber, event: eventType, data };
+
+  // Webhooks and notifications go out from the instance that made the change, so each event is sent once
+  webhookDispatcher.dispatch(trackingNumber, eventType, data).catch(err => {
+    console.error(`⚠️  Failed to queue webhooks for ${eventType} on ${trackingNumber}:`, err.message);
+  });
+  notifier.notify(trackingNumber, eventType, data).catch(err => {
+    console.error(`⚠️  Failed to send notifications for ${eventType} on ${trackingNumber}:`, err.message);
+  });
+
+  pubsub.publish(message).catch(err => {
+    // Keep local viewers up to date even when other instances cannot be reached
+    console.error(`⚠️  Failed to publish ${eventType} for ${trackingNumber}:`, err.message);
+    deliverToLocalClients(message);
+  });
+}
+
+// Relay a published broadcast to the SSE clients connected to this instance
+function deliverToLocalClients({ id, trackingNumber, event: eventType, data }) {
+  // Buffer every broadcast, even without listeners, so reconnecting clients can replay it
+  const entry = replayBuffer.record(trackingNumber, eventType, data, id);
+
+  const socketCount = wsHub.deliver(trackingNumber, entry);
+  if (socketCount > 0) {
+    console.log(`🔌 Sent ${eventType} to ${socketCount} WebSocket clients for ${trackingNumber}`);
+  }
+
   const clients = sseClients.get(trackingNumber);
   if (clients) {
-    const message = `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+    const message = formatSseMessage(entry);
     
     // Remove closed connections while broadcasting
     const activeClients = new Set();
@@ -112,17 +502,391 @@ function broadcastToTracking(trackingNumber, eventType, data) {
     
     console.log(`📡 Broadcasted ${eventType} to ${activeClients.size} clients for ${trackingNumber}`);
   }
+
+  if (eventType === 'tracking-deleted') {
+    closeTrackingStreams(trackingNumber);
+  }
+}
+
+// Disconnect SSE clients and WebSocket subscriptions of a deleted tracking and forget its buffered events
+function closeTrackingStreams(trackingNumber) {
+  const clients = sseClients.get(trackingNumber);
+  if (clients) {
+    clients.forEach(res => res.end());
+    sseClients.delete(trackingNumber);
+    console.log(`📡 Closed ${clients.size} SSE clients for deleted tracking ${trackingNumber}`);
+  }
+
+  wsHub.drop(trackingNumber);
+  replayBuffer.clear(trackingNumber);
+}
+
+// Add a location update to a tracking and broadcast it (shared by the HTTP and WebSocket transports and bulk updates)
+// Returns { recordId } on success or { status, code, error, details? } describing the failure
+async function addLocationUpdate(trackingNumber, body, broadcast = broadcastToTracking) {
+  const { value, details } = checkSchema(schemas.locationUpdate, body);
+  if (details) {
+    return { status: 400, code: ERROR_CODES.VALIDATION_FAILED, error: summarize(details), details };
+  }
+
+  const geo = {
+    latitude: value.latitude ?? null,
+    longitude: value.longitude ?? null,
+    accuracy: value.accuracy ?? null,
+    label: value.label ?? null
+  };
+
+  // Fall back to the label or the raw coordinates when no location text is given
+  const location = value.location
+    || geo.label
+    || `${geo.latitude}, ${geo.longitude}`;
+
+  console.log('Adding location update:', { trackingNumber, location, geo });
+
+  const tracking = await db.getTracking(trackingNumber);
+  if (!tracking) {
+    return { status: 404, code: ERROR_CODES.TRACKING_NOT_FOUND, error: 'Tracking number not found' };
+  }
+  if (tracking.archived_at) {
+    return { status: 409, code: ERROR_CODES.TRACKING_ARCHIVED, error: 'Tracking is archived' };
+  }
+
+  const recordId = await db.addTrackRecord(tracking.id, trackingNumber, location, geo);
+  console.log('✅ Added track record with ID:', recordId);
+
+  await db.appendEvent(tracking.id, trackingNumber, EVENT_TYPES.LOCATION_ADDED, {
+    recordId,
+    location,
+    ...geo
+  });
+
+  // Broadcast location update to SSE clients
+  broadcast(trackingNumber, 'location-update', {
+    location,
+    ...geo,
+    timestamp: new Date().toISOString(),
+    recordId
+  });
+
+  // Re-estimate the ETA from the new position and warn viewers when it drifts from the creator's ETA
+  if (geo.latitude !== null) {
+    const trackingWithRecords = await db.getTrackingWithRecords(trackingNumber);
+    const estimatedEta = estimateEta(trackingWithRecords, trackingWithRecords.records);
+    if (estimatedEta && isSignificantDrift(trackingWithRecords.eta, estimatedEta)) {
+      broadcast(trackingNumber, 'eta-estimate', {
+        eta: trackingWithRecords.eta,
+        estimatedEta,
+        driftMinutes: etaDriftMinutes(trackingWithRecords.eta, estimatedEta)
+      });
+    }
+  }
+
+  return { recordId };
+}
+
+// Create a tracking from validated createTracking fields (trimmed, eta as UTC ISO string), owned by the session's user if any
+// Returns the API response for it, including the share and update links
+async function createTrackingFor(req, fields, session) {
+  const { kissProvider, destination, eta, visibility, passcode } = fields;
+  const destinationCoordinates = {
+    latitude: fields.destinationLatitude ?? null,
+    longitude: fields.destinationLongitude ?? null
+  };
+
+  const trackingNumber = generateTrackingNumber();
+  const updateKey = generateUpdateKey();
+  const shareLink = generateShareLink(req, trackingNumber);
+  const updateLink = generateUpdateLink(req, trackingNumber, updateKey);
+
+  // Save to database
+  const trackingId = await db.createTracking(trackingNumber, kissProvider, destination, eta, updateKey, destinationCoordinates);
+  console.log('Created tracking with ID:', trackingId);
+
+  if (visibility !== DEFAULT_VISIBILITY) {
+    await db.updateVisibility(trackingNumber, visibility, passcode ? await hashPassword(passcode) : null);
+  }
+
+  if (session) {
+    await db.setTrackingOwner(trackingNumber, session.user.id);
+    console.log('Assigned tracking to user:', session.user.id);
+  }
+
+  // Start the status history and event log with the initial state
+  await db.addStatusHistory(trackingId, trackingNumber, null, INITIAL_STATUS, null, false);
+  await db.appendEvent(trackingId, trackingNumber, EVENT_TYPES.TRACKING_CREATED, {
+    kissProvider,
+    destination,
+    eta,
+    status: INITIAL_STATUS
+  });
+
+  return {
+    trackingNumber: trackingNumber,
+    kissProvider: kissProvider,
+    destination,
+    destinationLatitude: destinationCoordinates.latitude,
+    destinationLongitude: destinationCoordinates.longitude,
+    eta,
+    estimatedEta: null,
+    visibility,
+    shareLink: shareLink,
+    updateLink: updateLink,
+    trackRecords: [],
+    timeline: []
+  };
+}
+
+// Change a tracking's status, recording it in the history and event log, and broadcast it
+// Returns { unchanged: true }, the new history entry as { historyEntry } or { status, code, error, allowedStatuses? }
+async function changeStatus(trackingNumber, { status, note, force }, broadcast = broadcastToTracking) {
+  const current = await db.getTracking(trackingNumber);
+  if (!current) {
+    return { status: 404, code: ERROR_CODES.TRACKING_NOT_FOUND, error: 'Tracking number not found' };
+  }
+
+  const previousStatus = current.status;
+  if (previousStatus === status) {
+    return { unchanged: true };
+  }
+
+  if (!force && !canTransition(previousStatus, status)) {
+    console.log(`❌ Transition not allowed: ${previousStatus} -> ${status}`);
+    return {
+      status: 409,
+      code: ERROR_CODES.INVALID_TRANSITION,
+      error: `Cannot change status from '${previousStatus}' to '${status}' without force`,
+      allowedStatuses: allowedTransitions(previousStatus)
+    };
+  }
+
+  const success = await db.updateStatus(trackingNumber, status);
+  if (!success) {
+    return { status: 404, code: ERROR_CODES.TRACKING_NOT_FOUND, error: 'Tracking number not found' };
+  }
+
+  const historyEntry = await db.addStatusHistory(current.id, trackingNumber, previousStatus, status, note || null, force);
+
+  await db.appendEvent(current.id, trackingNumber, EVENT_TYPES.STATUS_CHANGED, {
+    from: previousStatus,
+    to: status,
+    note: historyEntry.note,
+    forced: force
+  });
+
+  // Broadcast status update to SSE clients
+  broadcast(trackingNumber, 'status-change', {
+    status,
+    previousStatus,
+    note: historyEntry.note,
+    changedAt: historyEntry.changed_at
+  });
+
+  return { historyEntry };
+}
+
+// Set a tracking's ETA, recording it in the event log, and broadcast it
+// Returns {} on success or { status, code, error }
+async function changeEta(trackingNumber, eta, broadcast = broadcastToTracking) {
+  const tracking = await db.getTracking(trackingNumber);
+  if (!tracking) {
+    return { status: 404, code: ERROR_CODES.TRACKING_NOT_FOUND, error: 'Tracking number not found' };
+  }
+
+  const success = await db.updateEta(trackingNumber, eta);
+  if (!success) {
+    return { status: 404, code: ERROR_CODES.TRACKING_NOT_FOUND, error: 'Tracking number not found' };
+  }
+
+  await db.appendEvent(tracking.id, trackingNumber, EVENT_TYPES.ETA_CHANGED, {
+    from: new Date(tracking.eta).toISOString(),
+    to: eta
+  });
+
+  // Broadcast ETA update to SSE clients
+  broadcast(trackingNumber, 'eta-change', {
+    eta: eta
+  });
+
+  return {};
+}
+
+// Helper function to report validation details of a nested object under its field name
+function prefixDetails(prefix, details) {
+  return details.map(item => ({ ...item, field: `${prefix}${item.field}` }));
+}
+
+// Helper function to check one bulk update entry before anything is written: shape, key, scopes, archive state and transition
+// Returns { change } with the normalized entry or { failure: { status, code, error, ...extra } }
+async function prepareBulkUpdate(entry, { ip, session, seen }) {
+  const { value: change, details } = checkSchema(schemas.bulkUpdateItem, entry);
+  if (details) {
+    return { failure: { status: 400, code: ERROR_CODES.VALIDATION_FAILED, error: summarize(details), details } };
+  }
+
+  if (change.location) {
+    const location = checkSchema(schemas.locationUpdate, change.location);
+    if (location.details) {
+      const locationDetails = prefixDetails('location.', location.details);
+      return { failure: { status: 400, code: ERROR_CODES.VALIDATION_FAILED, error: summarize(locationDetails), details: locationDetails } };
+    }
+  }
+
+  const { trackingNumber, updateKey } = change;
+  if (seen.has(trackingNumber)) {
+    const duplicate = [detail('trackingNumber', FIELD_ERRORS.CONFLICT, 'trackingNumber appears more than once in the batch')];
+    return { failure: { status: 400, code: ERROR_CODES.VALIDATION_FAILED, error: summarize(duplicate), details: duplicate } };
+  }
+  seen.add(trackingNumber);
+
+  // Invalid keys count towards the lockout, which also ends the rest of the batch
+  if ((await keyFailures.check(ip)).locked) {
+    return { failure: { status: 429, code: ERROR_CODES.LOCKED_OUT, error: 'Too many failed attempts' } };
+  }
+
+  let auth = null;
+  if (updateKey) {
+    auth = await authorizeKey(trackingNumber, updateKey);
+    if (!auth) {
+      await keyFailures.fail(ip);
+      return { failure: { status: 403, code: ERROR_CODES.INVALID_UPDATE_KEY, error: 'Invalid update key or tracking not found' } };
+    }
+  } else if (ownsTracking(session, session && await db.getTracking(trackingNumber))) {
+    auth = { role: 'owner', scopes: OWNER_SCOPES, delegateId: null };
+  } else {
+    return { failure: { status: 401, code: ERROR_CODES.UPDATE_KEY_REQUIRED, error: 'Update key required for this operation' } };
+  }
+
+  const missingScope = ['status', 'eta', 'location'].find(scope => change[scope] !== undefined && !auth.scopes.includes(scope));
+  if (missingScope) {
+    return { failure: { status: 403, code: ERROR_CODES.SCOPE_NOT_ALLOWED, error: `Update key does not allow the '${missingScope}' operation` } };
+  }
+
+  const tracking = await db.getTracking(trackingNumber);
+  if (!tracking) {
+    return { failure: { status: 404, code: ERROR_CODES.TRACKING_NOT_FOUND, error: 'Tracking number not found' } };
+  }
+  if (tracking.archived_at) {
+    return { failure: { status: 409, code: ERROR_CODES.TRACKING_ARCHIVED, error: 'Tracking is archived' } };
+  }
+
+  if (change.status && change.status !== tracking.status && !change.force && !canTransition(tracking.status, change.status)) {
+    return {
+      failure: {
+        status: 409,
+        code: ERROR_CODES.INVALID_TRANSITION,
+        error: `Cannot change status from '${tracking.status}' to '${change.status}' without force`,
+        allowedStatuses: allowedTransitions(tracking.status)
+      }
+    };
+  }
+
+  return { change };
+}
+
+// Helper function to apply a prepared bulk update: status, then ETA, then location
+// Throws an error carrying `failure` when a change is refused, so the surrounding transaction rolls back
+// Returns { applied, recordId? } listing the changes made
+async function applyBulkUpdate(change, broadcast) {
+  const { trackingNumber } = change;
+  const applied = [];
+  const refuse = (result) => {
+    throw Object.assign(new Error(result.error), { failure: result });
+  };
+
+  if (change.status) {
+    const result = await changeStatus(trackingNumber, { status: change.status, note: change.note, force: change.force }, broadcast);
+    if (result.error) refuse(result);
+    if (!result.unchanged) applied.push('status');
+  }
+
+  if (change.eta) {
+    const result = await changeEta(trackingNumber, change.eta, broadcast);
+    if (result.error) refuse(result);
+    applied.push('eta');
+  }
+
+  let recordId;
+  if (change.location) {
+    const result = await addLocationUpdate(trackingNumber, change.location, broadcast);
+    if (result.error) refuse(result);
+    applied.push('location');
+    recordId = result.recordId;
+  }
+
+  return recordId === undefined ? { applied } : { applied, recordId };
+}
+
+// Helper function to shape a bulk update result that failed
+function bulkFailureResult(index, trackingNumber, failure) {
+  const { status, ...rest } = failure;
+  return { index, trackingNumber, ok: false, ...rest };
 }
 
 
+// WebSocket transport sharing the broadcast, replay and location logic of the HTTP API
+const wsHub = createWebSocketHub({
+  verifyUpdateKey: async (trackingNumber, updateKey) => {
+    const auth = await authorizeKey(trackingNumber, updateKey);
+    return Boolean(auth && auth.scopes.includes('location'));
+  },
+  canView: async (trackingNumber, credentials) => {
+    const tracking = await db.getTracking(trackingNumber);
+    return Boolean(tracking) && canViewTracking(tracking, credentials);
+  },
+  addLocationUpdate,
+  replayBuffer,
+  keyFailures,
+  lookupFailures,
+  checkRateLimit,
+  clientIp: (req) => clientAddress(req, TRUST_PROXY)
+});
+
+
 // Routes
 app.get('/', (req, res) => {
   res.json({ message: '😘 Kiss Tracker API is running' });
 });
 
+// Health report shared by /health and /ready
+// status is ok, degraded (serving from the JSON fallback) or unavailable (database not ready or unreachable)
+const buildHealthReport = async () => {
+  const database = await db.checkHealth();
+  let sseConnections = 0;
+  sseClients.forEach(clients => { sseConnections += clients.size; });
+
+  let status = 'ok';
+  if (!database.ready || !database.connected) status = 'unavailable';
+  else if (database.fallback) status = 'degraded';
+
+  return {
+    status,
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    database,
+    realtime: {
+      broadcastAdapter: pubsub.type,
+      sseClients: sseConnections,
+      sseTrackings: sseClients.size,
+      websocketClients: wsHub.clientCount()
+    }
+  };
+};
+
+// Liveness: answers 200 as long as the process serves requests, with the full report
+app.get('/health', async (req, res) => {
+  res.json(await buildHealthReport());
+});
+
+// Readiness: 503 until the database is initialized and reachable, and while serving from the JSON fallback,
+// so load balancers hold traffic back
+app.get('/ready', async (req, res) => {
+  const report = await buildHealthReport();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
 
 // SSE endpoint for real-time tracking updates
-app.get('/api/tracking/:trackingNumber/events', async (req, res) => {
+app.get('/api/tracking/:trackingNumber/events', verifyViewerAccess, validate({ query: schemas.eventsQuery }), async (req, res) => {
   const { trackingNumber } = req.params;
   
   console.log(`📡 SSE client connecting for tracking: ${trackingNumber}`);
@@ -133,7 +897,7 @@ app.get('/api/tracking/:trackingNumber/events', async (req, res) => {
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
   });
   
   // Add client to tracking group
@@ -144,6 +908,18 @@ app.get('/api/tracking/:trackingNumber/events', async (req, res) => {
   
   // Send initial connection confirmation
   res.write(`event: connected\ndata: ${JSON.stringify({ trackingNumber })}\n\n`);
+
+  // Replay what a reconnecting client missed (EventSource sends Last-Event-ID automatically)
+  const lastEventId = req.get('Last-Event-ID') ? parseInt(req.get('Last-Event-ID'), 10) : req.query.lastEventId;
+  if (Number.isInteger(lastEventId)) {
+    const { events, complete } = replayBuffer.since(trackingNumber, lastEventId);
+    if (!complete) {
+      // Some missed events are gone; tell the client to reload the full tracking
+      res.write(`event: resync\ndata: ${JSON.stringify({ trackingNumber })}\n\n`);
+    }
+    events.forEach(entry => res.write(formatSseMessage(entry)));
+    console.log(`📡 Replayed ${events.length} events to SSE client for ${trackingNumber}`);
+  }
   
   // Handle client disconnect
   req.on('close', () => {
@@ -170,67 +946,26 @@ app.get('/api/tracking/:trackingNumber/events', async (req, res) => {
 });
 
 // Create new tracking
-app.post('/api/tracking', async (req, res) => {
+app.post('/api/tracking', validate({ body: schemas.createTracking }), async (req, res) => {
   try {
     console.log('=== CREATE TRACKING REQUEST ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-    
-    const { kissProvider, destination, eta } = req.body;
-    
-    console.log('Extracted values:');
-    console.log('- kissProvider:', kissProvider);
-    console.log('- destination:', destination);
-    console.log('- eta:', eta);
-    
-    if (!kissProvider || !destination || !eta) {
-      console.log('❌ Missing required fields');
-      return res.status(400).json({ 
-        error: 'Missing required fields: kissProvider, destination, eta' 
-      });
-    }
-
-    const trackingNumber = generateTrackingNumber();
-    const updateKey = generateUpdateKey();
-    const shareLink = generateShareLink(req, trackingNumber);
-    const updateLink = generateUpdateLink(req, trackingNumber, updateKey);
-    
-    // Validate ETA is a valid ISO string
-    console.log('Validating ETA:', eta);
-    const etaDate = new Date(eta);
-    console.log('Parsed ETA date:', etaDate);
-    console.log('Is valid date:', !isNaN(etaDate.getTime()));
+    console.log('Request body:', JSON.stringify(redactSecrets(req.body), null, 2));
     
-    if (isNaN(etaDate.getTime())) {
-      console.log('❌ Invalid ETA format');
-      return res.status(400).json({ error: 'Invalid ETA format' });
-    }
-
-    // Save to database (eta is already UTC ISO string)
-    const trackingId = await db.createTracking(trackingNumber, kissProvider, destination, eta, updateKey);
-    console.log('Created tracking with ID:', trackingId);
-
-    const response = {
-      trackingNumber: trackingNumber,
-      kissProvider: kissProvider,
-      destination,
-      eta: etaDate.toISOString(),
-      shareLink: shareLink,
-      updateLink: updateLink,
-      trackRecords: []
-    };
+    // Trackings created while logged in belong to the account
+    const response = await createTrackingFor(req, req.body, await resolveSession(req));
 
     console.log('✅ Successfully created tracking');
-    console.log('Response:', JSON.stringify(response, null, 2));
+    console.log('Response:', JSON.stringify({ ...response, updateLink: redactUrl(response.updateLink) }, null, 2));
     
     res.status(201).json(response);
   } catch (error) {
     console.error('Error creating tracking:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
 // Get tracking info for update page (requires authentication)
-app.get('/api/tracking/:trackingNumber/update', verifyUpdateKey, async (req, res) => {
+app.get('/api/tracking/:trackingNumber/update', verifyUpdateKey(), validate({ query: schemas.updateKeyQuery }), async (req, res) => {
   try {
     const { trackingNumber } = req.params;
     console.log('Getting tracking for update page:', trackingNumber);
@@ -238,38 +973,43 @@ app.get('/api/tracking/:trackingNumber/update', verifyUpdateKey, async (req, res
   const trackingWithRecords = await db.getTrackingWithRecords(trackingNumber);
 
     if (!trackingWithRecords) {
-      return res.status(404).json({ error: 'Tracking number not found' });
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
     }
 
-    const updateKey = req.query.key;
+    // Owners authenticated by session have no key to put in the link
+    const updateKey = req.query.key || req.body.updateKey;
     const shareLink = generateShareLink(req, trackingNumber);
-    const updateLink = generateUpdateLink(req, trackingNumber, updateKey);
+    const updateLink = updateKey ? generateUpdateLink(req, trackingNumber, updateKey) : null;
 
     const response = {
       trackingNumber: trackingWithRecords.tracking_number,
       kissProvider: trackingWithRecords.kiss_provider,
       destination: trackingWithRecords.destination,
+      destinationLatitude: trackingWithRecords.destination_latitude ?? null,
+      destinationLongitude: trackingWithRecords.destination_longitude ?? null,
       eta: trackingWithRecords.eta,
+      estimatedEta: estimateEta(trackingWithRecords, trackingWithRecords.records),
       status: trackingWithRecords.status,
+      visibility: visibilityOf(trackingWithRecords),
+      archived: Boolean(trackingWithRecords.archived_at),
+      archivedAt: trackingWithRecords.archived_at || null,
       shareLink: shareLink,
       updateLink: updateLink,
-      trackRecords: trackingWithRecords.records.map(record => ({
-        id: record.id,
-        location: record.location,
-        timestamp: record.timestamp
-      }))
+      permissions: req.auth.scopes,
+      trackRecords: trackingWithRecords.records.map(formatTrackRecord),
+      timeline: (await db.getEvents(trackingNumber)).map(formatEvent)
     };
 
     console.log('✅ Found tracking for update with', trackingWithRecords.records.length, 'records');
     res.json(response);
   } catch (error) {
     console.error('Error getting tracking for update:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
-// Get tracking info (public - no authentication required)
-app.get('/api/tracking/:trackingNumber', async (req, res) => {
+// Get tracking info (gated by visibility)
+app.get('/api/tracking/:trackingNumber', verifyViewerAccess, validate({ query: schemas.viewerQuery }), async (req, res) => {
   try {
     const { trackingNumber } = req.params;
     console.log('Getting tracking for:', trackingNumber);
@@ -277,7 +1017,7 @@ app.get('/api/tracking/:trackingNumber', async (req, res) => {
   const trackingWithRecords = await db.getTrackingWithRecords(trackingNumber);
 
     if (!trackingWithRecords) {
-      return res.status(404).json({ error: 'Tracking number not found' });
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
     }
 
     const shareLink = generateShareLink(req, trackingNumber);
@@ -286,144 +1026,243 @@ app.get('/api/tracking/:trackingNumber', async (req, res) => {
       trackingNumber: trackingWithRecords.tracking_number,
       kissProvider: trackingWithRecords.kiss_provider,
       destination: trackingWithRecords.destination,
+      destinationLatitude: trackingWithRecords.destination_latitude ?? null,
+      destinationLongitude: trackingWithRecords.destination_longitude ?? null,
       eta: trackingWithRecords.eta,
+      estimatedEta: estimateEta(trackingWithRecords, trackingWithRecords.records),
       status: trackingWithRecords.status,
+      visibility: visibilityOf(trackingWithRecords),
+      archived: Boolean(trackingWithRecords.archived_at),
+      archivedAt: trackingWithRecords.archived_at || null,
       shareLink: shareLink,
-      trackRecords: trackingWithRecords.records.map(record => ({
-        id: record.id,
-        location: record.location,
-        timestamp: record.timestamp
-      }))
+      trackRecords: trackingWithRecords.records.map(formatTrackRecord),
+      timeline: (await db.getEvents(trackingNumber)).map(formatEvent)
     };
 
     console.log('✅ Found tracking with', trackingWithRecords.records.length, 'records');
     res.json(response);
   } catch (error) {
     console.error('Error getting tracking:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
-// Add location update (requires authentication)
-app.post('/api/tracking/:trackingNumber/location', verifyUpdateKey, async (req, res) => {
+// Download the tracking as a file: track records (csv), route (geojson, gpx) or the ETA as a calendar event (ics)
+app.get('/api/tracking/:trackingNumber/export', verifyViewerAccess, validate({ query: schemas.exportQuery }), async (req, res) => {
   try {
     const { trackingNumber } = req.params;
-    const { location } = req.body;
+    const { format } = req.query;
+    console.log('Exporting tracking:', trackingNumber, format);
 
-    console.log('Adding location update:', { trackingNumber, location });
-
-    if (!location) {
-      return res.status(400).json({ error: 'Location is required' });
+    const trackingWithRecords = await db.getTrackingWithRecords(trackingNumber);
+    if (!trackingWithRecords) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
     }
 
-  const tracking = await db.getTracking(trackingNumber);
-    if (!tracking) {
-      return res.status(404).json({ error: 'Tracking number not found' });
-    }
+    const { contentType, extension, render } = EXPORT_FORMATS[format];
+    const body = render({
+      tracking: trackingWithRecords,
+      records: trackingWithRecords.records,
+      events: await db.getEvents(trackingNumber),
+      shareLink: generateShareLink(req, trackingNumber)
+    });
 
-  const recordId = await db.addTrackRecord(tracking.id, trackingNumber, location);
-  console.log('✅ Added track record with ID:', recordId);
+    // Calendar apps poll subscribed URLs, so they must always get the current ETA
+    res.set('Cache-Control', 'no-cache');
+    res.attachment(`kiss-${trackingNumber}.${extension}`);
+    res.type(contentType).send(body);
+  } catch (error) {
+    console.error('Error exporting tracking:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
 
-    // Broadcast location update to SSE clients
-    broadcastToTracking(trackingNumber, 'location-update', {
-      location,
-      timestamp: new Date().toISOString(),
-      recordId
-    });
+// Add location update (requires authentication)
+app.post('/api/tracking/:trackingNumber/location', verifyUpdateKey('location'), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+
+    const result = await addLocationUpdate(trackingNumber, req.body);
+    if (result.error) {
+      const { status, code, error, ...extra } = result;
+      return sendError(res, status, code, error, extra);
+    }
 
     res.json({
       message: 'Location updated successfully',
-      record_id: recordId
+      record_id: result.recordId
     });
   } catch (error) {
     console.error('Error adding location:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
-// Update destination (requires authentication)
-app.put('/api/tracking/:trackingNumber/destination', verifyUpdateKey, async (req, res) => {
+// Correct a track record, e.g. fix a typo or backdate it (requires authentication)
+app.put('/api/tracking/:trackingNumber/location/:recordId', verifyUpdateKey('location'), rejectArchived, validate({ body: schemas.editLocation }), async (req, res) => {
   try {
-    const { trackingNumber } = req.params;
-    const { destination } = req.body;
+    const { trackingNumber, recordId } = req.params;
+    const changes = {};
+    ['location', 'latitude', 'longitude', 'accuracy', 'label', 'timestamp'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
 
-    console.log('Updating destination:', { trackingNumber, destination });
+    console.log('Editing track record:', { trackingNumber, recordId, changes });
 
-    if (!destination) {
-      return res.status(400).json({ error: 'Destination is required' });
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
     }
 
-    const success = await db.updateDestination(trackingNumber, destination);
-    if (!success) {
-      return res.status(404).json({ error: 'Tracking number not found' });
+    const previous = (await db.getTrackRecords(trackingNumber)).find(record => String(record.id) === String(recordId));
+    const updated = previous && await db.updateTrackRecord(trackingNumber, recordId, changes);
+    if (!updated) {
+      return sendError(res, 404, ERROR_CODES.RECORD_NOT_FOUND, 'Track record not found');
     }
 
-    // Broadcast destination update to SSE clients
-    broadcastToTracking(trackingNumber, 'destination-change', {
-      destination
+    // Keep both sides of every changed field for the audit trail
+    const before = formatTrackRecord(previous);
+    const record = formatTrackRecord(updated);
+    const diff = {};
+    Object.keys(changes).forEach(field => {
+      diff[field] = { from: before[field], to: record[field] };
     });
+    await db.appendEvent(tracking.id, trackingNumber, EVENT_TYPES.LOCATION_EDITED, { recordId: record.id, changes: diff });
 
-    console.log('✅ Updated destination successfully');
-    res.json({ message: 'Destination updated successfully' });
+    broadcastToTracking(trackingNumber, 'location-edited', { ...record, recordId: record.id });
+
+    console.log('✅ Edited track record');
+    res.json({ message: 'Location updated successfully', record });
   } catch (error) {
-    console.error('Error updating destination:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error editing track record:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
-// Update ETA (requires authentication)
-app.put('/api/tracking/:trackingNumber/eta', verifyUpdateKey, async (req, res) => {
+// Remove a track record (requires authentication)
+app.delete('/api/tracking/:trackingNumber/location/:recordId', verifyUpdateKey('location'), rejectArchived, async (req, res) => {
   try {
-    const { trackingNumber } = req.params;
-    const { eta } = req.body;
+    const { trackingNumber, recordId } = req.params;
+    console.log('Removing track record:', { trackingNumber, recordId });
 
-    console.log('Updating ETA:', { trackingNumber, eta });
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
 
-    if (!eta) {
-      return res.status(400).json({ error: 'ETA is required' });
+    const removed = await db.deleteTrackRecord(trackingNumber, recordId);
+    if (!removed) {
+      return sendError(res, 404, ERROR_CODES.RECORD_NOT_FOUND, 'Track record not found');
     }
 
-    const etaDate = new Date(eta);
-    if (isNaN(etaDate.getTime())) {
-      return res.status(400).json({ error: 'Invalid ETA format' });
+    await db.appendEvent(tracking.id, trackingNumber, EVENT_TYPES.LOCATION_REMOVED, {
+      recordId: removed.id,
+      location: removed.location,
+      timestamp: removed.timestamp
+    });
+
+    broadcastToTracking(trackingNumber, 'location-removed', { recordId: removed.id });
+
+    console.log('✅ Removed track record');
+    res.json({ message: 'Location removed successfully' });
+  } catch (error) {
+    console.error('Error removing track record:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Update destination (requires authentication)
+app.put('/api/tracking/:trackingNumber/destination', verifyUpdateKey('destination'), rejectArchived, validate({ body: schemas.updateDestination }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { destination } = req.body;
+    const coordinates = {
+      latitude: req.body.destinationLatitude ?? null,
+      longitude: req.body.destinationLongitude ?? null
+    };
+
+    console.log('Updating destination:', { trackingNumber, destination });
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
     }
 
-    const success = await db.updateEta(trackingNumber, eta);
+    const success = await db.updateDestination(trackingNumber, destination, coordinates);
     if (!success) {
-      return res.status(404).json({ error: 'Tracking number not found' });
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
     }
 
-    // Broadcast ETA update to SSE clients
-    broadcastToTracking(trackingNumber, 'eta-change', {
-      eta: eta
+    await db.appendEvent(tracking.id, trackingNumber, EVENT_TYPES.DESTINATION_CHANGED, {
+      from: tracking.destination,
+      to: destination,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude
     });
 
+    // Broadcast destination update to SSE clients
+    broadcastToTracking(trackingNumber, 'destination-change', {
+      destination,
+      destinationLatitude: coordinates.latitude,
+      destinationLongitude: coordinates.longitude
+    });
+
+    console.log('✅ Updated destination successfully');
+    res.json({ message: 'Destination updated successfully' });
+  } catch (error) {
+    console.error('Error updating destination:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Update ETA (requires authentication)
+app.put('/api/tracking/:trackingNumber/eta', verifyUpdateKey('eta'), rejectArchived, validate({ body: schemas.updateEta }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { eta } = req.body;
+
+    console.log('Updating ETA:', { trackingNumber, eta });
+
+    const result = await changeEta(trackingNumber, eta);
+    if (result.error) {
+      const { status, code, error } = result;
+      return sendError(res, status, code, error);
+    }
+
     console.log('✅ Updated ETA successfully');
     res.json({ message: 'ETA updated successfully' });
   } catch (error) {
     console.error('Error updating ETA:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
 // Batch fetch multiple trackings (for MyTrackings page)
-app.post('/api/tracking/batch', async (req, res) => {
+app.post('/api/tracking/batch', validate({ body: schemas.batchFetch }), async (req, res) => {
   try {
     const { trackings } = req.body; // Array of { trackingNumber, updateKey }
 
-    console.log('Batch fetching trackings:', trackings?.length || 0);
+    console.log('Batch fetching trackings:', trackings.length);
 
-    if (!trackings || !Array.isArray(trackings)) {
-      return res.status(400).json({ error: 'trackings array is required' });
-    }
+    if (await rejectIfLockedOut(keyFailures, req.ip, res)) return;
 
     const results = [];
 
     for (const { trackingNumber, updateKey } of trackings) {
       try {
+        // Invalid keys count towards the lockout, which also ends the rest of the batch
+        if ((await keyFailures.check(req.ip)).locked) {
+          results.push({
+            trackingNumber,
+            error: 'Too many failed attempts'
+          });
+          continue;
+        }
+
         // Verify update key for each tracking
         const isValid = await db.verifyUpdateKey(trackingNumber, updateKey);
         if (!isValid) {
+          await keyFailures.fail(req.ip);
           results.push({
             trackingNumber,
             error: 'Invalid update key or tracking not found'
@@ -433,17 +1272,7 @@ app.post('/api/tracking/batch', async (req, res) => {
 
         const trackingWithRecords = await db.getTrackingWithRecords(trackingNumber);
         if (trackingWithRecords) {
-          results.push({
-            trackingNumber: trackingWithRecords.tracking_number,
-            kissProvider: trackingWithRecords.kiss_provider,
-            destination: trackingWithRecords.destination,
-            eta: trackingWithRecords.eta,
-            status: trackingWithRecords.status,
-            recordCount: trackingWithRecords.records.length,
-            lastUpdate: trackingWithRecords.records.length > 0
-              ? trackingWithRecords.records[trackingWithRecords.records.length - 1].timestamp
-              : trackingWithRecords.created_at
-          });
+          results.push(summarizeTracking(trackingWithRecords));
         } else {
           results.push({
             trackingNumber,
@@ -463,95 +1292,901 @@ app.post('/api/tracking/batch', async (req, res) => {
     res.json({ trackings: results });
   } catch (error) {
     console.error('Error in batch fetch:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
-// Update status (requires authentication)
-app.put('/api/tracking/:trackingNumber/status', verifyUpdateKey, async (req, res) => {
+// Read a CSV upload (a header row naming createTracking fields, one tracking per line) as { trackings: [...] }
+const readBulkCsv = [
+  express.text({ type: ['text/csv', 'application/csv'], limit: process.env.JSON_BODY_LIMIT || '100kb' }),
+  (req, res, next) => {
+    if (typeof req.body !== 'string') return next();
+    try {
+      req.body = { trackings: parseCsvRecords(req.body) };
+      next();
+    } catch (err) {
+      const details = [detail('body', FIELD_ERRORS.INVALID_FORMAT, err.message)];
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, err.message, { details });
+    }
+  }
+];
+
+const BULK_CREATE_CSV_COLUMNS = ['index', 'trackingNumber', 'kissProvider', 'destination', 'eta', 'visibility', 'shareLink', 'updateLink'];
+
+// Bulk create trackings from a JSON array or a CSV upload; nothing is created unless every entry is valid
+app.post('/api/tracking/bulk', readBulkCsv, validate({ body: schemas.bulkCreate, query: schemas.bulkCreateQuery }), async (req, res) => {
   try {
-    const { trackingNumber } = req.params;
-    const { status } = req.body;
+    const { trackings } = req.body;
 
-    console.log('Updating status:', { trackingNumber, status });
+    console.log('Bulk creating trackings:', trackings.length);
 
-    if (!status) {
-      return res.status(400).json({ error: 'Status is required' });
+    const details = [];
+    const entries = trackings.map((entry, index) => {
+      const result = checkSchema(schemas.createTracking, entry);
+      if (result.details) details.push(...prefixDetails(`trackings[${index}].`, result.details));
+      return result.value;
+    });
+    if (details.length > 0) {
+      console.log('❌ Validation failed:', details.map(item => `${item.field} ${item.code}`).join(', '));
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, summarize(details), { details });
     }
 
-    const validStatuses = ['Preparing', 'In Transit', 'Out for Delivery', 'Delivered', 'Delayed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status value' });
+    // Trackings created while logged in belong to the account
+    const session = await resolveSession(req);
+
+    // A single transaction on PostgreSQL, so a failure leaves none of them behind
+    const created = await db.transaction(async () => {
+      const results = [];
+      for (const entry of entries) {
+        results.push(await createTrackingFor(req, entry, session));
+      }
+      return results;
+    });
+
+    const items = created.map((tracking, index) => ({
+      index,
+      trackingNumber: tracking.trackingNumber,
+      kissProvider: tracking.kissProvider,
+      destination: tracking.destination,
+      destinationLatitude: tracking.destinationLatitude,
+      destinationLongitude: tracking.destinationLongitude,
+      eta: tracking.eta,
+      visibility: tracking.visibility,
+      shareLink: tracking.shareLink,
+      updateLink: tracking.updateLink
+    }));
+
+    console.log('✅ Bulk created trackings:', items.length);
+
+    if (req.query.format === 'csv') {
+      return res.status(201).type('text/csv').send(toCsv(BULK_CREATE_CSV_COLUMNS, items));
     }
+    res.status(201).json({ created: items.length, trackings: items });
+  } catch (error) {
+    console.error('Error in bulk create:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
 
-    const success = await db.updateStatus(trackingNumber, status);
-    if (!success) {
-      return res.status(404).json({ error: 'Tracking number not found' });
+// Bulk update status, ETA and/or location of many trackings, each with its own key (or owned by the logged-in user)
+// Entries are applied one by one with per-item results; with `atomic` either all of them are applied or none
+app.post('/api/tracking/bulk-update', validate({ body: schemas.bulkUpdate }), async (req, res) => {
+  try {
+    const { updates, atomic } = req.body;
+
+    console.log('Bulk updating trackings:', updates.length, atomic ? '(atomic)' : '');
+
+    if (await rejectIfLockedOut(keyFailures, req.ip, res)) return;
+
+    const session = await resolveSession(req);
+    const context = { ip: req.ip, session, seen: new Set() };
+    const trackingNumberOf = (entry) => (entry && typeof entry.trackingNumber === 'string' ? entry.trackingNumber : null);
+
+    // Check every entry before writing anything
+    const results = [];
+    const prepared = [];
+    for (const [index, entry] of updates.entries()) {
+      const { change, failure } = await prepareBulkUpdate(entry, context);
+      if (failure) {
+        results[index] = bulkFailureResult(index, trackingNumberOf(entry), failure);
+      } else {
+        prepared.push({ index, change });
+      }
     }
 
-    // If status is 'Delivered', automatically create a delivery record
-    if (status === 'Delivered') {
-      const tracking = await db.getTracking(trackingNumber);
-      if (tracking) {
-        const recordId = await db.addTrackRecord(tracking.id, trackingNumber, 'Delivered');
-        console.log('✅ Auto-created delivery record with ID:', recordId);
+    const notApplied = (index) => ({
+      index,
+      trackingNumber: trackingNumberOf(updates[index]),
+      ok: false,
+      code: ERROR_CODES.NOT_APPLIED,
+      error: 'Not applied because another update in the batch failed'
+    });
+    const rejectBatch = () => {
+      const message = 'Bulk update failed, nothing was applied';
+      console.log(`❌ ${message}`);
+      return sendError(res, 409, ERROR_CODES.BULK_UPDATE_FAILED, message, {
+        results: updates.map((_, index) => (results[index] && !results[index].ok ? results[index] : notApplied(index)))
+      });
+    };
+
+    if (atomic && prepared.length < updates.length) {
+      return rejectBatch();
+    }
 
-        // Broadcast location update for the delivery record
-        broadcastToTracking(trackingNumber, 'location-update', {
-          location: 'Delivered',
-          timestamp: new Date().toISOString(),
-          recordId
+    // Broadcasts wait for the commit, so viewers never see a change that was rolled back
+    if (atomic) {
+      const pending = [];
+      let current = null;
+      try {
+        const outcomes = await db.transaction(async () => {
+          const applied = [];
+          for (const item of prepared) {
+            current = item;
+            applied.push(await applyBulkUpdate(item.change, (...args) => pending.push(args)));
+          }
+          return applied;
+        });
+        prepared.forEach(({ index, change }, position) => {
+          results[index] = { index, trackingNumber: change.trackingNumber, ok: true, ...outcomes[position] };
         });
+      } catch (err) {
+        if (!err.failure) throw err;
+        results[current.index] = bulkFailureResult(current.index, current.change.trackingNumber, err.failure);
+        return rejectBatch();
       }
+      pending.forEach(args => broadcastToTracking(...args));
     } else {
-      // If status is changed from Delivered to something else, remove delivery records
-      const success = await db.removeDeliveryRecords(trackingNumber);
-      if (success) {
-        console.log('✅ Removed delivery records for status change');
-
-        // Broadcast removal to SSE clients
-        broadcastToTracking(trackingNumber, 'delivery-removed', {
-          trackingNumber
-        });
+      for (const { index, change } of prepared) {
+        const pending = [];
+        try {
+          // Each entry is its own transaction on PostgreSQL
+          const outcome = await db.transaction(() => applyBulkUpdate(change, (...args) => pending.push(args)));
+          pending.forEach(args => broadcastToTracking(...args));
+          results[index] = { index, trackingNumber: change.trackingNumber, ok: true, ...outcome };
+        } catch (err) {
+          if (!err.failure) console.error(`Error in bulk update of ${change.trackingNumber}:`, err);
+          results[index] = bulkFailureResult(index, change.trackingNumber, err.failure || {
+            status: 500,
+            code: ERROR_CODES.INTERNAL_ERROR,
+            error: 'Internal error'
+          });
+        }
       }
     }
 
-    // Broadcast status update to SSE clients
-    broadcastToTracking(trackingNumber, 'status-change', {
-      status
-    });
+    const updated = results.filter(result => result.ok).length;
+    console.log(`✅ Bulk update completed: ${updated} of ${results.length} applied`);
+    res.json({ updated, failed: results.length - updated, results });
+  } catch (error) {
+    console.error('Error in bulk update:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Update status (requires authentication)
+app.put('/api/tracking/:trackingNumber/status', verifyUpdateKey('status'), rejectArchived, validate({ body: schemas.updateStatus }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { status, note, force } = req.body;
+
+    console.log('Updating status:', { trackingNumber, status, note, force });
+
+    const result = await changeStatus(trackingNumber, { status, note, force });
+    if (result.error) {
+      const { status: httpStatus, code, error, ...extra } = result;
+      return sendError(res, httpStatus, code, error, extra);
+    }
+    if (result.unchanged) {
+      return res.json({ message: 'Status unchanged' });
+    }
 
     console.log('✅ Updated status successfully');
     res.json({ message: 'Status updated successfully' });
   } catch (error) {
     console.error('Error updating status:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Rotate the update key (requires authentication) - the old update link stops working immediately
+app.post('/api/tracking/:trackingNumber/rotate-key', verifyUpdateKey('manage'), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    console.log('Rotating update key for:', trackingNumber);
+
+    const updateKey = generateUpdateKey();
+    const success = await db.rotateUpdateKey(trackingNumber, updateKey);
+    if (!success) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    console.log('✅ Rotated update key successfully');
+    res.json({
+      message: 'Update key rotated successfully',
+      updateKey,
+      updateLink: generateUpdateLink(req, trackingNumber, updateKey)
+    });
+  } catch (error) {
+    console.error('Error rotating update key:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Create a delegate key (requires the creator's key)
+app.post('/api/tracking/:trackingNumber/delegates', verifyUpdateKey('manage'), validate({ body: schemas.createDelegate }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const delegate = {
+      scopes: [...new Set(req.body.scopes)],
+      label: req.body.label || null,
+      expiresAt: req.body.expiresAt || null
+    };
+
+    console.log('Creating delegate key:', { trackingNumber, scopes: delegate.scopes, label: delegate.label });
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    const key = generateUpdateKey();
+    const created = await db.createDelegateKey(tracking.id, trackingNumber, { ...delegate, key });
+
+    console.log('✅ Created delegate key with ID:', created.id);
+    res.status(201).json({
+      ...formatDelegateKey(created),
+      updateKey: key,
+      updateLink: generateUpdateLink(req, trackingNumber, key)
+    });
+  } catch (error) {
+    console.error('Error creating delegate key:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// List delegate keys (requires the creator's key)
+app.get('/api/tracking/:trackingNumber/delegates', verifyUpdateKey('manage'), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const delegates = await db.getDelegateKeys(trackingNumber);
+    res.json({ delegates: delegates.map(formatDelegateKey) });
+  } catch (error) {
+    console.error('Error listing delegate keys:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Revoke a delegate key (requires the creator's key)
+app.delete('/api/tracking/:trackingNumber/delegates/:delegateId', verifyUpdateKey('manage'), async (req, res) => {
+  try {
+    const { trackingNumber, delegateId } = req.params;
+    console.log('Revoking delegate key:', { trackingNumber, delegateId });
+
+    const success = await db.revokeDelegateKey(trackingNumber, delegateId);
+    if (!success) {
+      return sendError(res, 404, ERROR_CODES.DELEGATE_NOT_FOUND, 'Delegate key not found');
+    }
+
+    console.log('✅ Revoked delegate key');
+    res.json({ message: 'Delegate key revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking delegate key:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Register a webhook (requires the creator's key)
+app.post('/api/tracking/:trackingNumber/webhooks', verifyUpdateKey('manage'), validate({ body: schemas.createWebhook }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { url, active } = req.body;
+    const events = [...new Set(req.body.events)];
+
+    console.log('Creating webhook:', { trackingNumber, url, events });
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    const existing = await db.getWebhooks(trackingNumber);
+    if (existing.length >= MAX_WEBHOOKS_PER_TRACKING) {
+      return sendError(res, 409, ERROR_CODES.WEBHOOK_LIMIT_REACHED, `A tracking can have at most ${MAX_WEBHOOKS_PER_TRACKING} webhooks`);
+    }
+
+    if (await rejectDisallowedDestination(url, res)) return;
+
+    const secret = generateWebhookSecret();
+    const created = await db.createWebhook(tracking.id, trackingNumber, { url, secret, events, active });
+
+    console.log('✅ Created webhook with ID:', created.id);
+    res.status(201).json({ ...formatWebhook(created), secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// List webhooks (requires the creator's key)
+app.get('/api/tracking/:trackingNumber/webhooks', verifyUpdateKey('manage'), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const webhooks = await db.getWebhooks(trackingNumber);
+    res.json({ webhooks: webhooks.map(formatWebhook) });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Change a webhook's URL, events or active flag, or rotate its secret (requires the creator's key)
+app.put('/api/tracking/:trackingNumber/webhooks/:webhookId', verifyUpdateKey('manage'), validate({ body: schemas.updateWebhook }), async (req, res) => {
+  try {
+    const { trackingNumber, webhookId } = req.params;
+    const { url, active, rotateSecret } = req.body;
+    const events = req.body.events ? [...new Set(req.body.events)] : undefined;
+
+    console.log('Updating webhook:', { trackingNumber, webhookId, url, events, active, rotateSecret });
+
+    if (url && await rejectDisallowedDestination(url, res)) return;
+
+    const secret = rotateSecret ? generateWebhookSecret() : undefined;
+    const updated = await db.updateWebhook(trackingNumber, webhookId, { url, events, active, secret });
+    if (!updated) {
+      return sendError(res, 404, ERROR_CODES.WEBHOOK_NOT_FOUND, 'Webhook not found');
+    }
+
+    console.log('✅ Updated webhook');
+    res.json(secret ? { ...formatWebhook(updated), secret } : formatWebhook(updated));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Remove a webhook and its delivery log (requires the creator's key)
+app.delete('/api/tracking/:trackingNumber/webhooks/:webhookId', verifyUpdateKey('manage'), async (req, res) => {
+  try {
+    const { trackingNumber, webhookId } = req.params;
+    console.log('Deleting webhook:', { trackingNumber, webhookId });
+
+    const success = await db.deleteWebhook(trackingNumber, webhookId);
+    if (!success) {
+      return sendError(res, 404, ERROR_CODES.WEBHOOK_NOT_FOUND, 'Webhook not found');
+    }
+
+    console.log('✅ Deleted webhook');
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Queue a ping delivery to check a webhook's endpoint (requires the creator's key)
+app.post('/api/tracking/:trackingNumber/webhooks/:webhookId/test', verifyUpdateKey('manage'), async (req, res) => {
+  try {
+    const { trackingNumber, webhookId } = req.params;
+
+    const webhook = await db.getWebhook(trackingNumber, webhookId);
+    if (!webhook) {
+      return sendError(res, 404, ERROR_CODES.WEBHOOK_NOT_FOUND, 'Webhook not found');
+    }
+
+    const delivery = await webhookDispatcher.sendTest(trackingNumber, webhook);
+    console.log('✅ Queued webhook test delivery:', delivery.id);
+    res.status(202).json(formatWebhookDelivery(delivery));
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Recent deliveries of a webhook, newest first (requires the creator's key)
+app.get('/api/tracking/:trackingNumber/webhooks/:webhookId/deliveries', verifyUpdateKey('manage'), async (req, res) => {
+  try {
+    const { trackingNumber, webhookId } = req.params;
+
+    const webhook = await db.getWebhook(trackingNumber, webhookId);
+    if (!webhook) {
+      return sendError(res, 404, ERROR_CODES.WEBHOOK_NOT_FOUND, 'Webhook not found');
+    }
+
+    const deliveries = await db.getWebhookDeliveries(trackingNumber, webhookId, DELIVERY_LOG_SIZE);
+    res.json({ deliveries: deliveries.map(formatWebhookDelivery) });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Notification channels enabled on this server, the events viewers can choose and the VAPID key for Web Push
+app.get('/api/notifications/config', (req, res) => {
+  res.json({
+    channels: notifier.channels(),
+    events: NOTIFICATION_EVENTS,
+    vapidPublicKey: notificationTransports.push ? notificationTransports.push.publicKey || null : null
+  });
+});
+
+// Subscribe to email or push notifications for a tracking (anyone who can view it)
+// Subscribing the same email or push endpoint again replaces the earlier subscription
+app.post('/api/tracking/:trackingNumber/subscriptions', verifyViewerAccess, validate({ body: schemas.subscribe }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { channel, email } = req.body;
+    const events = [...new Set(req.body.events)];
+    const pushSubscription = channel === 'push'
+      ? { endpoint: req.body.subscription.endpoint, keys: { p256dh: req.body.subscription.keys.p256dh, auth: req.body.subscription.keys.auth } }
+      : null;
+
+    console.log('Creating subscription:', { trackingNumber, channel, events });
+
+    if (!notifier.channels().includes(channel)) {
+      return sendError(res, 503, ERROR_CODES.NOTIFICATION_CHANNEL_UNAVAILABLE, `${channel} notifications are not enabled on this server`);
+    }
+    if (pushSubscription && await rejectDisallowedDestination(pushSubscription.endpoint, res, ERROR_CODES.PUSH_ENDPOINT_NOT_ALLOWED)) return;
+
+    const tracking = await db.getTracking(trackingNumber);
+    const existing = await db.getSubscriptions(trackingNumber);
+    // A confirmed email subscription stays until the new one is confirmed, so posting someone's address cannot unsubscribe them
+    const previous = existing.find(subscription => (channel === 'email'
+      ? subscription.email === email && !subscription.confirmed_at
+      : subscription.push_subscription && subscription.push_subscription.endpoint === pushSubscription.endpoint));
+
+    if (!previous && existing.length >= MAX_SUBSCRIPTIONS_PER_TRACKING) {
+      return sendError(res, 409, ERROR_CODES.SUBSCRIPTION_LIMIT_REACHED, 'This tracking has too many subscribers');
+    }
+    if (previous) {
+      await db.deleteSubscription(trackingNumber, previous.id);
+    }
+
+    // Push subscriptions come from the browser's permission prompt; emails are confirmed by link
+    const token = generateSubscriptionToken();
+    const created = await db.createSubscription(tracking.id, trackingNumber, {
+      channel,
+      email: channel === 'email' ? email : null,
+      pushSubscription,
+      events,
+      token,
+      confirmed: channel === 'push'
+    });
+
+    if (channel === 'email') {
+      await notifier.sendConfirmation(trackingNumber, created);
+    }
+
+    console.log('✅ Created subscription with ID:', created.id);
+
+    // The token also confirms, so for email it only travels in the emailed links
+    res.status(201).json(channel === 'email'
+      ? formatSubscription(created)
+      : { ...formatSubscription(created), unsubscribeToken: token });
+  } catch (error) {
+    console.error('Error creating subscription:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Confirm an email subscription with the token from the confirmation email
+app.post('/api/subscriptions/confirm', validate({ body: schemas.subscriptionToken }), async (req, res) => {
+  try {
+    const subscription = await db.getSubscriptionByToken(req.body.token);
+    if (!subscription) {
+      return sendError(res, 404, ERROR_CODES.SUBSCRIPTION_NOT_FOUND, 'Subscription not found');
+    }
+
+    await db.confirmSubscription(subscription.tracking_number, subscription.id);
+
+    // A confirmed re-subscription replaces the earlier subscription of the same address
+    const replaced = (await db.getSubscriptions(subscription.tracking_number))
+      .filter(other => other.channel === 'email' && other.email === subscription.email && String(other.id) !== String(subscription.id));
+    for (const other of replaced) {
+      await db.deleteSubscription(subscription.tracking_number, other.id);
+    }
+
+    console.log('✅ Confirmed subscription:', subscription.id);
+    res.json({ message: 'Subscription confirmed', trackingNumber: subscription.tracking_number });
+  } catch (error) {
+    console.error('Error confirming subscription:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Unsubscribe with the token from any notification (or, for push, the subscribe response)
+app.post('/api/subscriptions/unsubscribe', validate({ body: schemas.subscriptionToken }), async (req, res) => {
+  try {
+    const subscription = await db.getSubscriptionByToken(req.body.token);
+    if (!subscription) {
+      return sendError(res, 404, ERROR_CODES.SUBSCRIPTION_NOT_FOUND, 'Subscription not found');
+    }
+
+    await db.deleteSubscription(subscription.tracking_number, subscription.id);
+
+    console.log('✅ Removed subscription:', subscription.id);
+    res.json({ message: 'Unsubscribed successfully', trackingNumber: subscription.tracking_number });
+  } catch (error) {
+    console.error('Error removing subscription:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Register a user account
+app.post('/api/auth/register', validate({ body: schemas.register }), async (req, res) => {
+  try {
+    const { email, password, displayName } = req.body;
+
+    console.log('Registering user:', email);
+
+    const user = await db.createUser(email, await hashPassword(password), displayName || null);
+    if (!user) {
+      return sendError(res, 409, ERROR_CODES.EMAIL_TAKEN, 'An account with this email already exists');
+    }
+
+    const token = generateSessionToken();
+    const expiresAt = sessionExpiry();
+    await db.createSession(user.id, hashSessionToken(token), expiresAt);
+
+    console.log('✅ Registered user:', user.id);
+    res.status(201).json({ user: formatUser(user), token, expiresAt });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Log in and receive a session token
+app.post('/api/auth/login', validate({ body: schemas.login }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    console.log('Login attempt:', email);
+
+    if (await rejectIfLockedOut(loginFailures, req.ip, res)) return;
+
+    const user = await db.getUserByEmail(email);
+    const valid = await verifyPassword(user && user.password_hash, password);
+    if (!user || !valid) {
+      console.log('❌ Invalid credentials');
+      await loginFailures.fail(req.ip);
+      return sendError(res, 401, ERROR_CODES.INVALID_CREDENTIALS, 'Invalid email or password');
+    }
+
+    const token = generateSessionToken();
+    const expiresAt = sessionExpiry();
+    await db.createSession(user.id, hashSessionToken(token), expiresAt);
+
+    console.log('✅ Logged in user:', user.id);
+    res.json({ user: formatUser(user), token, expiresAt });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Log out (ends the current session only)
+app.post('/api/auth/logout', requireUser, async (req, res) => {
+  try {
+    await db.deleteSession(req.sessionTokenHash);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Get the logged-in user
+app.get('/api/me', requireUser, (req, res) => {
+  res.json({ user: formatUser(req.user) });
+});
+
+// List trackings owned by the logged-in user
+app.get('/api/me/trackings', requireUser, async (req, res) => {
+  try {
+    const trackings = await db.getTrackingsByOwner(req.user.id);
+    const results = [];
+
+    for (const tracking of trackings) {
+      const trackingWithRecords = await db.getTrackingWithRecords(tracking.tracking_number);
+      if (trackingWithRecords) {
+        results.push({
+          ...summarizeTracking(trackingWithRecords),
+          shareLink: generateShareLink(req, tracking.tracking_number)
+        });
+      }
+    }
+
+    console.log('✅ Listed', results.length, 'trackings for user:', req.user.id);
+    res.json({ trackings: results });
+  } catch (error) {
+    console.error('Error listing user trackings:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Claim an existing tracking for the logged-in user by presenting its update key
+app.post('/api/me/trackings', requireUser, validate({ body: schemas.claimTracking }), async (req, res) => {
+  try {
+    const { trackingNumber, updateKey } = req.body;
+
+    console.log('Claiming tracking:', { trackingNumber, userId: req.user.id });
+
+    if (await rejectIfLockedOut(keyFailures, req.ip, res)) return;
+
+    // Only the creator's key can claim, not a delegate key
+    const isValid = await db.verifyUpdateKey(trackingNumber, updateKey);
+    if (!isValid) {
+      await keyFailures.fail(req.ip);
+      return sendError(res, 403, ERROR_CODES.INVALID_UPDATE_KEY, 'Invalid update key or tracking not found');
+    }
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (tracking.owner_user_id && String(tracking.owner_user_id) !== String(req.user.id)) {
+      return sendError(res, 409, ERROR_CODES.TRACKING_ALREADY_OWNED, 'Tracking already belongs to another account');
+    }
+
+    await db.setTrackingOwner(trackingNumber, req.user.id);
+
+    console.log('✅ Claimed tracking');
+    res.json({ message: 'Tracking claimed successfully', trackingNumber });
+  } catch (error) {
+    console.error('Error claiming tracking:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Exchange a passcode for a short-lived viewer token (unlisted trackings)
+app.post('/api/tracking/:trackingNumber/view', validate({ body: schemas.viewTracking }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { passcode } = req.body;
+
+    console.log('Viewer passcode attempt for:', trackingNumber);
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking || visibilityOf(tracking) === 'private') {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    if (visibilityOf(tracking) === 'public') {
+      return sendError(res, 400, ERROR_CODES.PASSCODE_NOT_REQUIRED, 'This tracking does not require a passcode');
+    }
+
+    if (await rejectIfLockedOut(passcodeFailures, req.ip, res)) return;
+
+    // Short passcodes are guessable from many addresses, so once a tracking sees many wrong passcodes every attempt
+    // on it is slowed down. It is never locked, which would also shut out viewers who know the passcode
+    if ((await trackingPasscodeFailures.check(trackingNumber)).locked) {
+      await new Promise(resolve => setTimeout(resolve, PASSCODE_SLOWDOWN_MS));
+    }
+
+    if (!(await verifyPassword(tracking.viewer_passcode_hash, passcode))) {
+      console.log('❌ Invalid passcode');
+      await passcodeFailures.fail(req.ip);
+      await trackingPasscodeFailures.fail(trackingNumber);
+      return sendError(res, 401, ERROR_CODES.INVALID_PASSCODE, 'Invalid passcode');
+    }
+
+    const { token, expiresAt } = issueViewerToken(trackingNumber, tracking.viewer_passcode_hash);
+    console.log('✅ Issued viewer token');
+    res.json({ viewerToken: token, expiresAt });
+  } catch (error) {
+    console.error('Error verifying passcode:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Change who can view a tracking (requires the creator's key)
+app.put('/api/tracking/:trackingNumber/visibility', verifyUpdateKey('manage'), validate({ body: schemas.updateVisibility }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { visibility, passcode } = req.body;
+
+    console.log('Updating visibility:', { trackingNumber, visibility });
+
+    // Setting a new passcode (or none) invalidates every viewer token issued so far
+    const success = await db.updateVisibility(trackingNumber, visibility, passcode ? await hashPassword(passcode) : null);
+    if (!success) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    console.log('✅ Updated visibility successfully');
+    res.json({ message: 'Visibility updated successfully', visibility });
+  } catch (error) {
+    console.error('Error updating visibility:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Get status history (gated by visibility)
+app.get('/api/tracking/:trackingNumber/history', verifyViewerAccess, validate({ query: schemas.viewerQuery }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    console.log('Getting status history for:', trackingNumber);
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    const history = await db.getStatusHistory(trackingNumber);
+
+    res.json({
+      trackingNumber: tracking.tracking_number,
+      status: tracking.status,
+      history: history.map(entry => ({
+        id: entry.id,
+        fromStatus: entry.from_status,
+        toStatus: entry.to_status,
+        note: entry.note,
+        forced: entry.forced,
+        changedAt: entry.changed_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting status history:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Archive or unarchive a tracking (requires the creator's key); archived trackings are read-only
+app.put('/api/tracking/:trackingNumber/archive', verifyUpdateKey('manage'), validate({ body: schemas.archiveTracking }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    const { archived } = req.body;
+
+    console.log('Updating archive state:', { trackingNumber, archived });
+
+    const tracking = await db.getTracking(trackingNumber);
+    if (!tracking) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    if (Boolean(tracking.archived_at) === archived) {
+      return res.json({ message: 'Archive state unchanged', archived, archivedAt: tracking.archived_at || null });
+    }
+
+    const archivedAt = archived ? new Date().toISOString() : null;
+    await db.setArchived(trackingNumber, archivedAt);
+    await db.appendEvent(tracking.id, trackingNumber,
+      archived ? EVENT_TYPES.TRACKING_ARCHIVED : EVENT_TYPES.TRACKING_UNARCHIVED, {});
+
+    broadcastToTracking(trackingNumber, 'archive-change', { archived, archivedAt });
+
+    console.log(`✅ Tracking ${archived ? 'archived' : 'unarchived'}`);
+    res.json({ message: `Tracking ${archived ? 'archived' : 'unarchived'} successfully`, archived, archivedAt });
+  } catch (error) {
+    console.error('Error updating archive state:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+  }
+});
+
+// Delete a tracking and everything recorded for it (requires the creator's key)
+app.delete('/api/tracking/:trackingNumber', verifyUpdateKey('manage'), validate({ query: schemas.updateKeyQuery }), async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+    console.log('Deleting tracking:', trackingNumber);
+
+    const success = await db.deleteTracking(trackingNumber);
+    if (!success) {
+      return sendError(res, 404, ERROR_CODES.TRACKING_NOT_FOUND, 'Tracking number not found');
+    }
+
+    // Viewers get a final event before their streams are closed
+    broadcastToTracking(trackingNumber, 'tracking-deleted', { trackingNumber, reason: 'deleted' });
+
+    console.log('✅ Deleted tracking');
+    res.json({ message: 'Tracking deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting tracking:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Errors raised by express.json() while reading the body
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, ERROR_CODES.INVALID_JSON, 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, ERROR_CODES.PAYLOAD_TOO_LARGE, 'Request body is too large');
+  }
+
   console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Something went wrong!');
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+  sendError(res, 404, ERROR_CODES.ROUTE_NOT_FOUND, 'Route not found');
 });
 
-app.listen(PORT, async () => {
-  console.log(`😘 Kiss Tracker API running on port ${PORT}`);
-  
-  // Show database status
-  try {
-    const dbInfo = await db.getDatabaseInfo();
-    const dbIcon = dbInfo.type === 'postgresql' ? '🐘' : '📁';
-    const dbName = dbInfo.type === 'postgresql' ? 'PostgreSQL' : 'JSON files (./data/)';
-    console.log(`${dbIcon} Database: ${dbName}`);
-  } catch (err) {
-    console.warn('⚠️  Could not determine database status:', err.message);
+// Switch broadcasts to the configured pub/sub adapter once the database is known
+async function initializePubSub(dbInfo) {
+  const requested = (process.env.PUBSUB_ADAPTER || 'memory').toLowerCase();
+  if (requested !== 'postgres') return;
+
+  if (dbInfo.type !== 'postgresql') {
+    console.warn('⚠️  PUBSUB_ADAPTER=postgres requires the PostgreSQL backend, keeping in-memory broadcasts');
+    return;
   }
+
+  const adapter = createPostgresAdapter(db._raw._pool);
+  adapter.subscribe(deliverToLocalClients);
+  await adapter.start();
+
+  const previous = pubsub;
+  pubsub = adapter;
+  await previous.close();
+}
+
+pubsub.subscribe(deliverToLocalClients);
+
+const webhookDispatcher = createWebhookDispatcher({ db });
+
+const notificationTransports = createTransports();
+const notifier = createNotifier({ db, transports: notificationTransports });
+
+const retentionSweeper = createRetentionSweeper({
+  db,
+  onPurged: (trackingNumber) => broadcastToTracking(trackingNumber, 'tracking-deleted', { trackingNumber, reason: 'retention' })
+});
+
+const etaScheduler = createEtaScheduler({ db, broadcast: broadcastToTracking });
+
+// Listen, then switch to the shared adapters and start the background jobs
+const start = (port = PORT) => {
+  const server = app.listen(port, async () => {
+    console.log(`😘 Kiss Tracker API running on port ${port}`);
+  
+    // Show database status
+    try {
+      const dbInfo = await db.getDatabaseInfo();
+      const dbNames = {
+        postgresql: '🐘 Database: PostgreSQL',
+        json: '📁 Database: JSON files (./data/)',
+        memory: '🧠 Database: in memory (nothing is saved)'
+      };
+      console.log(dbNames[dbInfo.type]);
+
+      try {
+        await initializePubSub(dbInfo);
+      } catch (err) {
+        console.warn('⚠️  Could not start PostgreSQL pub/sub, keeping in-memory broadcasts:', err.message);
+      }
+      console.log(`📡 Broadcast adapter: ${pubsub.type}`);
+
+      // Share rate limit counters between instances when they share a database
+      if (dbInfo.type === 'postgresql') {
+        useStore(createPostgresStore(db._raw._pool));
+      }
+      console.log(`🚦 Rate limit store: ${storeType()}`);
+
+      retentionSweeper.start();
+      webhookDispatcher.start();
+      etaScheduler.start();
+
+      const transportNames = Object.entries(notificationTransports)
+        .map(([channel, transport]) => `${channel} ${transport ? transport.type : 'disabled'}`);
+      console.log(`🔔 Notifications: ${transportNames.join(', ')}`);
+    } catch (err) {
+      console.warn('⚠️  Could not determine database status:', err.message);
+    }
   
-  console.log(`API docs available at http://localhost:${PORT}`);
-});
\ No newline at end of file
+    console.log(`API docs available at http://localhost:${port}`);
+  });
+
+  wsHub.attach(server);
+  return server;
+};
+
+// Requiring the module (tests) only builds the app; running it starts the server and the background jobs
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  app,
+  start
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+// status_machine.js
+// Declares the delivery lifecycle and which status changes are allowed without forcing
+
+const STATUSES = ['Preparing', 'In Transit', 'Out for Delivery', 'Delivered', 'Delayed'];
+
+const INITIAL_STATUS = 'Preparing';
+
+// from status -> statuses reachable without `force`
+const TRANSITIONS = {
+  'Preparing': ['In Transit', 'Delayed'],
+  'In Transit': ['Out for Delivery', 'Delivered', 'Delayed'],
+  'Out for Delivery': ['Delivered', 'Delayed', 'In Transit'],
+  'Delayed': ['In Transit', 'Out for Delivery', 'Delivered'],
+  'Delivered': []
+};
+
+// Scheduled ETA rules (eta_scheduler.js) and the tracking field holding the ETA each last fired for
+const ETA_RULE_MARKERS = {
+  'overdue': 'overdue_fired_eta',
+  'out-for-delivery': 'out_for_delivery_fired_eta'
+};
+
+const isValidStatus = (status) => STATUSES.includes(status);
+
+const allowedTransitions = (fromStatus) => TRANSITIONS[fromStatus] || [];
+
+// Unknown current statuses (legacy rows) never block a change
+const canTransition = (fromStatus, toStatus) => {
+  if (!isValidStatus(toStatus)) return false;
+  if (!TRANSITIONS[fromStatus]) return true;
+  return TRANSITIONS[fromStatus].includes(toStatus);
+};
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUS,
+  TRANSITIONS,
+  ETA_RULE_MARKERS,
+  isValidStatus,
+  allowedTransitions,
+  canTransition
+};
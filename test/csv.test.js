@@ -0,0 +1,60 @@
+// csv.test.js
+// CSV parsing for bulk uploads and cell escaping for exports
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvRecords, toCsv } = require('../csv');
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('a,b\n1,2\n'), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps commas, doubled quotes and line breaks inside quoted fields', () => {
+    assert.deepEqual(parseCsv('"a, b","say ""hi""","two\nlines"\n'), [['a, b', 'say "hi"', 'two\nlines']]);
+  });
+
+  it('accepts CRLF line endings and skips blank lines', () => {
+    assert.deepEqual(parseCsv('a,b\r\n\r\n1,2\r\n'), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('ignores a leading byte order mark', () => {
+    assert.deepEqual(parseCsv('\uFEFFname,eta\nAlice,2030-01-01\n'), [['name', 'eta'], ['Alice', '2030-01-01']]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepEqual(parseCsv('a,,c\n,,\n'), [['a', '', 'c'], ['', '', '']]);
+  });
+
+  it('reports the line of an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('a,b\n1,"open\n2,3\n'), /line 2/);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('keys rows by the trimmed header and leaves out empty cells', () => {
+    assert.deepEqual(parseCsvRecords('\uFEFF kissProvider ,destination,eta\nAlice,,2030-01-01\n'), [
+      { kissProvider: 'Alice', eta: '2030-01-01' }
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells containing separators, quotes or line breaks', () => {
+    assert.equal(
+      toCsv(['a', 'b', 'c'], [{ a: 'x, y', b: 'say "hi"', c: 'two\nlines' }]),
+      'a,b,c\r\n"x, y","say ""hi""","two\nlines"\r\n'
+    );
+  });
+
+  it('escapes cells a spreadsheet would run as a formula', () => {
+    const rows = [{ v: '=1+1' }, { v: '+1' }, { v: '-1' }, { v: '@SUM(A1)' }, { v: '\tx' }, { v: '=A1,B1' }];
+    assert.equal(toCsv(['v'], rows), "v\r\n'=1+1\r\n'+1\r\n'-1\r\n'@SUM(A1)\r\n'\tx\r\n\"'=A1,B1\"\r\n");
+  });
+
+  it('leaves numbers alone and writes dates as ISO strings and missing values as empty cells', () => {
+    assert.equal(
+      toCsv(['n', 'd', 'x'], [{ n: -5, d: new Date('2030-01-01T00:00:00Z'), x: null }]),
+      'n,d,x\r\n-5,2030-01-01T00:00:00.000Z,\r\n'
+    );
+  });
+});
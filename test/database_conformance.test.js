@@ -0,0 +1,780 @@
+// database_conformance.test.js
+// Runs the same checks against every storage backend so their behavior cannot drift apart
+// memory and json always run (json in a temporary data directory); postgres runs when TEST_DATABASE_URL
+// points at a disposable database
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const backends = [
+  {
+    name: 'memory',
+    open: async () => require('../database_memory')
+  },
+  {
+    name: 'json',
+    open: async () => {
+      process.env.JSON_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kiss-tracker-test-'));
+      return require('../database');
+    },
+    close: async (db) => {
+      // Nothing may be left for the exit flush once the directory is gone
+      await db.flush();
+      fs.rmSync(process.env.JSON_DATA_DIR, { recursive: true, force: true });
+    }
+  },
+  {
+    name: 'postgres',
+    skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against PostgreSQL',
+    open: async () => {
+      process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+      const db = require('../database_pg');
+      await db.init();
+      return db;
+    },
+    close: async (db) => db._pool.end(),
+    rollsBack: true
+  }
+];
+
+// Backends return ISO strings (JSON, memory) or Date objects (Postgres) for timestamps
+const iso = (value) => (value === null || value === undefined ? value : new Date(value).toISOString());
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Unique per test so runs against a shared database never collide
+const uniqueTrackingNumber = () => `T${randomUUID().slice(0, 8).toUpperCase()}`;
+const uniqueEmail = () => `${randomUUID()}@example.com`;
+
+const ETA = '2030-01-01T12:00:00.000Z';
+
+backends.forEach(backend => {
+  describe(`${backend.name} backend`, { skip: backend.skip }, () => {
+    let db;
+
+    before(async () => {
+      db = await backend.open();
+    });
+
+    after(async () => {
+      if (db && backend.close) await backend.close(db);
+    });
+
+    // Create a tracking and return it as stored
+    const createTracking = async (options = {}) => {
+      const trackingNumber = uniqueTrackingNumber();
+      await db.createTracking(trackingNumber, 'Provider', 'Home', options.eta || ETA, options.key || 'secret-key', options.coordinates);
+      return db.getTracking(trackingNumber);
+    };
+
+    describe('trackings', () => {
+      it('creates a tracking with defaults', async () => {
+        const trackingNumber = uniqueTrackingNumber();
+        const id = await db.createTracking(trackingNumber, 'Provider', 'Home', ETA, 'secret-key', { latitude: 47.37, longitude: 8.54 });
+        const tracking = await db.getTracking(trackingNumber);
+
+        assert.equal(String(tracking.id), String(id));
+        assert.equal(tracking.tracking_number, trackingNumber);
+        assert.equal(tracking.kiss_provider, 'Provider');
+        assert.equal(tracking.destination, 'Home');
+        assert.equal(tracking.destination_latitude, 47.37);
+        assert.equal(tracking.destination_longitude, 8.54);
+        assert.equal(iso(tracking.eta), ETA);
+        assert.equal(tracking.status, 'Preparing');
+        assert.equal(tracking.visibility, 'public');
+        assert.equal(tracking.owner_user_id, null);
+        assert.equal(tracking.viewer_passcode_hash, null);
+        assert.equal(tracking.archived_at, null);
+        assert.notEqual(tracking.update_key, 'secret-key');
+        assert.ok(iso(tracking.created_at));
+        assert.ok(iso(tracking.updated_at));
+      });
+
+      it('defaults destination coordinates to null', async () => {
+        const tracking = await createTracking();
+        assert.equal(tracking.destination_latitude, null);
+        assert.equal(tracking.destination_longitude, null);
+      });
+
+      it('gives every tracking its own id', async () => {
+        const first = await createTracking();
+        const second = await createTracking();
+        assert.notEqual(String(first.id), String(second.id));
+      });
+
+      it('returns null for an unknown tracking', async () => {
+        assert.equal(await db.getTracking(uniqueTrackingNumber()), null);
+        assert.equal(await db.getTrackingWithRecords(uniqueTrackingNumber()), null);
+      });
+
+      it('updates fields and updated_at', async () => {
+        const tracking = await createTracking();
+        await sleep(5);
+
+        assert.equal(await db.updateEta(tracking.tracking_number, '2031-06-01T08:00:00.000Z'), true);
+        assert.equal(await db.updateStatus(tracking.tracking_number, 'In Transit'), true);
+        assert.equal(await db.updateDestination(tracking.tracking_number, 'Office', { latitude: 46.2, longitude: 6.1 }), true);
+
+        const updated = await db.getTracking(tracking.tracking_number);
+        assert.equal(iso(updated.eta), '2031-06-01T08:00:00.000Z');
+        assert.equal(updated.status, 'In Transit');
+        assert.equal(updated.destination, 'Office');
+        assert.equal(updated.destination_latitude, 46.2);
+        assert.equal(updated.destination_longitude, 6.1);
+        assert.ok(new Date(updated.updated_at) > new Date(tracking.updated_at));
+      });
+
+      it('clears destination coordinates when none are given', async () => {
+        const tracking = await createTracking({ coordinates: { latitude: 1, longitude: 2 } });
+        await db.updateDestination(tracking.tracking_number, 'Elsewhere');
+        const updated = await db.getTracking(tracking.tracking_number);
+        assert.equal(updated.destination_latitude, null);
+        assert.equal(updated.destination_longitude, null);
+      });
+
+      it('reports false when updating an unknown tracking', async () => {
+        const trackingNumber = uniqueTrackingNumber();
+        assert.equal(await db.updateEta(trackingNumber, ETA), false);
+        assert.equal(await db.updateStatus(trackingNumber, 'Delivered'), false);
+        assert.equal(await db.updateDestination(trackingNumber, 'Nowhere'), false);
+        assert.equal(await db.rotateUpdateKey(trackingNumber, 'new-key'), false);
+        assert.equal(await db.updateVisibility(trackingNumber, 'private', null), false);
+        assert.equal(await db.setArchived(trackingNumber, new Date().toISOString()), false);
+        assert.equal(await db.deleteTracking(trackingNumber), false);
+      });
+
+      it('updates visibility and clears the passcode', async () => {
+        const tracking = await createTracking();
+
+        assert.equal(await db.updateVisibility(tracking.tracking_number, 'unlisted', 'passcode-hash'), true);
+        let updated = await db.getTracking(tracking.tracking_number);
+        assert.equal(updated.visibility, 'unlisted');
+        assert.equal(updated.viewer_passcode_hash, 'passcode-hash');
+
+        await db.updateVisibility(tracking.tracking_number, 'private', null);
+        updated = await db.getTracking(tracking.tracking_number);
+        assert.equal(updated.visibility, 'private');
+        assert.equal(updated.viewer_passcode_hash, null);
+      });
+
+      it('archives and unarchives', async () => {
+        const tracking = await createTracking();
+        const archivedAt = new Date().toISOString();
+
+        assert.equal(await db.setArchived(tracking.tracking_number, archivedAt), true);
+        assert.equal(iso((await db.getTracking(tracking.tracking_number)).archived_at), archivedAt);
+
+        assert.equal(await db.setArchived(tracking.tracking_number, null), true);
+        assert.equal((await db.getTracking(tracking.tracking_number)).archived_at, null);
+      });
+
+      it('does not let callers mutate stored data through results', async () => {
+        const tracking = await createTracking();
+        tracking.status = 'Delivered';
+        assert.equal((await db.getTracking(tracking.tracking_number)).status, 'Preparing');
+      });
+
+      it('lists all trackings as an array', async () => {
+        const tracking = await createTracking();
+        const all = await db.getAllTrackings();
+        assert.ok(Array.isArray(all));
+        assert.ok(all.some(item => item.tracking_number === tracking.tracking_number));
+      });
+    });
+
+    describe('update keys', () => {
+      it('verifies the update key', async () => {
+        const tracking = await createTracking({ key: 'right-key' });
+        assert.equal(await db.verifyUpdateKey(tracking.tracking_number, 'right-key'), true);
+        assert.equal(await db.verifyUpdateKey(tracking.tracking_number, 'wrong-key'), false);
+        assert.equal(await db.verifyUpdateKey(uniqueTrackingNumber(), 'right-key'), false);
+      });
+
+      it('rotates the update key', async () => {
+        const tracking = await createTracking({ key: 'old-key' });
+        assert.equal(await db.rotateUpdateKey(tracking.tracking_number, 'new-key'), true);
+        assert.equal(await db.verifyUpdateKey(tracking.tracking_number, 'old-key'), false);
+        assert.equal(await db.verifyUpdateKey(tracking.tracking_number, 'new-key'), true);
+      });
+    });
+
+    describe('track records', () => {
+      it('adds records with geolocation defaults', async () => {
+        const tracking = await createTracking();
+        const plainId = await db.addTrackRecord(tracking.id, tracking.tracking_number, 'Zurich');
+        const geoId = await db.addTrackRecord(tracking.id, tracking.tracking_number, 'Bern', {
+          latitude: 46.95, longitude: 7.45, accuracy: 20, label: 'Station'
+        });
+
+        const records = await db.getTrackRecords(tracking.tracking_number);
+        assert.equal(records.length, 2);
+
+        const plain = records.find(record => String(record.id) === String(plainId));
+        assert.equal(plain.location, 'Zurich');
+        assert.equal(plain.latitude, null);
+        assert.equal(plain.longitude, null);
+        assert.equal(plain.accuracy, null);
+        assert.equal(plain.label, null);
+        assert.equal(String(plain.tracking_id), String(tracking.id));
+
+        const geo = records.find(record => String(record.id) === String(geoId));
+        assert.equal(geo.latitude, 46.95);
+        assert.equal(geo.longitude, 7.45);
+        assert.equal(geo.accuracy, 20);
+        assert.equal(geo.label, 'Station');
+      });
+
+      it('returns no records for an unknown tracking', async () => {
+        assert.deepEqual(await db.getTrackRecords(uniqueTrackingNumber()), []);
+      });
+
+      it('orders records by timestamp, including backdated ones', async () => {
+        const tracking = await createTracking();
+        const firstId = await db.addTrackRecord(tracking.id, tracking.tracking_number, 'First');
+        const secondId = await db.addTrackRecord(tracking.id, tracking.tracking_number, 'Second');
+        await db.updateTrackRecord(tracking.tracking_number, secondId, { timestamp: '2020-01-01T00:00:00.000Z' });
+
+        const records = await db.getTrackRecords(tracking.tracking_number);
+        assert.deepEqual(records.map(record => String(record.id)), [String(secondId), String(firstId)]);
+
+        const withRecords = await db.getTrackingWithRecords(tracking.tracking_number);
+        assert.equal(withRecords.tracking_number, tracking.tracking_number);
+        assert.deepEqual(withRecords.records.map(record => String(record.id)), [String(secondId), String(firstId)]);
+      });
+
+      it('updates only the given fields of a record', async () => {
+        const tracking = await createTracking();
+        const recordId = await db.addTrackRecord(tracking.id, tracking.tracking_number, 'Zurich', { latitude: 47, longitude: 8, label: 'HB' });
+
+        const updated = await db.updateTrackRecord(tracking.tracking_number, recordId, { location: 'Zürich HB', accuracy: 5 });
+        assert.equal(updated.location, 'Zürich HB');
+        assert.equal(updated.accuracy, 5);
+        assert.equal(updated.latitude, 47);
+        assert.equal(updated.label, 'HB');
+
+        const [stored] = await db.getTrackRecords(tracking.tracking_number);
+        assert.equal(stored.location, 'Zürich HB');
+      });
+
+      it('clears optional fields set to null and keeps undefined ones', async () => {
+        const tracking = await createTracking();
+        const recordId = await db.addTrackRecord(tracking.id, tracking.tracking_number, 'Zurich', { latitude: 47, longitude: 8, accuracy: 5, label: 'HB' });
+        const [before] = await db.getTrackRecords(tracking.tracking_number);
+
+        const updated = await db.updateTrackRecord(tracking.tracking_number, recordId, {
+          latitude: null,
+          longitude: null,
+          accuracy: undefined,
+          label: null,
+          location: null,
+          timestamp: null
+        });
+        assert.equal(updated.latitude, null);
+        assert.equal(updated.longitude, null);
+        assert.equal(updated.accuracy, 5);
+        assert.equal(updated.label, null);
+        assert.equal(updated.location, 'Zurich');
+        assert.equal(iso(updated.timestamp), iso(before.timestamp));
+
+        const [stored] = await db.getTrackRecords(tracking.tracking_number);
+        assert.equal(stored.latitude, null);
+        assert.equal(stored.label, null);
+        assert.equal(stored.accuracy, 5);
+      });
+
+      it('returns null when updating or deleting an unknown record', async () => {
+        const tracking = await createTracking();
+        const other = await createTracking();
+        const recordId = await db.addTrackRecord(other.id, other.tracking_number, 'Elsewhere');
+
+        assert.equal(await db.updateTrackRecord(tracking.tracking_number, 'no-such-record', { location: 'X' }), null);
+        assert.equal(await db.updateTrackRecord(tracking.tracking_number, recordId, { location: 'X' }), null);
+        assert.equal(await db.deleteTrackRecord(tracking.tracking_number, 'no-such-record'), null);
+        assert.equal(await db.deleteTrackRecord(tracking.tracking_number, recordId), null);
+      });
+
+      it('deletes a record once', async () => {
+        const tracking = await createTracking();
+        const recordId = await db.addTrackRecord(tracking.id, tracking.tracking_number, 'Zurich');
+
+        const removed = await db.deleteTrackRecord(tracking.tracking_number, recordId);
+        assert.equal(String(removed.id), String(recordId));
+        assert.equal(removed.location, 'Zurich');
+        assert.deepEqual(await db.getTrackRecords(tracking.tracking_number), []);
+        assert.equal(await db.deleteTrackRecord(tracking.tracking_number, recordId), null);
+      });
+    });
+
+    describe('events and status history', () => {
+      it('appends events and returns them oldest first', async () => {
+        const tracking = await createTracking();
+        const first = await db.appendEvent(tracking.id, tracking.tracking_number, 'tracking-created', { destination: 'Home' });
+        await sleep(5);
+        await db.appendEvent(tracking.id, tracking.tracking_number, 'status-changed', { from: 'Preparing', to: 'In Transit' });
+        await db.appendEvent(tracking.id, tracking.tracking_number, 'tracking-archived');
+
+        assert.equal(first.type, 'tracking-created');
+        assert.deepEqual(first.data, { destination: 'Home' });
+        assert.ok(iso(first.created_at));
+
+        const events = await db.getEvents(tracking.tracking_number);
+        assert.deepEqual(events.map(event => event.type), ['tracking-created', 'status-changed', 'tracking-archived']);
+        assert.deepEqual(events[1].data, { from: 'Preparing', to: 'In Transit' });
+        assert.deepEqual(events[2].data, {});
+        assert.deepEqual(await db.getEvents(uniqueTrackingNumber()), []);
+      });
+
+      it('records status changes oldest first', async () => {
+        const tracking = await createTracking();
+        const entry = await db.addStatusHistory(tracking.id, tracking.tracking_number, 'Preparing', 'In Transit');
+        await sleep(5);
+        await db.addStatusHistory(tracking.id, tracking.tracking_number, 'In Transit', 'Delivered', 'Left at door', 1);
+
+        assert.equal(entry.from_status, 'Preparing');
+        assert.equal(entry.to_status, 'In Transit');
+        assert.equal(entry.note, null);
+        assert.equal(entry.forced, false);
+
+        const history = await db.getStatusHistory(tracking.tracking_number);
+        assert.deepEqual(history.map(item => item.to_status), ['In Transit', 'Delivered']);
+        assert.equal(history[1].note, 'Left at door');
+        assert.equal(history[1].forced, true);
+        assert.deepEqual(await db.getStatusHistory(uniqueTrackingNumber()), []);
+      });
+    });
+
+    describe('scheduled ETA rules', () => {
+      const PAST_ETA = '2020-01-01T12:00:00.000Z';
+
+      it('lists open trackings due by the cutoff', async () => {
+        const due = await createTracking({ eta: PAST_ETA });
+        const delivered = await createTracking({ eta: PAST_ETA });
+        const archived = await createTracking({ eta: PAST_ETA });
+        const later = await createTracking();
+        await db.updateStatus(delivered.tracking_number, 'Delivered');
+        await db.setArchived(archived.tracking_number, new Date().toISOString());
+
+        const found = (await db.getOpenTrackingsDueBy(new Date().toISOString())).map(tracking => tracking.tracking_number);
+        assert.ok(found.includes(due.tracking_number));
+        assert.ok(!found.includes(delivered.tracking_number));
+        assert.ok(!found.includes(archived.tracking_number));
+        assert.ok(!found.includes(later.tracking_number));
+
+        const listed = (await db.getOpenTrackingsDueBy(new Date().toISOString()))
+          .find(tracking => tracking.tracking_number === due.tracking_number);
+        assert.equal(listed.overdue_fired_eta, null);
+        assert.equal(listed.out_for_delivery_fired_eta, null);
+      });
+
+      it('fires a rule once per ETA', async () => {
+        const tracking = await createTracking({ eta: PAST_ETA });
+        const rule = { rule: 'overdue', eta: tracking.eta, fromStatus: 'Preparing', toStatus: 'Delayed' };
+
+        assert.equal(await db.applyEtaRule(tracking.tracking_number, rule), true);
+        let updated = await db.getTracking(tracking.tracking_number);
+        assert.equal(updated.status, 'Delayed');
+        assert.equal(iso(updated.overdue_fired_eta), PAST_ETA);
+        assert.equal(updated.out_for_delivery_fired_eta, null);
+
+        assert.equal(await db.applyEtaRule(tracking.tracking_number, { ...rule, fromStatus: 'Delayed' }), false);
+
+        // A new ETA re-arms the rule
+        const newEta = '2021-01-01T12:00:00.000Z';
+        await db.updateEta(tracking.tracking_number, newEta);
+        assert.equal(await db.applyEtaRule(tracking.tracking_number, { ...rule, eta: newEta, fromStatus: 'Delayed' }), true);
+        updated = await db.getTracking(tracking.tracking_number);
+        assert.equal(updated.status, 'Delayed');
+        assert.equal(iso(updated.overdue_fired_eta), newEta);
+      });
+
+      it('does not fire when the tracking changed meanwhile', async () => {
+        const tracking = await createTracking({ eta: PAST_ETA });
+        const rule = { rule: 'out-for-delivery', eta: tracking.eta, fromStatus: 'In Transit', toStatus: 'Out for Delivery' };
+
+        assert.equal(await db.applyEtaRule(tracking.tracking_number, rule), false);
+        await db.updateStatus(tracking.tracking_number, 'In Transit');
+        assert.equal(await db.applyEtaRule(tracking.tracking_number, { ...rule, eta: ETA }), false);
+        assert.equal(await db.applyEtaRule(uniqueTrackingNumber(), rule), false);
+
+        await db.setArchived(tracking.tracking_number, new Date().toISOString());
+        assert.equal(await db.applyEtaRule(tracking.tracking_number, rule), false);
+        await db.setArchived(tracking.tracking_number, null);
+        assert.equal(await db.applyEtaRule(tracking.tracking_number, rule), true);
+
+        const updated = await db.getTracking(tracking.tracking_number);
+        assert.equal(updated.status, 'Out for Delivery');
+        assert.equal(iso(updated.out_for_delivery_fired_eta), PAST_ETA);
+        assert.equal(updated.overdue_fired_eta, null);
+      });
+
+      it('rejects unknown rules', async () => {
+        const tracking = await createTracking({ eta: PAST_ETA });
+        await assert.rejects(async () => db.applyEtaRule(tracking.tracking_number, {
+          rule: 'unknown', eta: tracking.eta, fromStatus: 'Preparing', toStatus: 'Delayed'
+        }));
+      });
+    });
+
+    describe('transactions', () => {
+      it('commits what the callback wrote and returns its result', async () => {
+        const trackingNumber = uniqueTrackingNumber();
+        const result = await db.transaction(async () => {
+          await db.createTracking(trackingNumber, 'Provider', 'Home', ETA, 'secret-key');
+          await db.updateStatus(trackingNumber, 'In Transit');
+          return (await db.getTracking(trackingNumber)).status;
+        });
+
+        assert.equal(result, 'In Transit');
+        assert.equal((await db.getTracking(trackingNumber)).status, 'In Transit');
+      });
+
+      it('passes errors through', async () => {
+        await assert.rejects(async () => db.transaction(async () => {
+          throw new Error('boom');
+        }), /boom/);
+      });
+
+      it('rolls back when the callback throws', { skip: !backend.rollsBack && 'this backend cannot roll back' }, async () => {
+        const trackingNumber = uniqueTrackingNumber();
+        await assert.rejects(async () => db.transaction(async () => {
+          await db.createTracking(trackingNumber, 'Provider', 'Home', ETA, 'secret-key');
+          throw new Error('boom');
+        }), /boom/);
+
+        assert.equal(await db.getTracking(trackingNumber), null);
+      });
+
+      it('keeps records, events and status changes written together in order', async () => {
+        const tracking = await createTracking();
+        const locations = ['Zurich', 'Bern', 'Aarau', 'Basel', 'Olten'];
+        const types = ['status-changed', 'location-added', 'eta-changed', 'destination-changed', 'tracking-archived'];
+
+        await db.transaction(async () => {
+          for (const location of locations) {
+            await db.addTrackRecord(tracking.id, tracking.tracking_number, location);
+          }
+          for (const type of types) {
+            await db.appendEvent(tracking.id, tracking.tracking_number, type);
+          }
+          await db.addStatusHistory(tracking.id, tracking.tracking_number, 'Preparing', 'In Transit');
+          await db.addStatusHistory(tracking.id, tracking.tracking_number, 'In Transit', 'Delivered');
+        });
+
+        assert.deepEqual((await db.getTrackRecords(tracking.tracking_number)).map(record => record.location), locations);
+        assert.deepEqual((await db.getEvents(tracking.tracking_number)).map(event => event.type), types);
+        assert.deepEqual((await db.getStatusHistory(tracking.tracking_number)).map(item => item.to_status), ['In Transit', 'Delivered']);
+      });
+    });
+
+    describe('delegate keys', () => {
+      it('creates delegate keys and finds active ones by key', async () => {
+        const tracking = await createTracking();
+        const delegate = await db.createDelegateKey(tracking.id, tracking.tracking_number, { key: 'delegate-key', scopes: ['location', 'status'] });
+
+        assert.deepEqual(delegate.scopes, ['location', 'status']);
+        assert.equal(delegate.label, null);
+        assert.equal(delegate.expires_at, null);
+        assert.equal(delegate.revoked_at, null);
+        assert.notEqual(delegate.key_hash, 'delegate-key');
+
+        const found = await db.findDelegateKey(tracking.tracking_number, 'delegate-key');
+        assert.equal(String(found.id), String(delegate.id));
+        assert.equal(await db.findDelegateKey(tracking.tracking_number, 'other-key'), null);
+        assert.equal(await db.findDelegateKey(uniqueTrackingNumber(), 'delegate-key'), null);
+      });
+
+      it('ignores expired and revoked keys but still lists them', async () => {
+        const tracking = await createTracking();
+        await db.createDelegateKey(tracking.id, tracking.tracking_number, {
+          key: 'expired-key', label: 'Old', scopes: ['location'], expiresAt: '2000-01-01T00:00:00.000Z'
+        });
+        await sleep(5);
+        const revoked = await db.createDelegateKey(tracking.id, tracking.tracking_number, { key: 'revoked-key', scopes: ['location'] });
+
+        assert.equal(await db.revokeDelegateKey(tracking.tracking_number, revoked.id), true);
+        assert.equal(await db.revokeDelegateKey(tracking.tracking_number, revoked.id), false);
+        assert.equal(await db.revokeDelegateKey(tracking.tracking_number, 'no-such-delegate'), false);
+
+        assert.equal(await db.findDelegateKey(tracking.tracking_number, 'expired-key'), null);
+        assert.equal(await db.findDelegateKey(tracking.tracking_number, 'revoked-key'), null);
+
+        const delegates = await db.getDelegateKeys(tracking.tracking_number);
+        assert.deepEqual(delegates.map(item => item.label), ['Old', null]);
+        assert.ok(delegates[1].revoked_at);
+      });
+    });
+
+    describe('webhooks', () => {
+      const createWebhook = (tracking, overrides = {}) => db.createWebhook(tracking.id, tracking.tracking_number, {
+        url: 'https://example.com/hook',
+        secret: 'whsec_test',
+        events: ['status-change'],
+        ...overrides
+      });
+
+      it('creates, lists, updates and deletes webhooks', async () => {
+        const tracking = await createTracking();
+        const webhook = await createWebhook(tracking);
+
+        assert.equal(webhook.url, 'https://example.com/hook');
+        assert.equal(webhook.secret, 'whsec_test');
+        assert.deepEqual(webhook.events, ['status-change']);
+        assert.equal(webhook.active, true);
+
+        await sleep(5);
+        await createWebhook(tracking, { url: 'https://example.com/second', active: false });
+        const webhooks = await db.getWebhooks(tracking.tracking_number);
+        assert.deepEqual(webhooks.map(item => item.url), ['https://example.com/hook', 'https://example.com/second']);
+        assert.equal(webhooks[1].active, false);
+
+        const updated = await db.updateWebhook(tracking.tracking_number, webhook.id, { active: false, events: ['eta-change', 'status-change'] });
+        assert.equal(updated.active, false);
+        assert.deepEqual(updated.events, ['eta-change', 'status-change']);
+        assert.equal(updated.url, 'https://example.com/hook');
+        assert.equal(await db.updateWebhook(tracking.tracking_number, 'no-such-webhook', { active: true }), null);
+
+        const fetched = await db.getWebhook(tracking.tracking_number, webhook.id);
+        assert.equal(fetched.active, false);
+        assert.equal(await db.getWebhook(uniqueTrackingNumber(), webhook.id), null);
+
+        assert.equal(await db.deleteWebhook(tracking.tracking_number, webhook.id), true);
+        assert.equal(await db.deleteWebhook(tracking.tracking_number, webhook.id), false);
+        assert.equal((await db.getWebhooks(tracking.tracking_number)).length, 1);
+      });
+
+      it('claims due deliveries once and records attempts', async () => {
+        const tracking = await createTracking();
+        const webhook = await createWebhook(tracking);
+        const delivery = await db.createWebhookDelivery(tracking.tracking_number, {
+          webhookId: webhook.id, event: 'status-change', payload: { status: 'In Transit' }
+        });
+
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts, 0);
+        assert.deepEqual(delivery.payload, { status: 'In Transit' });
+
+        const leaseUntil = new Date(Date.now() + 60 * 1000).toISOString();
+        const ownClaims = (claimed) => claimed.filter(item => String(item.id) === String(delivery.id));
+        const claimed = ownClaims(await db.claimWebhookDeliveries(1000, leaseUntil));
+        assert.equal(claimed.length, 1);
+        assert.equal(claimed[0].tracking_number, tracking.tracking_number);
+        assert.equal(ownClaims(await db.claimWebhookDeliveries(1000, leaseUntil)).length, 0);
+
+        // A failed attempt due again right away is claimable again
+        assert.equal(await db.recordWebhookAttempt(tracking.tracking_number, delivery.id, {
+          status: 'pending', attempts: 1, nextAttemptAt: new Date(Date.now() - 1000).toISOString(), responseStatus: 500, error: 'HTTP 500'
+        }), true);
+        assert.equal(ownClaims(await db.claimWebhookDeliveries(1000, leaseUntil)).length, 1);
+
+        assert.equal(await db.recordWebhookAttempt(tracking.tracking_number, delivery.id, {
+          status: 'delivered', attempts: 2, responseStatus: 200
+        }), true);
+        assert.equal(await db.recordWebhookAttempt(tracking.tracking_number, 'no-such-delivery', {
+          status: 'delivered', attempts: 1
+        }), false);
+
+        const [logged] = await db.getWebhookDeliveries(tracking.tracking_number, webhook.id);
+        assert.equal(logged.status, 'delivered');
+        assert.equal(logged.attempts, 2);
+        assert.equal(logged.response_status, 200);
+        assert.equal(logged.last_error, null);
+        assert.ok(logged.delivered_at);
+        assert.ok(logged.last_attempt_at);
+      });
+
+      it('lists deliveries newest first and prunes only finished ones', async () => {
+        const tracking = await createTracking();
+        const webhook = await createWebhook(tracking);
+        const deliveries = [];
+        for (const event of ['status-change', 'eta-change', 'destination-change']) {
+          deliveries.push(await db.createWebhookDelivery(tracking.tracking_number, { webhookId: webhook.id, event, payload: {} }));
+          await sleep(5);
+        }
+        await db.recordWebhookAttempt(tracking.tracking_number, deliveries[0].id, { status: 'failed', attempts: 8, error: 'HTTP 500' });
+        await db.recordWebhookAttempt(tracking.tracking_number, deliveries[1].id, { status: 'delivered', attempts: 1, responseStatus: 204 });
+
+        const listed = await db.getWebhookDeliveries(tracking.tracking_number, webhook.id);
+        assert.deepEqual(listed.map(item => item.event), ['destination-change', 'eta-change', 'status-change']);
+        assert.equal((await db.getWebhookDeliveries(tracking.tracking_number, webhook.id, 1)).length, 1);
+
+        assert.equal(await db.pruneWebhookDeliveries(tracking.tracking_number, webhook.id, 1), 1);
+        const remaining = await db.getWebhookDeliveries(tracking.tracking_number, webhook.id);
+        assert.deepEqual(remaining.map(item => item.event), ['destination-change', 'eta-change']);
+        assert.equal(await db.pruneWebhookDeliveries(tracking.tracking_number, webhook.id, 1), 0);
+
+        // Deleting the webhook drops its deliveries
+        await db.deleteWebhook(tracking.tracking_number, webhook.id);
+        assert.deepEqual(await db.getWebhookDeliveries(tracking.tracking_number, webhook.id), []);
+      });
+    });
+
+    describe('subscriptions', () => {
+      const pushSubscription = { endpoint: 'https://push.example.com/abc', keys: { p256dh: 'p256dh-key', auth: 'auth-secret' } };
+
+      it('creates email and push subscriptions and finds them by token', async () => {
+        const tracking = await createTracking();
+        const token = randomUUID();
+        const email = await db.createSubscription(tracking.id, tracking.tracking_number, {
+          channel: 'email', email: 'viewer@example.com', events: ['delivered'], token, confirmed: false
+        });
+        await sleep(5);
+        const push = await db.createSubscription(tracking.id, tracking.tracking_number, {
+          channel: 'push', pushSubscription, events: ['delivered', 'eta-change'], token: randomUUID(), confirmed: true
+        });
+
+        assert.equal(email.channel, 'email');
+        assert.equal(email.email, 'viewer@example.com');
+        assert.equal(email.push_subscription, null);
+        assert.equal(email.confirmed_at, null);
+        assert.deepEqual(push.push_subscription, pushSubscription);
+        assert.ok(push.confirmed_at);
+
+        const subscriptions = await db.getSubscriptions(tracking.tracking_number);
+        assert.deepEqual(subscriptions.map(item => item.channel), ['email', 'push']);
+        assert.deepEqual(subscriptions[1].events, ['delivered', 'eta-change']);
+
+        const found = await db.getSubscriptionByToken(token);
+        assert.equal(String(found.id), String(email.id));
+        assert.equal(found.tracking_number, tracking.tracking_number);
+        assert.equal(await db.getSubscriptionByToken(randomUUID()), null);
+      });
+
+      it('confirms and deletes subscriptions', async () => {
+        const tracking = await createTracking();
+        const subscription = await db.createSubscription(tracking.id, tracking.tracking_number, {
+          channel: 'email', email: 'viewer@example.com', events: ['delayed'], token: randomUUID(), confirmed: false
+        });
+
+        assert.equal(await db.confirmSubscription(tracking.tracking_number, subscription.id), true);
+        const [confirmed] = await db.getSubscriptions(tracking.tracking_number);
+        assert.ok(confirmed.confirmed_at);
+
+        // Confirming again keeps the first confirmation
+        await sleep(5);
+        assert.equal(await db.confirmSubscription(tracking.tracking_number, subscription.id), true);
+        assert.equal(iso((await db.getSubscriptions(tracking.tracking_number))[0].confirmed_at), iso(confirmed.confirmed_at));
+        assert.equal(await db.confirmSubscription(tracking.tracking_number, 'no-such-subscription'), false);
+
+        assert.equal(await db.deleteSubscription(tracking.tracking_number, subscription.id), true);
+        assert.equal(await db.deleteSubscription(tracking.tracking_number, subscription.id), false);
+        assert.deepEqual(await db.getSubscriptions(tracking.tracking_number), []);
+      });
+    });
+
+    describe('users and sessions', () => {
+      it('creates users with unique emails', async () => {
+        const email = uniqueEmail();
+        const user = await db.createUser(email, 'password-hash', 'Kim');
+
+        assert.equal(user.email, email);
+        assert.equal(user.password_hash, 'password-hash');
+        assert.equal(user.display_name, 'Kim');
+        assert.equal(await db.createUser(email, 'other-hash'), null);
+
+        assert.equal(String((await db.getUserByEmail(email)).id), String(user.id));
+        assert.equal((await db.getUserById(user.id)).email, email);
+        assert.equal(await db.getUserByEmail(uniqueEmail()), null);
+      });
+
+      it('defaults the display name to null', async () => {
+        const user = await db.createUser(uniqueEmail(), 'password-hash');
+        assert.equal(user.display_name, null);
+      });
+
+      it('creates, reads and deletes sessions', async () => {
+        const user = await db.createUser(uniqueEmail(), 'password-hash');
+        const tokenHash = randomUUID();
+        const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+        const session = await db.createSession(user.id, tokenHash, expiresAt);
+        assert.equal(session.token_hash, tokenHash);
+        assert.equal(iso(session.expires_at), expiresAt);
+
+        const found = await db.getSession(tokenHash);
+        assert.equal(String(found.user_id), String(user.id));
+
+        assert.equal(await db.deleteSession(tokenHash), true);
+        assert.equal(await db.getSession(tokenHash), null);
+        assert.equal(await db.deleteSession(tokenHash), false);
+      });
+
+      it('does not return expired sessions', async () => {
+        const user = await db.createUser(uniqueEmail(), 'password-hash');
+        const tokenHash = randomUUID();
+        await db.createSession(user.id, tokenHash, new Date(Date.now() - 1000).toISOString());
+        assert.equal(await db.getSession(tokenHash), null);
+      });
+
+      it('lists owned trackings newest first', async () => {
+        const user = await db.createUser(uniqueEmail(), 'password-hash');
+        const older = await createTracking();
+        await sleep(5);
+        const newer = await createTracking();
+        await createTracking();
+
+        assert.equal(await db.setTrackingOwner(older.tracking_number, user.id), true);
+        assert.equal(await db.setTrackingOwner(newer.tracking_number, user.id), true);
+        assert.equal(await db.setTrackingOwner(uniqueTrackingNumber(), user.id), false);
+
+        const owned = await db.getTrackingsByOwner(user.id);
+        assert.deepEqual(owned.map(tracking => tracking.tracking_number), [newer.tracking_number, older.tracking_number]);
+        assert.equal(String(owned[0].owner_user_id), String(user.id));
+      });
+    });
+
+    describe('deletion and retention', () => {
+      it('deletes a tracking with everything stored for it', async () => {
+        const tracking = await createTracking();
+        await db.addTrackRecord(tracking.id, tracking.tracking_number, 'Zurich');
+        await db.appendEvent(tracking.id, tracking.tracking_number, 'tracking-created', {});
+        await db.addStatusHistory(tracking.id, tracking.tracking_number, 'Preparing', 'In Transit');
+        await db.createDelegateKey(tracking.id, tracking.tracking_number, { key: 'delegate-key', scopes: ['location'] });
+        const webhook = await db.createWebhook(tracking.id, tracking.tracking_number, {
+          url: 'https://example.com/hook', secret: 'whsec_test', events: ['status-change']
+        });
+        await db.createWebhookDelivery(tracking.tracking_number, { webhookId: webhook.id, event: 'status-change', payload: {} });
+        await db.createSubscription(tracking.id, tracking.tracking_number, {
+          channel: 'email', email: 'viewer@example.com', events: ['delivered'], token: randomUUID(), confirmed: true
+        });
+
+        assert.equal(await db.deleteTracking(tracking.tracking_number), true);
+        assert.equal(await db.getTracking(tracking.tracking_number), null);
+        assert.deepEqual(await db.getTrackRecords(tracking.tracking_number), []);
+        assert.deepEqual(await db.getEvents(tracking.tracking_number), []);
+        assert.deepEqual(await db.getStatusHistory(tracking.tracking_number), []);
+        assert.deepEqual(await db.getDelegateKeys(tracking.tracking_number), []);
+        assert.deepEqual(await db.getWebhooks(tracking.tracking_number), []);
+        assert.deepEqual(await db.getWebhookDeliveries(tracking.tracking_number, webhook.id), []);
+        assert.deepEqual(await db.getSubscriptions(tracking.tracking_number), []);
+        assert.equal(await db.deleteTracking(tracking.tracking_number), false);
+      });
+
+      it('purges delivered and archived trackings idle since the cutoff', async () => {
+        const delivered = await createTracking();
+        const archived = await createTracking();
+        const active = await createTracking();
+        await db.updateStatus(delivered.tracking_number, 'Delivered');
+        await db.setArchived(archived.tracking_number, new Date().toISOString());
+        await db.addTrackRecord(delivered.id, delivered.tracking_number, 'Zurich');
+
+        // A cutoff before the last update keeps them
+        const kept = await db.purgeClosedTrackings(new Date(Date.now() - 60 * 1000).toISOString());
+        assert.ok(!kept.includes(delivered.tracking_number));
+        assert.ok(await db.getTracking(delivered.tracking_number));
+
+        const purged = await db.purgeClosedTrackings(new Date(Date.now() + 60 * 1000).toISOString());
+        assert.ok(purged.includes(delivered.tracking_number));
+        assert.ok(purged.includes(archived.tracking_number));
+        assert.ok(!purged.includes(active.tracking_number));
+
+        assert.equal(await db.getTracking(delivered.tracking_number), null);
+        assert.equal(await db.getTracking(archived.tracking_number), null);
+        assert.deepEqual(await db.getTrackRecords(delivered.tracking_number), []);
+        assert.ok(await db.getTracking(active.tracking_number));
+      });
+    });
+  });
+});
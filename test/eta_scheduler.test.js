@@ -0,0 +1,76 @@
+// eta_scheduler.test.js
+// ETA rules fire once per ETA, however often or concurrently the scheduler ticks
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ETA_OVERDUE_GRACE_MINUTES = '0';
+process.env.ETA_OUT_FOR_DELIVERY_MINUTES = '60';
+const db = require('../database_memory');
+const { createEtaScheduler } = require('../eta_scheduler');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+describe('eta scheduler', () => {
+  let broadcasts;
+  let scheduler;
+
+  beforeEach(() => {
+    db.reset();
+    broadcasts = [];
+    scheduler = createEtaScheduler({
+      db,
+      broadcast: (trackingNumber, eventType, data) => broadcasts.push({ trackingNumber, eventType, data })
+    });
+  });
+
+  const eventTypes = () => broadcasts.map(broadcast => broadcast.eventType);
+
+  it('marks an overdue tracking as delayed once', async () => {
+    db.createTracking('KISSLATE', 'Alice', 'Paris', minutesFromNow(-5), 'key');
+
+    assert.equal(await scheduler.tick(), 1);
+    assert.equal(await scheduler.tick(), 0);
+
+    assert.equal(db.getTracking('KISSLATE').status, 'Delayed');
+    assert.equal(db.getStatusHistory('KISSLATE').length, 1);
+    assert.deepEqual(eventTypes(), ['status-change', 'eta-overdue']);
+  });
+
+  it('fires once when ticks run at the same time', async () => {
+    db.createTracking('KISSLATE', 'Alice', 'Paris', minutesFromNow(-5), 'key');
+
+    const fired = await Promise.all([scheduler.tick(), scheduler.tick(), scheduler.tick()]);
+
+    assert.equal(fired.reduce((sum, count) => sum + count, 0), 1);
+    assert.equal(db.getStatusHistory('KISSLATE').length, 1);
+  });
+
+  it('fires again after the ETA changes', async () => {
+    db.createTracking('KISSLATE', 'Alice', 'Paris', minutesFromNow(-5), 'key');
+    await scheduler.tick();
+
+    db.updateEta('KISSLATE', minutesFromNow(-1));
+    assert.equal(await scheduler.tick(), 1);
+    assert.equal(await scheduler.tick(), 0);
+    assert.deepEqual(eventTypes(), ['status-change', 'eta-overdue', 'eta-overdue']);
+  });
+
+  it('moves an in-transit tracking out for delivery once its ETA is close', async () => {
+    db.createTracking('KISSSOON', 'Alice', 'Paris', minutesFromNow(30), 'key');
+    db.updateStatus('KISSSOON', 'In Transit');
+
+    assert.equal(await scheduler.tick(), 1);
+    assert.equal(await scheduler.tick(), 0);
+    assert.equal(db.getTracking('KISSSOON').status, 'Out for Delivery');
+  });
+
+  it('leaves trackings alone before their ETA, and delivered ones', async () => {
+    db.createTracking('KISSLATER', 'Alice', 'Paris', minutesFromNow(120), 'key');
+    db.createTracking('KISSDONE', 'Alice', 'Paris', minutesFromNow(-5), 'key');
+    db.updateStatus('KISSDONE', 'Delivered');
+
+    assert.equal(await scheduler.tick(), 0);
+    assert.equal(db.getTracking('KISSLATER').status, 'Preparing');
+    assert.deepEqual(broadcasts, []);
+  });
+});
@@ -0,0 +1,58 @@
+// journey_export.test.js
+// iCalendar export: long and multi-byte lines are folded the way RFC 5545 requires
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS } = require('../journey_export');
+
+const tracking = {
+  tracking_number: 'KISS123456',
+  kiss_provider: '😘'.repeat(30),
+  destination: 'The little café at the end of the long, winding road past the old harbour lighthouse, Saint-Malo',
+  destination_latitude: null,
+  destination_longitude: null,
+  status: 'In Transit',
+  eta: '2030-01-01T12:00:00.000Z',
+  updated_at: '2029-12-31T12:00:00.000Z'
+};
+
+const render = () => EXPORT_FORMATS.ics.render({
+  tracking,
+  records: [],
+  events: [],
+  shareLink: 'https://kiss.example/track/KISS123456?passcode=0123456789abcdef0123456789abcdef'
+});
+
+// Join folded lines back together (RFC 5545 section 3.1)
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('ics export', () => {
+  it('ends every line with CRLF', () => {
+    const ics = render();
+    assert.ok(ics.endsWith('\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics));
+  });
+
+  it('keeps every line within 75 octets', () => {
+    for (const line of render().split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`);
+    }
+  });
+
+  it('folds without splitting a multi-byte character', () => {
+    const lines = render().split('\r\n');
+    assert.ok(lines.some(line => line.startsWith(' ')), 'expected folded lines');
+    for (const line of lines) {
+      assert.equal(Buffer.from(line).toString('utf8'), line);
+      assert.ok(!line.includes('�'));
+      assert.ok(!/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/.test(line), `split surrogate pair: ${line}`);
+    }
+  });
+
+  it('unfolds back to the full properties', () => {
+    const lines = unfold(render()).split('\r\n');
+    assert.ok(lines.includes(`SUMMARY:💋 Kiss from ${tracking.kiss_provider} arrives`));
+    assert.ok(lines.includes(`LOCATION:${tracking.destination.replace(/,/g, '\\,')}`));
+    assert.ok(lines.some(line => line.startsWith('DESCRIPTION:') && line.includes('\\nStatus: In Transit\\n')));
+    assert.ok(lines.includes('URL:https://kiss.example/track/KISS123456?passcode=0123456789abcdef0123456789abcdef'));
+  });
+});
@@ -0,0 +1,48 @@
+// json_store.test.js
+// Flushing and write-failure recovery of the JSON backend's file store
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../json_store');
+
+describe('json store', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiss-tracker-store-'));
+    filePath = path.join(dir, 'data.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readFromDisk = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  it('writes changes to disk on flush', async () => {
+    const store = createJsonStore({ flushIntervalMs: 60 * 1000 });
+    store.load(filePath);
+    store.write(filePath, { a: 1 });
+    assert.deepEqual(readFromDisk(), {});
+
+    await store.flush();
+    assert.deepEqual(readFromDisk(), { a: 1 });
+  });
+
+  it('retries a failed write without another change', async () => {
+    const store = createJsonStore({ flushIntervalMs: 0 });
+    store.load(filePath);
+
+    // The temp file cannot be created while the directory is gone
+    fs.rmSync(dir, { recursive: true, force: true });
+    store.write(filePath, { a: 1 });
+    await store.flush();
+
+    fs.mkdirSync(dir);
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.deepEqual(readFromDisk(), { a: 1 });
+  });
+});
@@ -0,0 +1,148 @@
+// server.test.js
+// Smoke test driving the HTTP routes end to end against in-memory storage
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_MODE = 'memory';
+const { app } = require('../server');
+
+const ETA = '2030-01-01T12:00:00.000Z';
+
+describe('server', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const createTracking = async () => {
+    const { status, body } = await request('POST', '/api/tracking', {
+      kissProvider: 'Alice',
+      destination: 'Paris',
+      eta: ETA
+    });
+    assert.equal(status, 201);
+    return { trackingNumber: body.trackingNumber, updateKey: new URL(body.updateLink).searchParams.get('key') };
+  };
+
+  it('is ready with the memory backend', async () => {
+    const { status, body } = await request('GET', '/ready');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.database.type, 'memory');
+  });
+
+  it('creates a tracking and serves it to viewers', async () => {
+    const { trackingNumber } = await createTracking();
+
+    const { status, body } = await request('GET', `/api/tracking/${trackingNumber}`);
+    assert.equal(status, 200);
+    assert.equal(body.trackingNumber, trackingNumber);
+    assert.equal(body.kissProvider, 'Alice');
+    assert.equal(body.destination, 'Paris');
+  });
+
+  it('adds location updates with the update key only', async () => {
+    const { trackingNumber, updateKey } = await createTracking();
+
+    const rejected = await request('POST', `/api/tracking/${trackingNumber}/location?key=wrong`, { location: 'Lyon' });
+    assert.equal(rejected.status, 403);
+    assert.equal(rejected.body.code, 'INVALID_UPDATE_KEY');
+
+    const accepted = await request('POST', `/api/tracking/${trackingNumber}/location?key=${updateKey}`, { location: 'Lyon' });
+    assert.equal(accepted.status, 200);
+
+    const { body } = await request('GET', `/api/tracking/${trackingNumber}`);
+    assert.ok(body.trackRecords.some(record => record.location === 'Lyon'));
+  });
+
+  it('rejects invalid bodies with validation details', async () => {
+    const { status, body } = await request('POST', '/api/tracking', { kissProvider: 'Alice' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+  });
+
+  it('applies nothing of an atomic bulk update when an entry has a bad key', async () => {
+    const first = await createTracking();
+    const second = await createTracking();
+
+    const { status, body } = await request('POST', '/api/tracking/bulk-update', {
+      atomic: true,
+      updates: [
+        { trackingNumber: first.trackingNumber, updateKey: first.updateKey, status: 'In Transit', location: { location: 'Lyon' } },
+        { trackingNumber: second.trackingNumber, updateKey: 'wrong', status: 'In Transit' }
+      ]
+    });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'BULK_UPDATE_FAILED');
+    assert.deepEqual(body.results.map(result => result.code), ['NOT_APPLIED', 'INVALID_UPDATE_KEY']);
+
+    const tracking = await request('GET', `/api/tracking/${first.trackingNumber}`);
+    assert.equal(tracking.body.status, 'Preparing');
+    assert.equal(tracking.body.trackRecords.length, 0);
+  });
+
+  it('applies nothing of an atomic bulk update when a transition is not allowed', async () => {
+    const first = await createTracking();
+    const second = await createTracking();
+
+    const { status, body } = await request('POST', '/api/tracking/bulk-update', {
+      atomic: true,
+      updates: [
+        { trackingNumber: first.trackingNumber, updateKey: first.updateKey, status: 'In Transit' },
+        { trackingNumber: second.trackingNumber, updateKey: second.updateKey, status: 'Delivered' }
+      ]
+    });
+    assert.equal(status, 409);
+    assert.equal(body.results[1].code, 'INVALID_TRANSITION');
+
+    const tracking = await request('GET', `/api/tracking/${first.trackingNumber}`);
+    assert.equal(tracking.body.status, 'Preparing');
+  });
+
+  it('applies the valid entries of a non-atomic bulk update', async () => {
+    const first = await createTracking();
+    const second = await createTracking();
+
+    const { status, body } = await request('POST', '/api/tracking/bulk-update', {
+      updates: [
+        { trackingNumber: first.trackingNumber, updateKey: first.updateKey, status: 'In Transit' },
+        { trackingNumber: second.trackingNumber, updateKey: second.updateKey, status: 'Delivered' }
+      ]
+    });
+    assert.equal(status, 200);
+    assert.equal(body.updated, 1);
+    assert.deepEqual(body.results[0].applied, ['status']);
+    assert.equal(body.results[1].code, 'INVALID_TRANSITION');
+
+    const tracking = await request('GET', `/api/tracking/${first.trackingNumber}`);
+    assert.equal(tracking.body.status, 'In Transit');
+  });
+
+  it('answers 404 for unknown trackings and routes', async () => {
+    const tracking = await request('GET', '/api/tracking/NOPE0000');
+    assert.equal(tracking.status, 404);
+    assert.equal(tracking.body.code, 'TRACKING_NOT_FOUND');
+
+    const route = await request('GET', '/api/nothing-here');
+    assert.equal(route.status, 404);
+    assert.equal(route.body.code, 'ROUTE_NOT_FOUND');
+  });
+});
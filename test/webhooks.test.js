@@ -0,0 +1,53 @@
+// webhooks.test.js
+// Webhook signatures and the private network check for user-supplied URLs
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+const { signPayload, assertAllowedDestination, generateWebhookSecret } = require('../webhooks');
+
+describe('signPayload', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256 as t=<timestamp>,v1=<hex>', () => {
+    const body = JSON.stringify({ event: 'status.changed' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    assert.equal(signPayload('secret', 1700000000, body), `t=1700000000,v1=${expected}`);
+  });
+
+  it('changes with the secret, the timestamp and the body', () => {
+    const signature = signPayload('secret', 1700000000, '{}');
+    assert.notEqual(signPayload('other', 1700000000, '{}'), signature);
+    assert.notEqual(signPayload('secret', 1700000001, '{}'), signature);
+    assert.notEqual(signPayload('secret', 1700000000, '{ }'), signature);
+  });
+
+  it('generates distinct secrets', () => {
+    assert.notEqual(generateWebhookSecret(), generateWebhookSecret());
+  });
+});
+
+describe('assertAllowedDestination', () => {
+  const blocked = [
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://192.168.0.1/hook',
+    'http://224.0.0.1/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook',
+    'http://[64:ff9b::a00:1]/hook'
+  ];
+
+  for (const url of blocked) {
+    it(`refuses ${url}`, async () => {
+      await assert.rejects(assertAllowedDestination(url), error => error.blocked === true);
+    });
+  }
+
+  it('allows public addresses', async () => {
+    await assertAllowedDestination('https://8.8.8.8/hook');
+    await assertAllowedDestination('https://[2606:4700::1111]/hook');
+  });
+});
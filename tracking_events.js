@@ -0,0 +1,40 @@
+// tracking_events.js
+// Types and API formatting for the append-only per-tracking event log
+
+const EVENT_TYPES = {
+  TRACKING_CREATED: 'tracking-created',
+  LOCATION_ADDED: 'location-added',
+  LOCATION_EDITED: 'location-edited',
+  LOCATION_REMOVED: 'location-removed',
+  STATUS_CHANGED: 'status-changed',
+  ETA_CHANGED: 'eta-changed',
+  DESTINATION_CHANGED: 'destination-changed',
+  TRACKING_ARCHIVED: 'tracking-archived',
+  TRACKING_UNARCHIVED: 'tracking-unarchived'
+};
+
+// Postgres returns JSONB already parsed, older JSON rows may hold a string
+const parseEventData = (data) => {
+  if (!data) return {};
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch (err) {
+      return {};
+    }
+  }
+  return data;
+};
+
+// Shape of a timeline entry in API responses
+const formatEvent = (event) => ({
+  id: event.id,
+  type: event.type,
+  timestamp: event.created_at,
+  details: parseEventData(event.data)
+});
+
+module.exports = {
+  EVENT_TYPES,
+  formatEvent
+};
@@ -0,0 +1,145 @@
+// transfer.js
+// Move data between the JSON and PostgreSQL backends through a portable export file (see data_transfer.js)
+// Usage:
+//   npm run transfer -- export <file> [--from json|postgres]
+//   npm run transfer -- import <file> [--to json|postgres] [--dry-run]
+//   npm run transfer -- copy --from json --to postgres [--dry-run]
+// The backend defaults to postgres when DATABASE_URL is set, json otherwise. Both ends are migrated to the
+// current schema first, as on server startup; a dry run only lists the pending migrations.
+// Stop the server before touching the JSON data directory.
+require('dotenv').config();
+const fs = require('fs');
+const { describe, postgresStatus, migratePostgres, jsonStatus, migrateJson, jsonAccess } = require('./migrations');
+const { assertExport, exportFromJson, exportFromPostgres, importData, jsonTarget, postgresTarget } = require('./data_transfer');
+
+const BACKENDS = ['json', 'postgres'];
+const DEFAULT_BACKEND = process.env.DATABASE_URL ? 'postgres' : 'json';
+
+const args = process.argv.slice(2);
+const positional = args.filter((arg, index) => !arg.startsWith('--') && !['--from', '--to'].includes(args[index - 1]));
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+const [command, file] = positional;
+const dryRun = args.includes('--dry-run');
+
+const openBackend = (type) => {
+  if (type === 'postgres') {
+    const { _pool: pool } = require('./database_pg');
+    return {
+      type,
+      migrate: () => migratePostgres(pool),
+      pendingMigrations: async () => (await postgresStatus(pool)).pending.map(describe),
+      exportData: () => exportFromPostgres(pool),
+      target: () => postgresTarget(pool),
+      close: () => pool.end()
+    };
+  }
+
+  const { DATA_DIR: dataDir, createJsonStore } = require('./json_store');
+  const store = createJsonStore({ flushIntervalMs: 0 });
+  return {
+    type,
+    migrate: async () => {
+      fs.mkdirSync(dataDir, { recursive: true });
+      migrateJson({ store, dataDir });
+    },
+    pendingMigrations: async () => {
+      fs.mkdirSync(dataDir, { recursive: true });
+      return jsonStatus({ store, dataDir }).pending.map(describe);
+    },
+    exportData: async () => exportFromJson(jsonAccess(store, dataDir)),
+    target: async () => jsonTarget(jsonAccess(store, dataDir)),
+    close: async () => store.flushSync()
+  };
+};
+
+const backendOption = (name, fallback) => {
+  const type = option(name) || fallback;
+  if (!BACKENDS.includes(type)) {
+    throw new Error(`${name} must be one of: ${BACKENDS.join(', ')}`);
+  }
+  return type;
+};
+
+const summarizeExport = (data) => {
+  const count = (group) => data.trackings.reduce((total, tracking) => total + (tracking[group] || []).length, 0);
+  return `${data.trackings.length} trackings, ${count('records')} records, ${count('statusHistory')} status changes, ` +
+    `${count('events')} events, ${count('delegateKeys')} delegate keys, ${count('webhooks')} webhooks, ${count('subscriptions')} subscriptions, ` +
+    `${data.users.length} users, ${data.sessions.length} sessions`;
+};
+
+const printReport = (report) => {
+  console.log(`${report.dryRun ? '🔎 Dry run, nothing was written' : '✅ Import complete'} (${report.source} → ${report.target})`);
+  console.log(`  Trackings: ${report.trackings.imported} imported, ${report.trackings.skipped.length} skipped (tracking number exists)`);
+  report.trackings.skipped.forEach(trackingNumber => console.log(`    - ${trackingNumber}`));
+  console.log(`  Records: ${report.records}, status changes: ${report.statusHistory}, events: ${report.events}, delegate keys: ${report.delegateKeys}, webhooks: ${report.webhooks}, subscriptions: ${report.subscriptions}`);
+  console.log(`  Users: ${report.users.imported} imported, ${report.users.merged.length} merged into existing accounts`);
+  report.users.merged.forEach(email => console.log(`    - ${email}`));
+  console.log(`  Sessions: ${report.sessions.imported} imported, ${report.sessions.skipped} skipped`);
+};
+
+// Migrate a backend to the current schema; a dry run leaves it alone and reports what would be applied
+const prepare = async (backend) => {
+  if (!dryRun) return backend.migrate();
+
+  const pending = await backend.pendingMigrations();
+  if (pending.length > 0) {
+    console.log(`🔎 Dry run, ${backend.type} migrations not applied: ${pending.join(', ')}`);
+  }
+};
+
+const runImport = async (data, to) => {
+  const target = openBackend(to);
+  try {
+    await prepare(target);
+    printReport(await importData(await target.target(), data, { dryRun }));
+  } finally {
+    await target.close();
+  }
+};
+
+const runExport = async (from) => {
+  const source = openBackend(from);
+  try {
+    await prepare(source);
+    return await source.exportData();
+  } finally {
+    await source.close();
+  }
+};
+
+const main = async () => {
+  if (command === 'export') {
+    if (!file) throw new Error('Usage: transfer export <file> [--from json|postgres]');
+    const data = await runExport(backendOption('--from', DEFAULT_BACKEND));
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    console.log(`✅ Exported ${summarizeExport(data)} to ${file}`);
+  } else if (command === 'import') {
+    if (!file) throw new Error('Usage: transfer import <file> [--to json|postgres] [--dry-run]');
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+    assertExport(data);
+    console.log(`📦 ${file}: ${summarizeExport(data)}`);
+    await runImport(data, backendOption('--to', DEFAULT_BACKEND));
+  } else if (command === 'copy') {
+    const from = backendOption('--from');
+    const to = backendOption('--to');
+    if (from === to) throw new Error('--from and --to must differ');
+    const data = await runExport(from);
+    console.log(`📦 ${from}: ${summarizeExport(data)}`);
+    await runImport(data, to);
+  } else {
+    throw new Error('Usage: transfer export|import|copy (see transfer.js)');
+  }
+};
+
+main().catch(err => {
+  console.error('❌ Transfer failed:', err.message);
+  process.exit(1);
+});
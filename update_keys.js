@@ -0,0 +1,56 @@
+// update_keys.js
+// Generation, salted hashing and constant-time verification of tracking update keys
+// Stored format: sha256$<salt hex>$<digest hex>; anything else is a legacy plaintext key
+
+const crypto = require('crypto');
+
+const HASH_PREFIX = 'sha256$';
+
+// Permissions a delegate key can be limited to; the creator's key holds all of them plus 'manage'
+const SCOPES = ['location', 'status', 'eta', 'destination'];
+const OWNER_SCOPES = [...SCOPES, 'manage'];
+
+// 128 bits of randomness, URL-safe
+const generateUpdateKey = () => crypto.randomBytes(16).toString('hex');
+
+const digest = (salt, key) => crypto.createHash('sha256').update(`${salt}:${key}`).digest('hex');
+
+const hashUpdateKey = (key) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${HASH_PREFIX}${salt}$${digest(salt, key)}`;
+};
+
+const isHashedKey = (stored) => typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+
+// Compare equal-length buffers without leaking timing; unequal lengths still cost one comparison
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  if (bufferA.length !== bufferB.length) {
+    crypto.timingSafeEqual(bufferA, bufferA);
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const verifyUpdateKeyHash = (stored, providedKey) => {
+  if (!stored || typeof providedKey !== 'string' || providedKey.length === 0) return false;
+
+  if (!isHashedKey(stored)) {
+    // Rows created before keys were hashed
+    return safeEqual(stored, providedKey);
+  }
+
+  const [, salt, expected] = stored.split('$');
+  return safeEqual(expected, digest(salt, providedKey));
+};
+
+module.exports = {
+  SCOPES,
+  OWNER_SCOPES,
+  generateUpdateKey,
+  hashUpdateKey,
+  isHashedKey,
+  safeEqual,
+  verifyUpdateKeyHash
+};
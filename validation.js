@@ -0,0 +1,206 @@
+// validation.js
+// Declarative request schemas and the middleware enforcing them
+// A schema is { fields: { name: rule }, check?: (values) => [detail] } where a rule is
+// { type, required, default, nullable, trim, lowercase, minLength, maxLength, pattern, oneOf, min, max, future, past, items, minItems, maxItems, fields }
+// Types: string, number, integer, boolean, datetime, array, object
+// Failures are reported as details { field, code, message } with the FIELD_ERRORS codes
+const { ERROR_CODES, sendError } = require('./api_errors');
+
+const FIELD_ERRORS = {
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  TOO_SHORT: 'TOO_SHORT',
+  TOO_LONG: 'TOO_LONG',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_CHOICE: 'INVALID_CHOICE',
+  NOT_IN_FUTURE: 'NOT_IN_FUTURE',
+  FUTURE_NOT_ALLOWED: 'FUTURE_NOT_ALLOWED',
+  TOO_FEW_ITEMS: 'TOO_FEW_ITEMS',
+  TOO_MANY_ITEMS: 'TOO_MANY_ITEMS',
+  CONFLICT: 'CONFLICT'
+};
+
+const detail = (field, code, message) => ({ field, code, message });
+
+const isBlank = (value) => value === undefined || value === null
+  || (typeof value === 'string' && value.trim() === '');
+
+// Checks one value against its rule
+// Returns { value } with the normalized value or { details } describing what is wrong
+function checkValue(field, rule, raw) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof raw !== 'string') {
+        return { details: [detail(field, FIELD_ERRORS.INVALID_TYPE, `${field} must be a string`)] };
+      }
+      let value = rule.trim === false ? raw : raw.trim();
+      if (rule.lowercase) value = value.toLowerCase();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { details: [detail(field, FIELD_ERRORS.TOO_SHORT, `${field} must be at least ${rule.minLength} characters`)] };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { details: [detail(field, FIELD_ERRORS.TOO_LONG, `${field} must be at most ${rule.maxLength} characters`)] };
+      }
+      if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return { details: [detail(field, FIELD_ERRORS.INVALID_CHOICE, `${field} must be one of: ${rule.oneOf.join(', ')}`)] };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { details: [detail(field, FIELD_ERRORS.INVALID_FORMAT, `${field} ${rule.patternMessage || 'has an invalid format'}`)] };
+      }
+      return { value };
+    }
+
+    case 'number':
+    case 'integer': {
+      // Numeric strings are accepted since query strings and form posts carry no types
+      const value = typeof raw === 'string' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return { details: [detail(field, FIELD_ERRORS.INVALID_TYPE, `${field} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`)] };
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        const range = rule.max === undefined ? `at least ${rule.min}` : `between ${rule.min} and ${rule.max}`;
+        return { details: [detail(field, FIELD_ERRORS.OUT_OF_RANGE, `${field} must be ${range}`)] };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { details: [detail(field, FIELD_ERRORS.INVALID_TYPE, `${field} must be true or false`)] };
+    }
+
+    case 'datetime': {
+      const date = typeof raw === 'string' || typeof raw === 'number' ? new Date(raw) : null;
+      if (!date || isNaN(date.getTime())) {
+        return { details: [detail(field, FIELD_ERRORS.INVALID_FORMAT, `${field} must be an ISO 8601 date`)] };
+      }
+      if (rule.future && date.getTime() <= Date.now()) {
+        return { details: [detail(field, FIELD_ERRORS.NOT_IN_FUTURE, `${field} must be in the future`)] };
+      }
+      if (rule.past && date.getTime() > Date.now()) {
+        return { details: [detail(field, FIELD_ERRORS.FUTURE_NOT_ALLOWED, `${field} must not be in the future`)] };
+      }
+      return { value: date.toISOString() };
+    }
+
+    case 'array': {
+      if (!Array.isArray(raw)) {
+        return { details: [detail(field, FIELD_ERRORS.INVALID_TYPE, `${field} must be an array`)] };
+      }
+      if (rule.minItems !== undefined && raw.length < rule.minItems) {
+        return { details: [detail(field, FIELD_ERRORS.TOO_FEW_ITEMS, `${field} must contain at least ${rule.minItems} items`)] };
+      }
+      if (rule.maxItems !== undefined && raw.length > rule.maxItems) {
+        return { details: [detail(field, FIELD_ERRORS.TOO_MANY_ITEMS, `${field} must contain at most ${rule.maxItems} items`)] };
+      }
+      if (!rule.items) {
+        return { value: raw };
+      }
+
+      const value = [];
+      const details = [];
+      raw.forEach((item, index) => {
+        const result = checkField(`${field}[${index}]`, rule.items, item);
+        if (result.details) details.push(...result.details);
+        else value.push(result.value);
+      });
+      return details.length > 0 ? { details } : { value };
+    }
+
+    case 'object': {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { details: [detail(field, FIELD_ERRORS.INVALID_TYPE, `${field} must be an object`)] };
+      }
+      return rule.fields ? checkFields(rule.fields, raw, `${field}.`) : { value: raw };
+    }
+
+    default:
+      throw new Error(`Unknown schema type for ${field}: ${rule.type}`);
+  }
+}
+
+// Checks a possibly missing value, applying `required`, `default` and `nullable` (an explicit null is kept, e.g. to clear a field)
+function checkField(field, rule, raw) {
+  if (raw === null && rule.nullable) {
+    return { value: null };
+  }
+  if (isBlank(raw)) {
+    if (rule.required) {
+      return { details: [detail(field, FIELD_ERRORS.REQUIRED, `${field} is required`)] };
+    }
+    return { value: rule.default !== undefined ? rule.default : undefined };
+  }
+  return checkValue(field, rule, raw);
+}
+
+// Checks every declared field of an object; undeclared fields are passed through untouched
+function checkFields(fields, input, prefix = '') {
+  const value = { ...input };
+  const details = [];
+
+  Object.entries(fields).forEach(([name, rule]) => {
+    const result = checkField(`${prefix}${name}`, rule, input[name]);
+    if (result.details) {
+      details.push(...result.details);
+    } else if (result.value === undefined) {
+      delete value[name];
+    } else {
+      value[name] = result.value;
+    }
+  });
+
+  return details.length > 0 ? { details } : { value };
+}
+
+// Validates input against a schema
+// Returns { value } with normalized fields or { details } listing every problem found
+function checkSchema(schema, input) {
+  const result = checkFields(schema.fields, input && typeof input === 'object' ? input : {});
+  if (result.details || !schema.check) {
+    return result;
+  }
+
+  const details = schema.check(result.value) || [];
+  return details.length > 0 ? { details } : result;
+}
+
+// Build the message summarizing validation details
+const summarize = (details) => details.map(item => item.message).join('; ');
+
+// Middleware validating and normalizing req.body and req.query
+// Responds 400 with code VALIDATION_FAILED and field-level details
+const validate = ({ body, query }) => (req, res, next) => {
+  const details = [];
+  const validated = {};
+
+  if (body) {
+    const result = checkSchema(body, req.body);
+    if (result.details) details.push(...result.details);
+    else validated.body = result.value;
+  }
+
+  if (query) {
+    const result = checkSchema(query, req.query);
+    if (result.details) details.push(...result.details);
+    else validated.query = result.value;
+  }
+
+  if (details.length > 0) {
+    console.log('❌ Validation failed:', details.map(item => `${item.field} ${item.code}`).join(', '));
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, summarize(details), { details });
+  }
+
+  if (validated.body) req.body = validated.body;
+  if (validated.query) req.query = validated.query;
+  next();
+};
+
+module.exports = {
+  FIELD_ERRORS,
+  detail,
+  checkSchema,
+  summarize,
+  validate
+};
@@ -0,0 +1,55 @@
+// viewer_access.js
+// Tracking visibility levels and short-lived viewer tokens issued after entering a passcode
+// Token format: <trackingNumber>.<expiry ms>.<hmac>, signed together with the passcode hash so
+// changing the passcode invalidates every token issued for the old one
+
+const crypto = require('crypto');
+const { safeEqual } = require('./update_keys');
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+const DEFAULT_VISIBILITY = 'public';
+const MIN_PASSCODE_LENGTH = 4;
+
+const VIEWER_TOKEN_TTL_MINUTES = parseInt(process.env.VIEWER_TOKEN_TTL_MINUTES, 10) || 120;
+
+// Without a configured secret tokens only survive until the next restart and only work on this instance
+const secret = process.env.VIEWER_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.VIEWER_TOKEN_SECRET) {
+  console.warn('⚠️  VIEWER_TOKEN_SECRET not set, viewer tokens will not survive restarts');
+}
+
+const sign = (trackingNumber, expiresAt, passcodeHash) => crypto
+  .createHmac('sha256', secret)
+  .update(`${trackingNumber}.${expiresAt}.${passcodeHash || ''}`)
+  .digest('hex');
+
+// Returns { token, expiresAt }
+const issueViewerToken = (trackingNumber, passcodeHash) => {
+  const expiresAt = Date.now() + VIEWER_TOKEN_TTL_MINUTES * 60 * 1000;
+  return {
+    token: `${trackingNumber}.${expiresAt}.${sign(trackingNumber, expiresAt, passcodeHash)}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+};
+
+const verifyViewerToken = (token, trackingNumber, passcodeHash) => {
+  if (typeof token !== 'string') return false;
+
+  const [tokenTrackingNumber, expiresAt, signature] = token.split('.');
+  if (tokenTrackingNumber !== trackingNumber || !signature) return false;
+  if (!(Number(expiresAt) > Date.now())) return false;
+
+  return safeEqual(signature, sign(trackingNumber, expiresAt, passcodeHash));
+};
+
+// Trackings created before visibility existed are public
+const visibilityOf = (tracking) => tracking.visibility || DEFAULT_VISIBILITY;
+
+module.exports = {
+  VISIBILITIES,
+  DEFAULT_VISIBILITY,
+  MIN_PASSCODE_LENGTH,
+  issueViewerToken,
+  verifyViewerToken,
+  visibilityOf
+};
@@ -0,0 +1,293 @@
+// webhooks.js
+// Outbound webhooks: tracking events are POSTed as signed JSON to URLs registered per tracking
+// Deliveries are queued in the database first, so they survive restarts, and are retried with exponential backoff
+// Every request carries X-Kiss-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed by the webhook secret>
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Events a webhook can subscribe to (a subset of the SSE broadcasts)
+const WEBHOOK_EVENTS = [
+  'status-change',
+  'eta-change',
+  'eta-estimate',
+  'eta-overdue',
+  'destination-change',
+  'location-update',
+  'location-edited',
+  'location-removed'
+];
+
+// Sent by the test endpoint regardless of the subscribed events
+const TEST_EVENT = 'ping';
+
+const MAX_WEBHOOKS_PER_TRACKING = parseInt(process.env.WEBHOOK_MAX_PER_TRACKING, 10) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const DELIVERY_LOG_SIZE = 50; // finished deliveries kept per webhook
+const BATCH_SIZE = 20;
+
+// A claimed delivery is left alone by other instances for this long, then retried if it was never recorded
+const LEASE_MS = TIMEOUT_MS + 60 * 1000;
+
+// Private, loopback, link-local and other non-public targets are refused so webhooks cannot probe internal services
+// Local development against a receiver on the same machine sets WEBHOOK_ALLOW_PRIVATE_NETWORKS=true
+const ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+const privateNetworks = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, including broadcast
+].forEach(([network, prefix]) => privateNetworks.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => privateNetworks.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped (::ffff:127.0.0.1) and NAT64 (64:ff9b::7f00:1) addresses reach IPv4 hosts past the IPv4 ranges, so they are
+// refused as a whole. They live in their own list because a BlockList also matches plain IPv4 addresses against ::ffff:0:0/96
+const translatedNetworks = new net.BlockList();
+translatedNetworks.addSubnet('::ffff:0:0', 96, 'ipv6');
+translatedNetworks.addSubnet('64:ff9b::', 96, 'ipv6');
+
+const isPrivateAddress = (address) => (net.isIPv6(address)
+  ? privateNetworks.check(address, 'ipv6') || translatedNetworks.check(address, 'ipv6')
+  : privateNetworks.check(address, 'ipv4'));
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const blockedError = () => {
+  const error = new Error('URL points to a private network address');
+  error.blocked = true;
+  return error;
+};
+
+// Throws when the URL points at a private network that is not allowed; the error has `blocked` set
+// DNS failures are thrown as they are (a delivery retries them)
+const assertAllowedDestination = async (url) => {
+  if (ALLOW_PRIVATE_NETWORKS) return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+
+  if (addresses.some(isPrivateAddress)) {
+    throw blockedError();
+  }
+};
+
+// dns.lookup replacement for deliveries: the addresses it checks are the ones the socket connects to,
+// so a DNS server cannot answer with a public address for the check and a private one for the request
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, entries) => {
+    if (err) return callback(err);
+    if (entries.some(entry => isPrivateAddress(entry.address))) return callback(blockedError());
+    if (options.all) return callback(null, entries);
+    callback(null, entries[0].address, entries[0].family);
+  });
+};
+
+// https.Agent for other requests to user-supplied URLs (push endpoints), connecting only to checked addresses
+// Hosts given as IP literals are not looked up, so check the URL with assertAllowedDestination as well
+const createCheckedAgent = () => new https.Agent({ lookup: ALLOW_PRIVATE_NETWORKS ? undefined : checkedLookup });
+
+// POST `body` and resolve to the response status; redirects are not followed since they could lead anywhere
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const transport = new URL(url).protocol === 'https:' ? https : http;
+  const request = transport.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: ALLOW_PRIVATE_NETWORKS ? undefined : checkedLookup,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Delay before the next attempt after `attempts` failed ones
+const retryDelayMs = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// Describe a failed request for the delivery log
+const describeFailure = (err) => {
+  if (err.cause && err.cause.name === 'TimeoutError') return `Timed out after ${TIMEOUT_MS}ms`;
+  return err.code || err.message;
+};
+
+// POST one delivery; resolves to { ok, responseStatus, error, permanent }
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    trackingNumber: delivery.tracking_number,
+    createdAt: new Date(delivery.created_at).toISOString(),
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    await assertAllowedDestination(webhook.url);
+
+    const responseStatus = await post(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'KissTracker-Webhooks/1.0',
+      'X-Kiss-Event': delivery.event,
+      'X-Kiss-Delivery': String(delivery.id),
+      'X-Kiss-Signature': signPayload(webhook.secret, timestamp, body)
+    }, body);
+
+    return responseStatus >= 200 && responseStatus < 300
+      ? { ok: true, responseStatus }
+      : { ok: false, responseStatus, error: `HTTP ${responseStatus}` };
+  } catch (err) {
+    return { ok: false, responseStatus: null, error: describeFailure(err), permanent: Boolean(err.blocked) };
+  }
+};
+
+const createWebhookDispatcher = ({ db }) => {
+  let timer = null;
+  let running = null;
+  let rerun = false;
+
+  const attemptDelivery = async (delivery) => {
+    const { tracking_number: trackingNumber } = delivery;
+    const webhook = await db.getWebhook(trackingNumber, delivery.webhook_id);
+    if (!webhook) return; // Removed while queued
+
+    const attempts = delivery.attempts + 1;
+    const result = webhook.active || delivery.event === TEST_EVENT
+      ? await send(webhook, delivery)
+      : { ok: false, responseStatus: null, error: 'Webhook is disabled', permanent: true };
+
+    let status = 'delivered';
+    let nextAttemptAt = null;
+    if (!result.ok) {
+      status = result.permanent || attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      if (status === 'pending') nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts)).toISOString();
+    }
+
+    await db.recordWebhookAttempt(trackingNumber, delivery.id, {
+      status,
+      attempts,
+      nextAttemptAt,
+      responseStatus: result.responseStatus,
+      error: result.error
+    });
+
+    if (status === 'delivered') {
+      console.log(`🪝 Delivered ${delivery.event} for ${trackingNumber} to webhook ${webhook.id}`);
+    } else if (status === 'failed') {
+      console.warn(`⚠️  Gave up on ${delivery.event} for ${trackingNumber} after ${attempts} attempts: ${result.error}`);
+    } else {
+      console.warn(`⚠️  Webhook delivery for ${trackingNumber} failed (${result.error}), retrying at ${nextAttemptAt}`);
+    }
+
+    if (status !== 'pending') {
+      await db.pruneWebhookDeliveries(trackingNumber, webhook.id, DELIVERY_LOG_SIZE);
+    }
+  };
+
+  // Send everything that is due; safe to run on several instances at the same time
+  const processDue = async () => {
+    let processed = 0;
+    for (;;) {
+      const leaseUntil = new Date(Date.now() + LEASE_MS).toISOString();
+      const claimed = await db.claimWebhookDeliveries(BATCH_SIZE, leaseUntil);
+      if (claimed.length === 0) return processed;
+
+      await Promise.all(claimed.map(delivery => attemptDelivery(delivery).catch(err => {
+        console.error(`Error delivering webhook ${delivery.id}:`, err.message);
+      })));
+      processed += claimed.length;
+    }
+  };
+
+  // Runs never overlap; a request during a run schedules one more
+  const run = () => {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = processDue()
+      .catch(err => console.error('Error processing webhook deliveries:', err.message))
+      .finally(() => {
+        running = null;
+        if (rerun) {
+          rerun = false;
+          run();
+        }
+      });
+    return running;
+  };
+
+  // Queue `event` for every active webhook of the tracking subscribed to it; returns how many were queued
+  const dispatch = async (trackingNumber, event, data) => {
+    if (!WEBHOOK_EVENTS.includes(event)) return 0;
+
+    const webhooks = (await db.getWebhooks(trackingNumber))
+      .filter(webhook => webhook.active && webhook.events.includes(event));
+    for (const webhook of webhooks) {
+      await db.createWebhookDelivery(trackingNumber, { webhookId: webhook.id, event, payload: data });
+    }
+
+    if (webhooks.length > 0) run();
+    return webhooks.length;
+  };
+
+  // Queue a ping to one webhook
+  const sendTest = async (trackingNumber, webhook) => {
+    const delivery = await db.createWebhookDelivery(trackingNumber, {
+      webhookId: webhook.id,
+      event: TEST_EVENT,
+      payload: { message: 'Webhook test from Kiss Tracker' }
+    });
+    run();
+    return delivery;
+  };
+
+  const start = () => {
+    console.log(`🪝 Webhook dispatcher polling every ${POLL_INTERVAL_MS / 1000}s`);
+    run();
+    timer = setInterval(run, POLL_INTERVAL_MS);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    start,
+    stop,
+    dispatch,
+    sendTest,
+    run
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_WEBHOOKS_PER_TRACKING,
+  DELIVERY_LOG_SIZE,
+  generateWebhookSecret,
+  signPayload,
+  assertAllowedDestination,
+  createCheckedAgent,
+  createWebhookDispatcher
+};
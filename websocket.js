@@ -0,0 +1,261 @@
+// websocket.js
+// WebSocket transport: one connection can follow many trackings and, once authenticated, push location updates
+// Server messages mirror the SSE event names: { type: 'location-update', id, trackingNumber, data }
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { ERROR_CODES } = require('./api_errors');
+
+const WS_PATH = '/api/ws';
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+const createWebSocketHub = ({ verifyUpdateKey, canView, addLocationUpdate, replayBuffer, keyFailures, lookupFailures, checkRateLimit, clientIp }) => {
+  const subscriptions = new Map(); // trackingNumber -> Set of sockets
+  const sockets = new Map(); // socket -> { subscribed: Set, authorized: Map(trackingNumber -> updateKey), isAlive }
+  let wss = null;
+
+  const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  // `extra` carries the HTTP API's error code and validation details when available
+  const sendError = (socket, requestId, error, extra = {}) => {
+    send(socket, { type: 'error', requestId, error, ...extra });
+  };
+
+  // Reply with the error, then drop a client that went over a limit
+  const closeWithError = (socket, requestId, error, code) => {
+    sendError(socket, requestId, error, { code });
+    socket.close(1008, error);
+  };
+
+  const toTrackingNumbers = (message) => {
+    const list = Array.isArray(message.trackingNumbers) ? message.trackingNumbers : [message.trackingNumber];
+    return list.filter(trackingNumber => typeof trackingNumber === 'string' && trackingNumber.length > 0);
+  };
+
+  const removeSubscription = (socket, trackingNumber) => {
+    const subscribers = subscriptions.get(trackingNumber);
+    if (subscribers) {
+      subscribers.delete(socket);
+      if (subscribers.size === 0) {
+        subscriptions.delete(trackingNumber);
+      }
+    }
+    sockets.get(socket).subscribed.delete(trackingNumber);
+  };
+
+  const handlers = {
+    subscribe: async (socket, state, message) => {
+      const requested = toTrackingNumbers(message);
+      if (requested.length === 0) {
+        return sendError(socket, message.requestId, 'trackingNumbers array is required');
+      }
+      if (state.subscribed.size + requested.length > MAX_SUBSCRIPTIONS) {
+        return sendError(socket, message.requestId, `At most ${MAX_SUBSCRIPTIONS} trackings per connection`);
+      }
+
+      // Same visibility rules as the SSE stream; viewer tokens are passed per tracking
+      // Every tracking counts as one HTTP read against the rate limits, and denied ones as failed lookups,
+      // so a socket cannot enumerate tracking numbers faster than the HTTP API allows
+      const viewerTokens = message.viewerTokens || {};
+      const trackingNumbers = [];
+      const denied = [];
+      for (const trackingNumber of requested) {
+        const lockout = await lookupFailures.check(state.ip);
+        if (lockout.locked) {
+          return closeWithError(socket, message.requestId, `Too many failed attempts, retry in ${lockout.retryAfter} seconds`, ERROR_CODES.LOCKED_OUT);
+        }
+        const limit = await checkRateLimit(state.ip, trackingNumber);
+        if (limit.limited) {
+          return closeWithError(socket, message.requestId, `Too many requests, retry in ${limit.retryAfter} seconds`, ERROR_CODES.RATE_LIMITED);
+        }
+
+        const allowed = await canView(trackingNumber, {
+          viewerToken: viewerTokens[trackingNumber],
+          updateKey: state.authorized.get(trackingNumber)
+        });
+        if (!allowed) await lookupFailures.fail(state.ip);
+        (allowed ? trackingNumbers : denied).push(trackingNumber);
+      }
+
+      trackingNumbers.forEach(trackingNumber => {
+        if (!subscriptions.has(trackingNumber)) {
+          subscriptions.set(trackingNumber, new Set());
+        }
+        subscriptions.get(trackingNumber).add(socket);
+        state.subscribed.add(trackingNumber);
+      });
+
+      send(socket, { type: 'subscribed', requestId: message.requestId, trackingNumbers, denied });
+
+      // Same replay semantics as Last-Event-ID on the SSE stream
+      const lastEventId = parseInt(message.lastEventId, 10);
+      if (!isNaN(lastEventId)) {
+        trackingNumbers.forEach(trackingNumber => {
+          const { events, complete } = replayBuffer.since(trackingNumber, lastEventId);
+          if (!complete) {
+            send(socket, { type: 'resync', trackingNumber, data: { trackingNumber } });
+          }
+          events.forEach(entry => send(socket, { type: entry.event, id: entry.id, trackingNumber, data: entry.data }));
+        });
+      }
+    },
+
+    unsubscribe: (socket, state, message) => {
+      const trackingNumbers = toTrackingNumbers(message);
+      trackingNumbers.forEach(trackingNumber => removeSubscription(socket, trackingNumber));
+      send(socket, { type: 'unsubscribed', requestId: message.requestId, trackingNumbers });
+    },
+
+    authenticate: async (socket, state, message) => {
+      const { trackingNumber, updateKey, requestId } = message;
+      if (!trackingNumber || !updateKey) {
+        return sendError(socket, requestId, 'trackingNumber and updateKey are required');
+      }
+
+      const lockout = await keyFailures.check(state.ip);
+      if (lockout.locked) {
+        return sendError(socket, requestId, `Too many failed attempts, retry in ${lockout.retryAfter} seconds`);
+      }
+
+      const isValid = await verifyUpdateKey(trackingNumber, updateKey);
+      if (!isValid) {
+        console.log('❌ Invalid update key on WebSocket for:', trackingNumber);
+        await keyFailures.fail(state.ip);
+        return sendError(socket, requestId, 'Invalid update key');
+      }
+
+      state.authorized.set(trackingNumber, updateKey);
+      send(socket, { type: 'authenticated', requestId, trackingNumber });
+    },
+
+    'location-update': async (socket, state, message) => {
+      const { trackingNumber, requestId } = message;
+      const limit = await checkRateLimit(state.ip, trackingNumber);
+      if (limit.limited) {
+        return sendError(socket, requestId, `Too many requests, retry in ${limit.retryAfter} seconds`, { code: ERROR_CODES.RATE_LIMITED });
+      }
+      if (!state.authorized.has(trackingNumber)) {
+        return sendError(socket, requestId, 'Authenticate with the update key for this tracking first');
+      }
+
+      // The key may have been rotated, revoked or expired since the socket authenticated
+      const isValid = await verifyUpdateKey(trackingNumber, state.authorized.get(trackingNumber));
+      if (!isValid) {
+        console.log('❌ Update key no longer valid on WebSocket for:', trackingNumber);
+        state.authorized.delete(trackingNumber);
+        return sendError(socket, requestId, 'Update key is no longer valid, authenticate again', { code: ERROR_CODES.INVALID_UPDATE_KEY });
+      }
+
+      const result = await addLocationUpdate(trackingNumber, message);
+      if (result.error) {
+        const { code, details } = result;
+        return sendError(socket, requestId, result.error, { code, details });
+      }
+
+      send(socket, { type: 'ack', requestId, trackingNumber, recordId: result.recordId });
+    },
+
+    ping: (socket, state, message) => {
+      send(socket, { type: 'pong', requestId: message.requestId });
+    }
+  };
+
+  const handleMessage = async (socket, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (err) {
+      return sendError(socket, undefined, 'Messages must be JSON');
+    }
+
+    const handler = message && handlers[message.type];
+    if (!handler) {
+      return sendError(socket, message && message.requestId, 'Unknown message type');
+    }
+
+    try {
+      await handler(socket, sockets.get(socket), message);
+    } catch (err) {
+      console.error(`Error handling WebSocket ${message.type} message:`, err);
+      sendError(socket, message.requestId, 'Internal server error');
+    }
+  };
+
+  const attach = (server) => {
+    wss = new WebSocketServer({ server, path: WS_PATH, maxPayload: MAX_PAYLOAD_BYTES });
+
+    wss.on('connection', (socket, req) => {
+      console.log('🔌 WebSocket client connected');
+      sockets.set(socket, { subscribed: new Set(), authorized: new Map(), isAlive: true, ip: clientIp(req) });
+
+      socket.on('pong', () => {
+        const state = sockets.get(socket);
+        if (state) state.isAlive = true;
+      });
+      socket.on('message', (raw) => handleMessage(socket, raw));
+      socket.on('close', () => {
+        console.log('🔌 WebSocket client disconnected');
+        const state = sockets.get(socket);
+        if (state) {
+          [...state.subscribed].forEach(trackingNumber => removeSubscription(socket, trackingNumber));
+          sockets.delete(socket);
+        }
+      });
+
+      send(socket, { type: 'connected' });
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+      sockets.forEach((state, socket) => {
+        if (!state.isAlive) {
+          socket.terminate();
+          return;
+        }
+        state.isAlive = false;
+        socket.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    wss.on('close', () => clearInterval(heartbeat));
+    console.log(`🔌 WebSocket endpoint available at ${WS_PATH}`);
+  };
+
+  // Relay a buffered broadcast to every socket subscribed to the tracking
+  const deliver = (trackingNumber, entry) => {
+    const subscribers = subscriptions.get(trackingNumber);
+    if (!subscribers) return 0;
+
+    subscribers.forEach(socket => send(socket, {
+      type: entry.event,
+      id: entry.id,
+      trackingNumber,
+      data: entry.data
+    }));
+    return subscribers.size;
+  };
+
+  // Unsubscribe every socket from a tracking that no longer exists; the sockets stay open
+  const drop = (trackingNumber) => {
+    const subscribers = subscriptions.get(trackingNumber);
+    if (!subscribers) return;
+    [...subscribers].forEach(socket => removeSubscription(socket, trackingNumber));
+  };
+
+  return {
+    attach,
+    deliver,
+    drop,
+    clientCount: () => sockets.size
+  };
+};
+
+module.exports = {
+  WS_PATH,
+  createWebSocketHub
+};